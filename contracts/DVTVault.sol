@@ -0,0 +1,228 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./MasterChef.sol";
+
+/**
+ * @title DVTVault
+ * @dev Auto-compounding vault for the single-asset DVT pool in MasterChef
+ * @notice Depositors receive vault shares whose DVT value grows as rewards are
+ * harvested and re-staked. Anyone can call compound() for a small bounty.
+ */
+contract DVTVault is ERC20, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable dvt; // The DVT token
+    MasterChef public immutable masterChef; // MasterChef holding the staked DVT
+    uint256 public immutable pid; // MasterChef pool ID of the DVT pool
+
+    address public treasury; // Receives performance fees
+
+    uint256 public constant MINIMUM_SHARES = 10**3; // Locked on the first deposit against share price inflation
+    uint256 public constant MAX_PERFORMANCE_FEE = 500; // 5%
+    uint256 public constant MAX_CALL_FEE = 100; // 1%
+    uint256 public performanceFee = 200; // 2% of harvested rewards
+    uint256 public callFee = 25; // 0.25% of harvested rewards to the compound() caller
+
+    uint256 public lastCompoundTime; // Last time rewards were harvested
+
+    event Deposit(address indexed user, uint256 amount, uint256 shares);
+    event Withdraw(address indexed user, uint256 amount, uint256 shares);
+    event Compound(address indexed caller, uint256 harvested, uint256 performanceFee, uint256 callFee);
+    event TreasuryUpdated(address indexed treasury);
+    event PerformanceFeeUpdated(uint256 newFee);
+    event CallFeeUpdated(uint256 newFee);
+
+    constructor(
+        IERC20 _dvt,
+        MasterChef _masterChef,
+        uint256 _pid,
+        address _treasury
+    ) ERC20("Auto-compounding DVT", "acDVT") Ownable(msg.sender) {
+        require(address(_dvt) != address(0), "DVTVault: invalid DVT address");
+        require(address(_masterChef) != address(0), "DVTVault: invalid MasterChef address");
+        require(_treasury != address(0), "DVTVault: invalid treasury");
+        
+        (address lpToken, , , , , , ) = _masterChef.getPoolInfo(_pid);
+        require(lpToken == address(_dvt), "DVTVault: pool does not stake DVT");
+        
+        dvt = _dvt;
+        masterChef = _masterChef;
+        pid = _pid;
+        treasury = _treasury;
+        
+        _dvt.forceApprove(address(_masterChef), type(uint256).max);
+    }
+
+    /**
+     * @dev Deposit DVT and receive vault shares. The first deposit locks MINIMUM_SHARES
+     * so that donating DVT to the vault cannot inflate the share price enough to round
+     * later deposits down to nothing.
+     */
+    function deposit(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "DVTVault: zero amount");
+        
+        _harvest();
+        uint256 pool = totalAssets();
+        
+        uint256 balanceBefore = available();
+        dvt.safeTransferFrom(msg.sender, address(this), _amount);
+        uint256 received = available() - balanceBefore;
+        
+        uint256 supply = totalSupply();
+        uint256 shares;
+        if (supply == 0) {
+            require(received > MINIMUM_SHARES, "DVTVault: deposit too small");
+            shares = received - MINIMUM_SHARES;
+            _mint(address(1), MINIMUM_SHARES); // Lock minimum shares to dead address
+        } else {
+            shares = (received * supply) / pool;
+        }
+        require(shares > 0, "DVTVault: zero shares");
+        
+        _mint(msg.sender, shares);
+        _stake();
+        
+        emit Deposit(msg.sender, received, shares);
+    }
+
+    /**
+     * @dev Burn `_shares` and withdraw their DVT value
+     */
+    function withdraw(uint256 _shares) public nonReentrant {
+        require(_shares > 0, "DVTVault: zero shares");
+        require(_shares <= balanceOf(msg.sender), "DVTVault: insufficient shares");
+        
+        _harvest();
+        uint256 amount = (totalAssets() * _shares) / totalSupply();
+        _burn(msg.sender, _shares);
+        
+        uint256 idle = available();
+        if (idle < amount) {
+            masterChef.withdraw(pid, amount - idle);
+        }
+        
+        dvt.safeTransfer(msg.sender, amount);
+        _stake();
+        
+        emit Withdraw(msg.sender, amount, _shares);
+    }
+
+    /**
+     * @dev Withdraw all of the caller's shares
+     */
+    function withdrawAll() external {
+        withdraw(balanceOf(msg.sender));
+    }
+
+    /**
+     * @dev Harvest pending rewards and re-stake them, paying the caller a bounty
+     */
+    function compound() external nonReentrant {
+        uint256 harvested = _harvest();
+        
+        uint256 bounty = (harvested * callFee) / 10000;
+        if (bounty > 0) {
+            dvt.safeTransfer(msg.sender, bounty);
+        }
+        
+        _stake();
+        emit Compound(msg.sender, harvested, (harvested * performanceFee) / 10000, bounty);
+    }
+
+    /**
+     * @dev DVT held by the vault, staked and idle
+     */
+    function totalAssets() public view returns (uint256) {
+        (uint256 staked, , , ) = masterChef.getUserInfo(pid, address(this));
+        return staked + available();
+    }
+
+    /**
+     * @dev Idle DVT in the vault
+     */
+    function available() public view returns (uint256) {
+        return dvt.balanceOf(address(this));
+    }
+
+    /**
+     * @dev DVT value of one share, times 1e18
+     */
+    function getPricePerFullShare() external view returns (uint256) {
+        uint256 supply = totalSupply();
+        return supply == 0 ? 1e18 : (totalAssets() * 1e18) / supply;
+    }
+
+    /**
+     * @dev Rewards waiting to be compounded, before fees
+     */
+    function pendingRewards() external view returns (uint256) {
+        return masterChef.pendingDVT(pid, address(this));
+    }
+
+    /**
+     * @dev Claim pending rewards from MasterChef and take the performance fee
+     */
+    function _harvest() internal returns (uint256 harvested) {
+        uint256 balanceBefore = available();
+        masterChef.deposit(pid, 0);
+        harvested = available() - balanceBefore;
+        
+        uint256 fee = (harvested * performanceFee) / 10000;
+        if (fee > 0) {
+            dvt.safeTransfer(treasury, fee);
+        }
+        
+        lastCompoundTime = block.timestamp;
+    }
+
+    /**
+     * @dev Stake all idle DVT in MasterChef
+     */
+    function _stake() internal {
+        uint256 idle = available();
+        if (idle > 0) {
+            masterChef.deposit(pid, idle);
+        }
+    }
+
+    /**
+     * @dev Update the treasury receiving performance fees
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "DVTVault: invalid treasury");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev Update the performance fee
+     */
+    function setPerformanceFee(uint256 _performanceFee) external onlyOwner {
+        require(_performanceFee <= MAX_PERFORMANCE_FEE, "DVTVault: performance fee too high");
+        performanceFee = _performanceFee;
+        emit PerformanceFeeUpdated(_performanceFee);
+    }
+
+    /**
+     * @dev Update the compound() caller bounty
+     */
+    function setCallFee(uint256 _callFee) external onlyOwner {
+        require(_callFee <= MAX_CALL_FEE, "DVTVault: call fee too high");
+        callFee = _callFee;
+        emit CallFeeUpdated(_callFee);
+    }
+
+    /**
+     * @dev Recover tokens sent to the vault by mistake or paid by a pool rewarder. DVT cannot be withdrawn.
+     */
+    function recoverToken(address _token, uint256 _amount) external onlyOwner {
+        require(_token != address(dvt), "DVTVault: cannot recover DVT");
+        IERC20(_token).safeTransfer(owner(), _amount);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./LiquidityPool.sol";
+import "./interfaces/IMigratorChef.sol";
+
+/**
+ * @title LPMigrator
+ * @dev One-shot MasterChef migrator from an old LiquidityPool to a new, empty one for the same token
+ * @notice Removes MasterChef's liquidity from the old pool, within the minimums given to
+ * MasterChef.migrate, and seeds the new pool with all of it. MasterChef gets back exactly
+ * as many new LP tokens as it staked; any surplus from fees the old LP tokens earned is
+ * burned into the new pool's reserves, so it accrues to the stakers. The migrator must be
+ * exempt from DVT's transfer tax and anti-whale limits before the migration runs.
+ */
+contract LPMigrator is IMigratorChef, Ownable {
+    using SafeERC20 for IERC20;
+
+    address public immutable masterChef; // MasterChef allowed to migrate
+    LiquidityPool public immutable oldPool; // LP token being retired
+    LiquidityPool public immutable newPool; // LP token replacing it
+
+    event Migrated(uint256 oldLiquidity, uint256 newLiquidity, uint256 amountToken, uint256 amountETH);
+
+    constructor(address _masterChef, LiquidityPool _oldPool, LiquidityPool _newPool) Ownable(msg.sender) {
+        require(_masterChef != address(0), "LPMigrator: invalid MasterChef address");
+        require(address(_oldPool) != address(_newPool), "LPMigrator: same pool");
+        require(_oldPool.token() == _newPool.token(), "LPMigrator: token mismatch");
+        
+        masterChef = _masterChef;
+        oldPool = _oldPool;
+        newPool = _newPool;
+    }
+
+    /**
+     * @dev Unwrap MasterChef's old LP tokens and seed the new pool with the liquidity.
+     * The new pool must be empty so that nobody can set its price ahead of the migration.
+     */
+    function migrate(
+        IERC20 lpToken,
+        uint256 amountTokenMin,
+        uint256 amountETHMin
+    ) external override returns (IERC20) {
+        require(msg.sender == masterChef, "LPMigrator: caller is not MasterChef");
+        require(address(lpToken) == address(oldPool), "LPMigrator: unknown LP token");
+        require(newPool.totalSupply() == 0, "LPMigrator: new pool not empty");
+        
+        uint256 oldLiquidity = lpToken.balanceOf(masterChef);
+        lpToken.safeTransferFrom(masterChef, address(this), oldLiquidity);
+        (uint256 amountToken, uint256 amountETH) = oldPool.removeLiquidity(
+            oldLiquidity,
+            amountTokenMin,
+            amountETHMin,
+            address(this),
+            block.timestamp
+        );
+        
+        // The first deposit into an empty pool uses both amounts in full
+        IERC20 token = oldPool.token();
+        token.forceApprove(address(newPool), amountToken);
+        (, , uint256 newLiquidity) = newPool.addLiquidity{value: amountETH}(
+            amountToken,
+            amountToken,
+            amountETH,
+            address(this),
+            block.timestamp
+        );
+        require(newLiquidity >= oldLiquidity, "LPMigrator: migration lowered balance");
+        IERC20(address(newPool)).safeTransfer(masterChef, oldLiquidity);
+        
+        // Burn the surplus and return its liquidity to the pool, raising the value of the stakers' LP
+        uint256 surplus = newLiquidity - oldLiquidity;
+        if (surplus > 0) {
+            (uint256 surplusToken, uint256 surplusETH) = newPool.removeLiquidity(surplus, 0, 0, address(this), block.timestamp);
+            token.safeTransfer(address(newPool), surplusToken);
+            payable(address(newPool)).transfer(surplusETH);
+            newPool.sync();
+        }
+        
+        emit Migrated(oldLiquidity, newLiquidity, amountToken, amountETH);
+        return IERC20(address(newPool));
+    }
+
+    receive() external payable {
+        require(
+            msg.sender == address(oldPool) || msg.sender == address(newPool),
+            "LPMigrator: unexpected BNB"
+        );
+    }
+}
\ No newline at end of file
@@ -3,17 +3,28 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "./interfaces/ILiquidityPoolCallee.sol";
 
 /**
  * @title LiquidityPool
  * @dev Simple AMM pool using constant product formula (x * y = k)
- * @notice Allows swapping between BNB and DVT tokens
+ * @notice Allows swapping between BNB and an ERC20 token (DVT for the main pool),
+ * flash swaps, ERC-3156 token flash loans, EIP-2612 permits on the LP token and batched
+ * calls through multicall (non-payable, so ETH-in functions cannot be batched)
  */
-contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
-    IERC20 public immutable token; // DVT token
+contract LiquidityPool is ERC20, ERC20Permit, Ownable, ReentrancyGuard, Multicall, IERC3156FlashLender {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token; // Paired token (DVT for the main pool)
     
     uint256 public constant MINIMUM_LIQUIDITY = 10**3;
     uint256 public constant FEE_DENOMINATOR = 10000;
@@ -29,6 +40,28 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
     // Price impact protection
     uint256 public maxPriceImpact = 1000; // 10% max price impact
     
+    // Flash loans
+    bytes32 private constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    uint256 public flashLoanFee = 9; // 0.09% flash loan fee
+    
+    // TWAP oracle
+    struct Observation {
+        uint256 timestamp; // Block timestamp of the observation
+        uint256 priceTokenCumulative; // Cumulative token per ETH price, times 1e18
+        uint256 priceETHCumulative; // Cumulative ETH per token price, times 1e18
+    }
+    
+    uint256 public constant PRICE_PRECISION = 1e18;
+    uint256 public constant OBSERVATION_CARDINALITY = 48; // Number of stored observations
+    uint256 public constant OBSERVATION_PERIOD = 30 minutes; // Minimum spacing between observations (24h history)
+    
+    uint256 public priceTokenCumulativeLast;
+    uint256 public priceETHCumulativeLast;
+    uint256 public blockTimestampLast;
+    
+    Observation[OBSERVATION_CARDINALITY] public observations;
+    uint256 public observationIndex; // Index of the most recent observation
+    
     event Mint(address indexed sender, uint256 amountETH, uint256 amountToken);
     event Burn(address indexed sender, uint256 amountETH, uint256 amountToken, address indexed to);
     event Swap(
@@ -43,6 +76,9 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
     event SwapFeeUpdated(uint256 newFee);
     event ProtocolFeeShareUpdated(uint256 newShare);
     event FeeRecipientUpdated(address newRecipient);
+    event ProtocolFeeMinted(address indexed recipient, uint256 liquidity);
+    event FlashLoan(address indexed receiver, address indexed initiator, uint256 amount, uint256 fee);
+    event FlashLoanFeeUpdated(uint256 newFee);
 
     modifier ensure(uint256 deadline) {
         require(deadline >= block.timestamp, "LiquidityPool: EXPIRED");
@@ -52,7 +88,11 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
     constructor(
         address _token,
         address _feeRecipient
-    ) ERC20("DVT-BNB LP", "DVT-LP") Ownable(msg.sender) {
+    )
+        ERC20(string.concat(_tokenSymbol(_token), "-BNB LP"), string.concat(_tokenSymbol(_token), "-LP"))
+        ERC20Permit(string.concat(_tokenSymbol(_token), "-BNB LP"))
+        Ownable(msg.sender)
+    {
         require(_token != address(0), "LiquidityPool: invalid token address");
         require(_feeRecipient != address(0), "LiquidityPool: invalid fee recipient");
         
@@ -60,6 +100,15 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         feeRecipient = _feeRecipient;
     }
 
+    /**
+     * @dev Symbol of the paired token for the LP token name, with a fallback for
+     * tokens that do not implement the metadata extension
+     */
+    function _tokenSymbol(address _token) private view returns (string memory) {
+        (bool success, bytes memory data) = _token.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        return success && data.length >= 64 ? abi.decode(data, (string)) : "TOKEN";
+    }
+
     /**
      * @dev Add liquidity to the pool
      */
@@ -70,34 +119,105 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         address to,
         uint256 deadline
     ) external payable ensure(deadline) nonReentrant returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        return _provideLiquidity(tokenAmountDesired, tokenAmountMin, ethAmountMin, to);
+    }
+
+    /**
+     * @dev Add liquidity using an EIP-2612 permit for the paired token instead of a prior approval
+     */
+    function addLiquidityWithPermit(
+        uint256 tokenAmountDesired,
+        uint256 tokenAmountMin,
+        uint256 ethAmountMin,
+        address to,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external payable ensure(deadline) nonReentrant returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        // A permit already submitted by someone else still leaves the allowance in place
+        try IERC20Permit(address(token)).permit(msg.sender, address(this), tokenAmountDesired, deadline, v, r, s) {} catch {}
+        return _provideLiquidity(tokenAmountDesired, tokenAmountMin, ethAmountMin, to);
+    }
+
+    /**
+     * @dev Remove liquidity from the pool
+     */
+    function removeLiquidity(
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) nonReentrant returns (uint256 amountToken, uint256 amountETH) {
+        return _removeLiquidity(msg.sender, liquidity, amountTokenMin, amountETHMin, to);
+    }
+
+    /**
+     * @dev Remove `holder`'s liquidity using an EIP-2612 permit for the LP token. The permit
+     * names the caller as spender, and the pool pulls the LP tokens from `holder` against
+     * that allowance, so a signature cannot be used by anyone but the account it was given to.
+     */
+    function removeLiquidityWithPermit(
+        address holder,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external ensure(deadline) nonReentrant returns (uint256 amountToken, uint256 amountETH) {
+        // A permit already submitted by someone else still leaves the allowance in place
+        try this.permit(holder, msg.sender, liquidity, deadline, v, r, s) {} catch {}
+        _spendAllowance(holder, msg.sender, liquidity);
+        return _removeLiquidity(holder, liquidity, amountTokenMin, amountETHMin, to);
+    }
+
+    /**
+     * @dev Pull the paired token from the caller, mint LP tokens and refund excess ETH.
+     * The ETH side is priced on the tokens the pool actually received, so a fee-on-transfer
+     * token is not matched with ETH for the part lost to its transfer fee.
+     */
+    function _provideLiquidity(
+        uint256 tokenAmountDesired,
+        uint256 tokenAmountMin,
+        uint256 ethAmountMin,
+        address to
+    ) internal returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
         require(to != address(0), "LiquidityPool: invalid recipient");
         
         (amountToken, amountETH) = _addLiquidity(tokenAmountDesired, msg.value, tokenAmountMin, ethAmountMin);
         
-        address pair = address(this);
-        token.transferFrom(msg.sender, pair, amountToken);
-        
-        liquidity = mint(to);
+        token.safeTransferFrom(msg.sender, address(this), amountToken);
+        uint256 amountReceived = token.balanceOf(address(this)) - reserveToken;
+        if (amountReceived < amountToken) {
+            amountToken = amountReceived;
+            if (reserveToken != 0) amountETH = quote(amountReceived, reserveToken, reserveETH);
+        }
         
-        // Refund excess ETH
+        // Refund excess ETH before minting so it is not counted as deposited
         if (msg.value > amountETH) {
             payable(msg.sender).transfer(msg.value - amountETH);
         }
+        
+        liquidity = mint(to);
     }
 
     /**
-     * @dev Remove liquidity from the pool
+     * @dev Burn `from`'s LP tokens and send the underlying assets to `to`
      */
-    function removeLiquidity(
+    function _removeLiquidity(
+        address from,
         uint256 liquidity,
         uint256 amountTokenMin,
         uint256 amountETHMin,
-        address to,
-        uint256 deadline
-    ) external ensure(deadline) nonReentrant returns (uint256 amountToken, uint256 amountETH) {
+        address to
+    ) internal returns (uint256 amountToken, uint256 amountETH) {
         require(to != address(0), "LiquidityPool: invalid recipient");
         
-        transfer(address(this), liquidity); // Transfer LP tokens to this contract
+        _transfer(from, address(this), liquidity); // Transfer LP tokens to this contract
         (amountETH, amountToken) = burn(to);
         
         require(amountToken >= amountTokenMin, "LiquidityPool: INSUFFICIENT_TOKEN_AMOUNT");
@@ -123,7 +243,7 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         uint256 priceImpact = (amountIn * FEE_DENOMINATOR) / reserveETH;
         require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
         
-        _swap(amountIn, 0, 0, amountOut, to);
+        _swap(0, amountOut, to, "");
     }
 
     /**
@@ -145,8 +265,100 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         uint256 priceImpact = (amountIn * FEE_DENOMINATOR) / reserveToken;
         require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
         
-        token.transferFrom(msg.sender, address(this), amountIn);
-        _swap(0, amountIn, amountOut, 0, to);
+        token.safeTransferFrom(msg.sender, address(this), amountIn);
+        _swap(amountOut, 0, to, "");
+    }
+
+    /**
+     * @dev Swap ETH for an exact amount of tokens, refunding unused ETH
+     */
+    function swapETHForExactTokens(
+        uint256 amountOut,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) nonReentrant returns (uint256 amountIn) {
+        require(to != address(0), "LiquidityPool: invalid recipient");
+        
+        amountIn = getAmountIn(amountOut, reserveETH, reserveToken);
+        require(amountIn <= msg.value, "LiquidityPool: EXCESSIVE_INPUT_AMOUNT");
+        
+        // Check price impact
+        uint256 priceImpact = (amountIn * FEE_DENOMINATOR) / reserveETH;
+        require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
+        
+        // Refund before swapping so the excess is not counted as input
+        if (msg.value > amountIn) payable(msg.sender).transfer(msg.value - amountIn);
+        _swap(0, amountOut, to, "");
+    }
+
+    /**
+     * @dev Swap tokens for an exact amount of ETH
+     */
+    function swapTokensForExactETH(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) nonReentrant returns (uint256 amountIn) {
+        require(to != address(0), "LiquidityPool: invalid recipient");
+        
+        amountIn = getAmountIn(amountOut, reserveToken, reserveETH);
+        require(amountIn <= amountInMax, "LiquidityPool: EXCESSIVE_INPUT_AMOUNT");
+        
+        // Check price impact
+        uint256 priceImpact = (amountIn * FEE_DENOMINATOR) / reserveToken;
+        require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
+        
+        token.safeTransferFrom(msg.sender, address(this), amountIn);
+        _swap(amountOut, 0, to, "");
+    }
+
+    /**
+     * @dev Swap exact ETH for tokens, checking the amount the recipient actually receives
+     */
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) nonReentrant {
+        require(msg.value > 0, "LiquidityPool: INSUFFICIENT_INPUT_AMOUNT");
+        require(to != address(0), "LiquidityPool: invalid recipient");
+        
+        uint256 amountIn = msg.value;
+        uint256 amountOut = getAmountOut(amountIn, reserveETH, reserveToken);
+        
+        // Check price impact
+        uint256 priceImpact = (amountIn * FEE_DENOMINATOR) / reserveETH;
+        require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
+        
+        uint256 balanceBefore = token.balanceOf(to);
+        _swap(0, amountOut, to, "");
+        require(token.balanceOf(to) - balanceBefore >= amountOutMin, "LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    /**
+     * @dev Swap exact tokens for ETH, pricing the amount the pool actually receives
+     */
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) nonReentrant {
+        require(amountIn > 0, "LiquidityPool: INSUFFICIENT_INPUT_AMOUNT");
+        require(to != address(0), "LiquidityPool: invalid recipient");
+        
+        token.safeTransferFrom(msg.sender, address(this), amountIn);
+        uint256 amountReceived = token.balanceOf(address(this)) - reserveToken;
+        
+        uint256 amountOut = getAmountOut(amountReceived, reserveToken, reserveETH);
+        require(amountOut >= amountOutMin, "LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+        
+        // Check price impact
+        uint256 priceImpact = (amountReceived * FEE_DENOMINATOR) / reserveToken;
+        require(priceImpact <= maxPriceImpact, "LiquidityPool: PRICE_IMPACT_TOO_HIGH");
+        
+        _swap(amountOut, 0, to, "");
     }
 
     /**
@@ -183,6 +395,7 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         uint256 amountETH = balanceETH - reserveETH;
         uint256 amountToken = balanceToken - reserveToken;
 
+        bool feeOn = _mintFee();
         uint256 _totalSupply = totalSupply();
         if (_totalSupply == 0) {
             liquidity = Math.sqrt(amountETH * amountToken) - MINIMUM_LIQUIDITY;
@@ -198,7 +411,7 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         _mint(to, liquidity);
 
         _update(balanceETH, balanceToken);
-        kLast = reserveETH * reserveToken;
+        if (feeOn) kLast = reserveETH * reserveToken;
         
         emit Mint(msg.sender, amountETH, amountToken);
     }
@@ -211,6 +424,7 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         uint256 balanceToken = token.balanceOf(address(this));
         uint256 liquidity = balanceOf(address(this));
 
+        bool feeOn = _mintFee();
         uint256 _totalSupply = totalSupply();
         amountETH = (liquidity * balanceETH) / _totalSupply;
         amountToken = (liquidity * balanceToken) / _totalSupply;
@@ -218,40 +432,83 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         require(amountETH > 0 && amountToken > 0, "LiquidityPool: INSUFFICIENT_LIQUIDITY_BURNED");
         
         _burn(address(this), liquidity);
-        token.transfer(to, amountToken);
+        token.safeTransfer(to, amountToken);
         payable(to).transfer(amountETH);
 
         balanceETH = address(this).balance;
         balanceToken = token.balanceOf(address(this));
 
         _update(balanceETH, balanceToken);
-        kLast = reserveETH * reserveToken;
+        if (feeOn) kLast = reserveETH * reserveToken;
         
         emit Burn(msg.sender, amountETH, amountToken, to);
     }
 
     /**
-     * @dev Internal swap function
+     * @dev Mint the protocol's share of swap fees accrued since the last liquidity event.
+     * Fees are measured as growth in sqrt(k) and paid to feeRecipient as LP tokens.
+     */
+    function _mintFee() private returns (bool feeOn) {
+        feeOn = protocolFeeShare > 0;
+        if (feeOn) {
+            uint256 liquidity = _accruedProtocolFee();
+            if (liquidity > 0) {
+                _mint(feeRecipient, liquidity);
+                emit ProtocolFeeMinted(feeRecipient, liquidity);
+            }
+        } else if (kLast != 0) {
+            kLast = 0;
+        }
+    }
+
+    /**
+     * @dev LP tokens owed to the protocol for sqrt(k) growth since kLast
+     */
+    function _accruedProtocolFee() private view returns (uint256 liquidity) {
+        if (kLast == 0 || protocolFeeShare == 0) return 0;
+        
+        uint256 rootK = Math.sqrt(reserveETH * reserveToken);
+        uint256 rootKLast = Math.sqrt(kLast);
+        if (rootK <= rootKLast) return 0;
+        
+        uint256 numerator = totalSupply() * (rootK - rootKLast) * protocolFeeShare;
+        uint256 denominator = rootK * (FEE_DENOMINATOR - protocolFeeShare) + rootKLast * protocolFeeShare;
+        liquidity = numerator / denominator;
+    }
+
+    /**
+     * @dev Low-level swap supporting flash swaps. Outputs are sent optimistically and,
+     * if `data` is non-empty, `to` is called back before the inputs are checked against k.
      */
-    function _swap(uint256 amountETHIn, uint256 amountTokenIn, uint256 amountETHOut, uint256 amountTokenOut, address to) internal {
+    function swap(uint256 amountETHOut, uint256 amountTokenOut, address to, bytes calldata data) external nonReentrant {
+        _swap(amountETHOut, amountTokenOut, to, data);
+    }
+
+    /**
+     * @dev Internal swap function. Inputs are whatever the pool received beyond its
+     * reserves; fee-adjusted balances must keep the constant product.
+     */
+    function _swap(uint256 amountETHOut, uint256 amountTokenOut, address to, bytes memory data) internal {
         require(amountETHOut > 0 || amountTokenOut > 0, "LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
         require(amountETHOut < reserveETH && amountTokenOut < reserveToken, "LiquidityPool: INSUFFICIENT_LIQUIDITY");
+        // The paired token may receive BNB (e.g. DVT's tax swap-back) but never itself
+        require(to != address(this) && (to != address(token) || amountTokenOut == 0), "LiquidityPool: INVALID_TO");
 
-        uint256 balanceETH;
-        uint256 balanceToken;
-        
-        if (amountTokenOut > 0) token.transfer(to, amountTokenOut);
+        if (amountTokenOut > 0) token.safeTransfer(to, amountTokenOut);
         if (amountETHOut > 0) payable(to).transfer(amountETHOut);
+        if (data.length > 0) ILiquidityPoolCallee(to).liquidityPoolCall(msg.sender, amountETHOut, amountTokenOut, data);
         
-        balanceETH = address(this).balance;
-        balanceToken = token.balanceOf(address(this));
+        uint256 balanceETH = address(this).balance;
+        uint256 balanceToken = token.balanceOf(address(this));
 
-        uint256 amountETHInWithFee = amountETHIn * (FEE_DENOMINATOR - swapFee);
-        uint256 amountTokenInWithFee = amountTokenIn * (FEE_DENOMINATOR - swapFee);
+        uint256 amountETHIn = balanceETH > reserveETH - amountETHOut ? balanceETH - (reserveETH - amountETHOut) : 0;
+        uint256 amountTokenIn = balanceToken > reserveToken - amountTokenOut ? balanceToken - (reserveToken - amountTokenOut) : 0;
+        require(amountETHIn > 0 || amountTokenIn > 0, "LiquidityPool: INSUFFICIENT_INPUT_AMOUNT");
         
+        uint256 balanceETHAdjusted = balanceETH * FEE_DENOMINATOR - amountETHIn * swapFee;
+        uint256 balanceTokenAdjusted = balanceToken * FEE_DENOMINATOR - amountTokenIn * swapFee;
         require(
-            balanceETH * FEE_DENOMINATOR >= (reserveETH - amountETHOut) * FEE_DENOMINATOR + amountETHInWithFee &&
-            balanceToken * FEE_DENOMINATOR >= (reserveToken - amountTokenOut) * FEE_DENOMINATOR + amountTokenInWithFee,
+            balanceETHAdjusted * balanceTokenAdjusted >= reserveETH * reserveToken * FEE_DENOMINATOR * FEE_DENOMINATOR,
             "LiquidityPool: K"
         );
 
@@ -260,14 +517,86 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Update reserves
+     * @dev Maximum DVT available for a flash loan
+     */
+    function maxFlashLoan(address _token) public view override returns (uint256) {
+        return _token == address(token) ? reserveToken : 0;
+    }
+
+    /**
+     * @dev Fee charged for a DVT flash loan
+     */
+    function flashFee(address _token, uint256 amount) public view override returns (uint256) {
+        require(_token == address(token), "LiquidityPool: unsupported flash loan token");
+        return (amount * flashLoanFee) / FEE_DENOMINATOR;
+    }
+
+    /**
+     * @dev ERC-3156 flash loan of DVT. The fee stays in the reserves, so it accrues
+     * to LPs and the protocol share is minted on the next liquidity event.
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address _token,
+        uint256 amount,
+        bytes calldata data
+    ) external override nonReentrant returns (bool) {
+        require(amount > 0 && amount <= maxFlashLoan(_token), "LiquidityPool: INSUFFICIENT_LIQUIDITY");
+        
+        uint256 fee = flashFee(_token, amount);
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransfer(address(receiver), amount);
+        
+        require(
+            receiver.onFlashLoan(msg.sender, _token, amount, fee, data) == FLASH_LOAN_CALLBACK_SUCCESS,
+            "LiquidityPool: flash loan callback failed"
+        );
+        
+        token.safeTransferFrom(address(receiver), address(this), amount + fee);
+        // A taxed repayment must not leave the pool with less than it lent
+        uint256 balanceAfter = token.balanceOf(address(this));
+        require(balanceAfter >= balanceBefore + fee, "LiquidityPool: flash loan not repaid");
+        _update(reserveETH, balanceAfter);
+        
+        emit FlashLoan(address(receiver), msg.sender, amount, fee);
+        return true;
+    }
+
+    /**
+     * @dev Update reserves and, on the first call per block, the price accumulators
      */
     function _update(uint256 balanceETH, uint256 balanceToken) private {
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveETH != 0 && reserveToken != 0) {
+            priceTokenCumulativeLast += ((reserveToken * PRICE_PRECISION) / reserveETH) * timeElapsed;
+            priceETHCumulativeLast += ((reserveETH * PRICE_PRECISION) / reserveToken) * timeElapsed;
+        }
+        blockTimestampLast = block.timestamp;
+        
         reserveETH = balanceETH;
         reserveToken = balanceToken;
+        _writeObservation();
         emit Sync(reserveETH, reserveToken);
     }
 
+    /**
+     * @dev Record the cumulative prices if OBSERVATION_PERIOD has passed since the last observation
+     */
+    function _writeObservation() private {
+        Observation storage last = observations[observationIndex];
+        if (last.timestamp != 0 && block.timestamp - last.timestamp < OBSERVATION_PERIOD) {
+            return;
+        }
+        
+        uint256 index = last.timestamp == 0 ? observationIndex : (observationIndex + 1) % OBSERVATION_CARDINALITY;
+        observations[index] = Observation({
+            timestamp: block.timestamp,
+            priceTokenCumulative: priceTokenCumulativeLast,
+            priceETHCumulative: priceETHCumulativeLast
+        });
+        observationIndex = index;
+    }
+
     /**
      * @dev Get amount out for a given input
      */
@@ -281,6 +610,18 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         amountOut = numerator / denominator;
     }
 
+    /**
+     * @dev Calculate input amount required for an exact output amount
+     */
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut) public view returns (uint256 amountIn) {
+        require(amountOut > 0, "LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+        require(reserveIn > 0 && reserveOut > amountOut, "LiquidityPool: INSUFFICIENT_LIQUIDITY");
+        
+        uint256 numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint256 denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - swapFee);
+        amountIn = numerator / denominator + 1;
+    }
+
     /**
      * @dev Quote function for liquidity provision
      */
@@ -290,6 +631,56 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         amountB = (amountA * reserveB) / reserveA;
     }
 
+    /**
+     * @dev Get protocol fees accrued but not yet minted, in LP tokens
+     */
+    function pendingProtocolFees() external view returns (uint256) {
+        return _accruedProtocolFee();
+    }
+
+    /**
+     * @dev Get cumulative prices as of the current block, including time since the last update
+     */
+    function currentCumulativePrices() public view returns (uint256 priceTokenCumulative, uint256 priceETHCumulative) {
+        priceTokenCumulative = priceTokenCumulativeLast;
+        priceETHCumulative = priceETHCumulativeLast;
+        
+        uint256 timeElapsed = block.timestamp - blockTimestampLast;
+        if (timeElapsed > 0 && reserveETH != 0 && reserveToken != 0) {
+            priceTokenCumulative += ((reserveToken * PRICE_PRECISION) / reserveETH) * timeElapsed;
+            priceETHCumulative += ((reserveETH * PRICE_PRECISION) / reserveToken) * timeElapsed;
+        }
+    }
+
+    /**
+     * @dev Get time-weighted average prices over at least `period` seconds
+     * @return priceToken Average token per ETH price, times 1e18
+     * @return priceETH Average ETH per token price, times 1e18
+     */
+    function consult(uint256 period) external view returns (uint256 priceToken, uint256 priceETH) {
+        require(period > 0 && period <= block.timestamp, "LiquidityPool: INVALID_PERIOD");
+        
+        (uint256 priceTokenCumulative, uint256 priceETHCumulative) = currentCumulativePrices();
+        uint256 target = block.timestamp - period;
+        
+        // Walk back from the newest observation to the first one at least `period` old
+        for (uint256 i = 0; i < OBSERVATION_CARDINALITY; i++) {
+            Observation storage observation = observations[
+                (observationIndex + OBSERVATION_CARDINALITY - i) % OBSERVATION_CARDINALITY
+            ];
+            if (observation.timestamp == 0) break;
+            
+            if (observation.timestamp <= target) {
+                uint256 elapsed = block.timestamp - observation.timestamp;
+                priceToken = (priceTokenCumulative - observation.priceTokenCumulative) / elapsed;
+                priceETH = (priceETHCumulative - observation.priceETHCumulative) / elapsed;
+                return (priceToken, priceETH);
+            }
+        }
+        
+        revert("LiquidityPool: INSUFFICIENT_HISTORY");
+    }
+
     /**
      * @dev Get current price (token per ETH)
      */
@@ -307,12 +698,25 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         emit SwapFeeUpdated(_swapFee);
     }
 
+    /**
+     * @dev Set flash loan fee (owner only)
+     */
+    function setFlashLoanFee(uint256 _flashLoanFee) external onlyOwner {
+        require(_flashLoanFee <= 100, "LiquidityPool: flash loan fee too high"); // Max 1%
+        flashLoanFee = _flashLoanFee;
+        emit FlashLoanFeeUpdated(_flashLoanFee);
+    }
+
     /**
      * @dev Set protocol fee share (owner only)
      */
     function setProtocolFeeShare(uint256 _protocolFeeShare) external onlyOwner {
         require(_protocolFeeShare <= 5000, "LiquidityPool: fee share too high"); // Max 50%
+        
+        // Settle fees accrued under the previous share before switching
+        _mintFee();
         protocolFeeShare = _protocolFeeShare;
+        kLast = _protocolFeeShare > 0 ? reserveETH * reserveToken : 0;
         emit ProtocolFeeShareUpdated(_protocolFeeShare);
     }
 
@@ -321,6 +725,9 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
      */
     function setFeeRecipient(address _feeRecipient) external onlyOwner {
         require(_feeRecipient != address(0), "LiquidityPool: invalid fee recipient");
+        
+        // Pay accrued fees to the previous recipient
+        if (_mintFee()) kLast = reserveETH * reserveToken;
         feeRecipient = _feeRecipient;
         emit FeeRecipientUpdated(_feeRecipient);
     }
@@ -341,6 +748,14 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         _reserveToken = reserveToken;
     }
 
+    /**
+     * @dev Force reserves to match balances
+     */
+    function sync() external nonReentrant {
+        require(totalSupply() > 0, "LiquidityPool: NO_LIQUIDITY");
+        _update(address(this).balance, token.balanceOf(address(this)));
+    }
+
     /**
      * @dev Emergency function to recover tokens (owner only)
      */
@@ -348,7 +763,7 @@ contract LiquidityPool is ERC20, Ownable, ReentrancyGuard {
         if (tokenAddress == address(0)) {
             payable(owner()).transfer(amount);
         } else {
-            IERC20(tokenAddress).transfer(owner(), amount);
+            IERC20(tokenAddress).safeTransfer(owner(), amount);
         }
     }
 
@@ -3,16 +3,25 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./MyToken.sol";
+import "./ReferralSystem.sol";
+import "./VotingEscrow.sol";
+import "./TWAPOracle.sol";
+import "./interfaces/IRewarder.sol";
+import "./interfaces/IMigratorChef.sol";
 
 /**
  * @title MasterChef
  * @dev Staking contract for LP tokens to earn DVT rewards
- * @notice Based on SushiSwap's MasterChef with additional features
+ * @notice Based on SushiSwap's MasterChef with additional features. Rewards are emitted
+ * per second following an epoch schedule (halvings or linear decay down to a floor).
  */
-contract MasterChef is Ownable, ReentrancyGuard {
+contract MasterChef is Ownable, ReentrancyGuard, Multicall {
     using SafeERC20 for IERC20;
 
     // Info of each user
@@ -21,31 +30,54 @@ contract MasterChef is Ownable, ReentrancyGuard {
         uint256 rewardDebt; // Reward debt
         uint256 lastHarvestTime; // Last time user harvested rewards
         uint256 lockedUntil; // Lock period end time
+        uint256 workingAmount; // veDVT-boosted share used for reward accounting
+        uint256 rewardLockedUp; // Rewards accrued during the harvest lockup, paid once it ends
     }
 
     // Info of each pool
     struct PoolInfo {
         IERC20 lpToken; // Address of LP token contract
         uint256 allocPoint; // Allocation points assigned to this pool
-        uint256 lastRewardBlock; // Last block number that DVT distribution occurs
+        uint256 lastRewardTime; // Last timestamp that DVT distribution occurs
         uint256 accDVTPerShare; // Accumulated DVT per share, times 1e12
         uint256 depositFeeBP; // Deposit fee in basis points
         uint256 harvestLockupPeriod; // Harvest lockup period in seconds
         uint256 totalStaked; // Total amount staked in this pool
+        uint256 workingSupply; // Sum of users' working amounts
+        uint256 totalLockedUp; // Sum of users' locked-up rewards
     }
 
     MyToken public dvt; // The DVT token
+    ReferralSystem public referralSystem; // Referral system paying commissions on harvests
+    VotingEscrow public votingEscrow; // veDVT used to boost rewards
+    address public zap; // Zap allowed to stake and unstake on behalf of users
+    IMigratorChef public migrator; // Converts a pool's LP tokens when the LP is upgraded
+    TWAPOracle public priceOracle; // DVT/BNB price source for APR views
     address public devAddr; // Dev address for receiving fees
     address public feeAddr; // Fee address for receiving deposit fees
 
-    uint256 public dvtPerBlock; // DVT tokens created per block
-    uint256 public constant BONUS_MULTIPLIER = 1; // Bonus multiplier for early DVT makers
+    // Emission schedule
+    uint256 public constant MIN_EPOCH_DURATION = 1 days; // Shortest allowed emission epoch
+    uint256 public secondsPerYear = 365 days; // Annualisation period for APR views
+    uint256 public constant DEFAULT_COMPOUNDS_PER_YEAR = 365; // Daily compounding for calculatePoolAPY
+    uint256 public constant MAX_COMPOUNDED_APR = 500000; // 5,000% in basis points, beyond which APY would overflow
+    uint256 public emissionScheduleStart; // Timestamp the current schedule counts epochs from
+    uint256 public initialEmissionRate; // DVT per second during the first epoch of the schedule
+    uint256 public epochDuration; // Length of an emission epoch in seconds (0 = flat rate)
+    uint256 public emissionReductionBP; // Rate reduction applied each epoch (5000 = halving)
+    uint256 public floorEmissionRate; // Emission rate never decays below this
+    bool public linearDecay; // Reduce by a fixed share of the initial rate instead of the current rate
 
     PoolInfo[] public poolInfo; // Info of each pool
     mapping(uint256 => mapping(address => UserInfo)) public userInfo; // Info of each user that stakes LP tokens
+    mapping(uint256 => IRewarder) public rewarder; // Optional secondary reward hook of each pool
+    mapping(uint256 => uint256) public deferredReward; // Pool rewards held back by MasterChef's mint rate limit
 
     uint256 public totalAllocPoint = 0; // Total allocation points. Must be the sum of all allocation points in all pools
-    uint256 public startBlock; // The block number when DVT mining starts
+    uint256 public startTime; // The timestamp when DVT mining starts
+
+    // Boost settings: without veDVT a stake earns on 40% of its size, up to 100% (2.5x) with enough veDVT
+    uint256 public constant TOKENLESS_PRODUCTION = 40;
 
     // Harvest lockup settings
     uint256 public constant MAX_HARVEST_LOCKUP = 14 days; // Maximum harvest lockup period
@@ -63,13 +95,30 @@ contract MasterChef is Ownable, ReentrancyGuard {
     event PoolAdded(uint256 indexed pid, address indexed lpToken, uint256 allocPoint, uint256 depositFeeBP);
     event PoolUpdated(uint256 indexed pid, uint256 allocPoint, uint256 depositFeeBP);
     event EmissionRateUpdated(uint256 newRate);
+    event EmissionScheduleUpdated(uint256 epochDuration, uint256 reductionBP, uint256 floorRate, bool linearDecay);
+    event ReferralSystemUpdated(address indexed referralSystem);
+    event ReferralCommissionFailed(address indexed user, uint256 indexed pid, uint256 amount);
+    event VotingEscrowUpdated(address indexed votingEscrow);
+    event RewarderUpdated(uint256 indexed pid, address indexed rewarder);
+    event BoostKicked(address indexed user, uint256 indexed pid, uint256 workingAmount);
+    event ZapUpdated(address indexed zap);
+    event RewardLockedUp(address indexed user, uint256 indexed pid, uint256 amount);
+    event MigratorUpdated(address indexed migrator);
+    event PriceOracleUpdated(address indexed priceOracle);
+    event SecondsPerYearUpdated(uint256 secondsPerYear);
+    event PoolMigrated(uint256 indexed pid, address indexed oldLpToken, address indexed newLpToken, uint256 oldBalance, uint256 newBalance);
+
+    modifier onlyZap() {
+        require(msg.sender == zap, "MasterChef: caller is not the zap");
+        _;
+    }
 
     constructor(
         MyToken _dvt,
         address _devAddr,
         address _feeAddr,
-        uint256 _dvtPerBlock,
-        uint256 _startBlock
+        uint256 _dvtPerSecond,
+        uint256 _startTime
     ) Ownable(msg.sender) {
         require(address(_dvt) != address(0), "MasterChef: invalid DVT address");
         require(_devAddr != address(0), "MasterChef: invalid dev address");
@@ -78,8 +127,8 @@ contract MasterChef is Ownable, ReentrancyGuard {
         dvt = _dvt;
         devAddr = _devAddr;
         feeAddr = _feeAddr;
-        dvtPerBlock = _dvtPerBlock;
-        startBlock = _startBlock;
+        startTime = _startTime;
+        _restartEmissionSchedule(_dvtPerSecond);
     }
 
     /**
@@ -112,17 +161,19 @@ contract MasterChef is Ownable, ReentrancyGuard {
             massUpdatePools();
         }
         
-        uint256 lastRewardBlock = block.number > startBlock ? block.number : startBlock;
+        uint256 lastRewardTime = block.timestamp > startTime ? block.timestamp : startTime;
         totalAllocPoint += _allocPoint;
         
         poolInfo.push(PoolInfo({
             lpToken: _lpToken,
             allocPoint: _allocPoint,
-            lastRewardBlock: lastRewardBlock,
+            lastRewardTime: lastRewardTime,
             accDVTPerShare: 0,
             depositFeeBP: _depositFeeBP,
             harvestLockupPeriod: _harvestLockupPeriod,
-            totalStaked: 0
+            totalStaked: 0,
+            workingSupply: 0,
+            totalLockedUp: 0
         }));
 
         emit PoolAdded(poolInfo.length - 1, address(_lpToken), _allocPoint, _depositFeeBP);
@@ -152,30 +203,238 @@ contract MasterChef is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Return reward multiplier over the given _from to _to block
+     * @dev Move a pool's staked LP tokens into a new LP token through the migrator.
+     * User amounts, working amounts and reward debts are kept as they are, so the migrator
+     * must return exactly the old balance in new LP tokens. `_amountTokenMin` and
+     * `_amountETHMin` bound what unwrapping the old LP may return, since the call can be
+     * front-run once it is queued in the timelock. A Zap bound to the old LP token stops
+     * working afterwards; deploy a new one and set it with setZap.
+     */
+    function migrate(uint256 _pid, uint256 _amountTokenMin, uint256 _amountETHMin) external onlyOwner nonReentrant {
+        require(address(migrator) != address(0), "MasterChef: no migrator");
+        require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
+        
+        PoolInfo storage pool = poolInfo[_pid];
+        IERC20 lpToken = pool.lpToken;
+        require(address(lpToken) != address(dvt), "MasterChef: cannot migrate DVT pool");
+        
+        updatePool(_pid);
+        
+        uint256 oldBalance = lpToken.balanceOf(address(this));
+        lpToken.forceApprove(address(migrator), oldBalance);
+        IERC20 newLpToken = migrator.migrate(lpToken, _amountTokenMin, _amountETHMin);
+        
+        for (uint256 i = 0; i < poolInfo.length; i++) {
+            require(address(poolInfo[i].lpToken) != address(newLpToken), "MasterChef: LP token already added");
+        }
+        
+        uint256 newBalance = newLpToken.balanceOf(address(this));
+        require(newBalance == oldBalance, "MasterChef: migration balance mismatch");
+        pool.lpToken = newLpToken;
+        
+        emit PoolMigrated(_pid, address(lpToken), address(newLpToken), oldBalance, newBalance);
+    }
+
+    /**
+     * @dev Current DVT emission rate per second
+     */
+    function dvtPerSecond() public view returns (uint256) {
+        return emissionRateAt(block.timestamp);
+    }
+
+    /**
+     * @dev DVT emission rate per second at `_timestamp` under the current schedule
+     */
+    function emissionRateAt(uint256 _timestamp) public view returns (uint256) {
+        if (epochDuration == 0 || _timestamp <= emissionScheduleStart) {
+            return initialEmissionRate;
+        }
+        
+        uint256 epoch = (_timestamp - emissionScheduleStart) / epochDuration;
+        uint256 rate = initialEmissionRate;
+        for (uint256 i = 0; i < epoch && rate > floorEmissionRate; i++) {
+            uint256 nextRate = _nextEmissionRate(rate);
+            if (nextRate == rate) break; // The reduction rounds to zero, so the rate has settled
+            rate = nextRate;
+        }
+        return rate;
+    }
+
+    /**
+     * @dev Total DVT emitted across all pools between two timestamps, following
+     * epoch transitions of the schedule. Also works for future ranges.
+     */
+    function emissionsBetween(uint256 _from, uint256 _to) public view returns (uint256 total) {
+        if (_from < emissionScheduleStart) {
+            _from = emissionScheduleStart;
+        }
+        if (_to <= _from) {
+            return 0;
+        }
+        if (epochDuration == 0) {
+            return (_to - _from) * initialEmissionRate;
+        }
+        
+        uint256 epochEnd = emissionScheduleStart + ((_from - emissionScheduleStart) / epochDuration + 1) * epochDuration;
+        uint256 rate = emissionRateAt(_from);
+        
+        // Walk epoch by epoch until the range ends or the rate settles at the floor or stops changing
+        while (epochEnd < _to && rate > floorEmissionRate) {
+            total += (epochEnd - _from) * rate;
+            _from = epochEnd;
+            epochEnd += epochDuration;
+            uint256 nextRate = _nextEmissionRate(rate);
+            if (nextRate == rate) break;
+            rate = nextRate;
+        }
+        
+        total += (_to - _from) * rate;
+    }
+
+    /**
+     * @dev Projected timestamp at which the remaining DVT supply (or MasterChef's lifetime
+     * mint cap) runs out under the current schedule, counting the 10% dev share but not
+     * referral commissions. Rate limits are ignored. Emissions are per
+     * second, so this is a timestamp rather than a block. Max uint256 if it never runs out.
+     */
+    function emissionsEndTime() external view returns (uint256) {
+        uint256 remaining = (dvt.remainingMinterCap(address(this)) * 10) / 11;
+        uint256 from = block.timestamp > emissionScheduleStart ? block.timestamp : emissionScheduleStart;
+        uint256 rate = emissionRateAt(from);
+        
+        if (epochDuration > 0) {
+            uint256 epochEnd = emissionScheduleStart + ((from - emissionScheduleStart) / epochDuration + 1) * epochDuration;
+            
+            // Consume whole epochs until the supply runs out within one or the rate stops decaying
+            while (rate > floorEmissionRate && (epochEnd - from) * rate < remaining) {
+                remaining -= (epochEnd - from) * rate;
+                from = epochEnd;
+                epochEnd += epochDuration;
+                uint256 nextRate = _nextEmissionRate(rate);
+                if (nextRate == rate) break;
+                rate = nextRate;
+            }
+        }
+        
+        if (rate == 0) {
+            return remaining == 0 ? from : type(uint256).max;
+        }
+        return from + (remaining + rate - 1) / rate;
+    }
+
+    /**
+     * @dev Clamp a pool reward so it and the 10% dev share fit in MyToken's remaining supply
+     * and this contract's lifetime minter cap. Rewards beyond that are never emitted.
+     */
+    function _cappedReward(uint256 _dvtReward) internal view returns (uint256) {
+        uint256 maxReward = (dvt.remainingMinterCap(address(this)) * 10) / 11;
+        return _dvtReward > maxReward ? maxReward : _dvtReward;
+    }
+
+    /**
+     * @dev Split a capped pool reward into what MasterChef's rate limit lets it mint now
+     * and what has to wait for a later update
+     */
+    function _mintableReward(uint256 _dvtReward) internal view returns (uint256 reward, uint256 deferred) {
+        reward = _cappedReward(_dvtReward);
+        uint256 maxReward = (dvt.mintableBy(address(this)) * 10) / 11;
+        if (reward > maxReward) {
+            deferred = reward - maxReward;
+            reward = maxReward;
+        }
+    }
+
+    /**
+     * @dev Pool reward accrued since the last update, plus any reward deferred by the rate limit
+     */
+    function _poolReward(PoolInfo storage _pool, uint256 _pid) internal view returns (uint256) {
+        return (emissionsBetween(_pool.lastRewardTime, block.timestamp) * _pool.allocPoint) / totalAllocPoint
+            + deferredReward[_pid];
+    }
+
+    /**
+     * @dev Emission rate of the epoch following one emitting `_rate`
+     */
+    function _nextEmissionRate(uint256 _rate) internal view returns (uint256) {
+        uint256 base = linearDecay ? initialEmissionRate : _rate;
+        uint256 reduction = (base * emissionReductionBP) / 10000;
+        return _rate > floorEmissionRate + reduction ? _rate - reduction : floorEmissionRate;
+    }
+
+    /**
+     * @dev Start a new schedule from now (or the mining start) at `_rate`
      */
-    function getMultiplier(uint256 _from, uint256 _to) public pure returns (uint256) {
-        return (_to - _from) * BONUS_MULTIPLIER;
+    function _restartEmissionSchedule(uint256 _rate) internal {
+        emissionScheduleStart = block.timestamp > startTime ? block.timestamp : startTime;
+        initialEmissionRate = _rate;
     }
 
     /**
      * @dev View function to see pending DVT rewards on frontend
      */
-    function pendingDVT(uint256 _pid, address _user) external view returns (uint256) {
+    function pendingDVT(uint256 _pid, address _user) public view returns (uint256) {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
         
         PoolInfo storage pool = poolInfo[_pid];
         UserInfo storage user = userInfo[_pid][_user];
         uint256 accDVTPerShare = pool.accDVTPerShare;
-        uint256 lpSupply = pool.totalStaked;
+        uint256 lpSupply = pool.workingSupply;
         
-        if (block.number > pool.lastRewardBlock && lpSupply != 0) {
-            uint256 multiplier = getMultiplier(pool.lastRewardBlock, block.number);
-            uint256 dvtReward = (multiplier * dvtPerBlock * pool.allocPoint) / totalAllocPoint;
+        if (block.timestamp > pool.lastRewardTime && lpSupply != 0 && pool.allocPoint != 0) {
+            (uint256 dvtReward, ) = _mintableReward(_poolReward(pool, _pid));
             accDVTPerShare += (dvtReward * 1e12) / lpSupply;
         }
         
-        return (user.amount * accDVTPerShare) / 1e12 - user.rewardDebt;
+        return (user.workingAmount * accDVTPerShare) / 1e12 - user.rewardDebt + user.rewardLockedUp;
+    }
+
+    /**
+     * @dev Whether the user's harvest lockup has ended
+     */
+    function canHarvest(uint256 _pid, address _user) public view returns (bool) {
+        require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
+        return block.timestamp >= userInfo[_pid][_user].lockedUntil;
+    }
+
+    /**
+     * @dev Split a user's pending DVT into locked and claimable amounts, with the lockup end
+     */
+    function getRewardLockup(uint256 _pid, address _user) external view returns (
+        uint256 locked,
+        uint256 claimable,
+        uint256 unlockTime
+    ) {
+        uint256 total = pendingDVT(_pid, _user);
+        unlockTime = userInfo[_pid][_user].lockedUntil;
+        if (canHarvest(_pid, _user)) {
+            claimable = total;
+        } else {
+            locked = total;
+        }
+    }
+
+    /**
+     * @dev Pending DVT plus any secondary rewards from the pool's rewarder, DVT first
+     */
+    function pendingTokens(uint256 _pid, address _user) external view returns (
+        IERC20[] memory tokens,
+        uint256[] memory amounts
+    ) {
+        uint256 pendingDvt = pendingDVT(_pid, _user);
+        IERC20[] memory rewardTokens;
+        uint256[] memory rewardAmounts;
+        if (address(rewarder[_pid]) != address(0)) {
+            (rewardTokens, rewardAmounts) = rewarder[_pid].pendingTokens(_pid, _user, pendingDvt);
+        }
+        
+        tokens = new IERC20[](rewardTokens.length + 1);
+        amounts = new uint256[](rewardTokens.length + 1);
+        tokens[0] = IERC20(address(dvt));
+        amounts[0] = pendingDvt;
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            tokens[i + 1] = rewardTokens[i];
+            amounts[i + 1] = rewardAmounts[i];
+        }
     }
 
     /**
@@ -195,48 +454,90 @@ contract MasterChef is Ownable, ReentrancyGuard {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
         
         PoolInfo storage pool = poolInfo[_pid];
-        if (block.number <= pool.lastRewardBlock) {
+        if (block.timestamp <= pool.lastRewardTime) {
             return;
         }
         
-        uint256 lpSupply = pool.totalStaked;
+        uint256 lpSupply = pool.workingSupply;
         if (lpSupply == 0 || pool.allocPoint == 0) {
-            pool.lastRewardBlock = block.number;
+            pool.lastRewardTime = block.timestamp;
             return;
         }
         
-        uint256 multiplier = getMultiplier(pool.lastRewardBlock, block.number);
-        uint256 dvtReward = (multiplier * dvtPerBlock * pool.allocPoint) / totalAllocPoint;
+        // Rewards above the rate limit are carried over; only the lifetime cap drops them
+        (uint256 dvtReward, uint256 deferred) = _mintableReward(_poolReward(pool, _pid));
+        deferredReward[_pid] = deferred;
         
         // Mint rewards to MasterChef
-        dvt.mint(address(this), dvtReward);
+        if (dvtReward > 0) {
+            dvt.mint(address(this), dvtReward);
+        }
         
         // Mint 10% to dev for development fund
-        dvt.mint(devAddr, dvtReward / 10);
+        if (dvtReward / 10 > 0) {
+            dvt.mint(devAddr, dvtReward / 10);
+        }
         
         pool.accDVTPerShare += (dvtReward * 1e12) / lpSupply;
-        pool.lastRewardBlock = block.number;
+        pool.lastRewardTime = block.timestamp;
     }
 
     /**
      * @dev Deposit LP tokens to MasterChef for DVT allocation
      */
     function deposit(uint256 _pid, uint256 _amount) external nonReentrant {
+        _deposit(_pid, _amount, msg.sender, address(0));
+    }
+
+    /**
+     * @dev Deposit LP tokens and register `_referrer` on the user's first stake
+     */
+    function deposit(uint256 _pid, uint256 _amount, address _referrer) external nonReentrant {
+        _deposit(_pid, _amount, msg.sender, _referrer);
+    }
+
+    /**
+     * @dev Deposit LP tokens using an EIP-2612 permit instead of a prior approval
+     */
+    function depositWithPermit(
+        uint256 _pid,
+        uint256 _amount,
+        address _referrer,
+        uint256 _deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
+        // A permit already submitted by someone else still leaves the allowance in place
+        try IERC20Permit(address(poolInfo[_pid].lpToken)).permit(msg.sender, address(this), _amount, _deadline, v, r, s) {} catch {}
+        _deposit(_pid, _amount, msg.sender, _referrer);
+    }
+
+    /**
+     * @dev Stake LP tokens supplied by the zap on behalf of `_user`
+     */
+    function depositFor(uint256 _pid, uint256 _amount, address _user) external onlyZap nonReentrant {
+        _deposit(_pid, _amount, _user, address(0));
+    }
+
+    /**
+     * @dev Stake `_amount` LP tokens pulled from the caller into `_user`'s position
+     */
+    function _deposit(uint256 _pid, uint256 _amount, address _user, address _referrer) internal {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
         
         PoolInfo storage pool = poolInfo[_pid];
-        UserInfo storage user = userInfo[_pid][msg.sender];
+        UserInfo storage user = userInfo[_pid][_user];
         
         updatePool(_pid);
         
-        if (user.amount > 0) {
-            uint256 pending = (user.amount * pool.accDVTPerShare) / 1e12 - user.rewardDebt;
-            if (pending > 0) {
-                safeDVTTransfer(msg.sender, pending);
-                emit Harvest(msg.sender, _pid, pending);
-            }
+        if (_amount > 0 && user.amount == 0) {
+            _recordReferral(_user, _referrer);
         }
         
+        uint256 pending = _payOrLockupPending(_pid, _user);
+        
         if (_amount > 0) {
             uint256 balanceBefore = pool.lpToken.balanceOf(address(this));
             pool.lpToken.safeTransferFrom(address(msg.sender), address(this), _amount);
@@ -251,36 +552,43 @@ contract MasterChef is Ownable, ReentrancyGuard {
             
             user.amount += actualAmount;
             pool.totalStaked += actualAmount;
-            
-            // Set lockup period
-            if (pool.harvestLockupPeriod > 0) {
-                user.lockedUntil = block.timestamp + pool.harvestLockupPeriod;
-            }
         }
         
-        user.rewardDebt = (user.amount * pool.accDVTPerShare) / 1e12;
+        _updateWorkingAmount(_pid, _user);
+        user.rewardDebt = (user.workingAmount * pool.accDVTPerShare) / 1e12;
         user.lastHarvestTime = block.timestamp;
+        _onReward(_pid, _user, pending, user.amount);
         
-        emit Deposit(msg.sender, _pid, _amount);
+        emit Deposit(_user, _pid, _amount);
     }
 
     /**
      * @dev Withdraw LP tokens from MasterChef
      */
     function withdraw(uint256 _pid, uint256 _amount) external nonReentrant {
+        _withdraw(_pid, _amount, msg.sender);
+    }
+
+    /**
+     * @dev Unstake LP tokens from `_user`'s position to the zap, paying rewards to `_user`
+     */
+    function withdrawFor(uint256 _pid, uint256 _amount, address _user) external onlyZap nonReentrant {
+        _withdraw(_pid, _amount, _user);
+    }
+
+    /**
+     * @dev Withdraw `_amount` LP tokens of `_user` to the caller
+     */
+    function _withdraw(uint256 _pid, uint256 _amount, address _user) internal {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
         
         PoolInfo storage pool = poolInfo[_pid];
-        UserInfo storage user = userInfo[_pid][msg.sender];
+        UserInfo storage user = userInfo[_pid][_user];
         require(user.amount >= _amount, "MasterChef: insufficient amount");
         
         updatePool(_pid);
         
-        uint256 pending = (user.amount * pool.accDVTPerShare) / 1e12 - user.rewardDebt;
-        if (pending > 0) {
-            safeDVTTransfer(msg.sender, pending);
-            emit Harvest(msg.sender, _pid, pending);
-        }
+        uint256 pending = _payOrLockupPending(_pid, _user);
         
         if (_amount > 0) {
             user.amount -= _amount;
@@ -288,10 +596,12 @@ contract MasterChef is Ownable, ReentrancyGuard {
             pool.lpToken.safeTransfer(address(msg.sender), _amount);
         }
         
-        user.rewardDebt = (user.amount * pool.accDVTPerShare) / 1e12;
+        _updateWorkingAmount(_pid, _user);
+        user.rewardDebt = (user.workingAmount * pool.accDVTPerShare) / 1e12;
         user.lastHarvestTime = block.timestamp;
+        _onReward(_pid, _user, pending, user.amount);
         
-        emit Withdraw(msg.sender, _pid, _amount);
+        emit Withdraw(_user, _pid, _amount);
     }
 
     /**
@@ -299,31 +609,56 @@ contract MasterChef is Ownable, ReentrancyGuard {
      */
     function harvest(uint256 _pid) external nonReentrant {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
-        
+        require(canHarvest(_pid, msg.sender), "MasterChef: harvest locked");
+        require(_harvest(_pid) > 0, "MasterChef: no pending rewards");
+    }
+
+    /**
+     * @dev Harvest several pools at once, skipping pools that are still locked
+     */
+    function harvestMany(uint256[] calldata _pids) external nonReentrant {
+        for (uint256 i = 0; i < _pids.length; i++) {
+            if (canHarvest(_pids[i], msg.sender)) {
+                _harvest(_pids[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Deposit into several pools at once
+     */
+    function depositMany(uint256[] calldata _pids, uint256[] calldata _amounts) external nonReentrant {
+        require(_pids.length == _amounts.length, "MasterChef: length mismatch");
+        for (uint256 i = 0; i < _pids.length; i++) {
+            _deposit(_pids[i], _amounts[i], msg.sender, address(0));
+        }
+    }
+
+    /**
+     * @dev Withdraw from several pools at once
+     */
+    function withdrawMany(uint256[] calldata _pids, uint256[] calldata _amounts) external nonReentrant {
+        require(_pids.length == _amounts.length, "MasterChef: length mismatch");
+        for (uint256 i = 0; i < _pids.length; i++) {
+            _withdraw(_pids[i], _amounts[i], msg.sender);
+        }
+    }
+
+    /**
+     * @dev Pay the caller's pending rewards from an unlocked pool. Returns the amount paid.
+     */
+    function _harvest(uint256 _pid) internal returns (uint256 pending) {
         PoolInfo storage pool = poolInfo[_pid];
         UserInfo storage user = userInfo[_pid][msg.sender];
         
-        // Check lockup period
-        require(
-            block.timestamp >= user.lockedUntil,
-            "MasterChef: harvest locked"
-        );
-        
         updatePool(_pid);
         
-        uint256 pending = (user.amount * pool.accDVTPerShare) / 1e12 - user.rewardDebt;
-        require(pending > 0, "MasterChef: no pending rewards");
+        pending = _payOrLockupPending(_pid, msg.sender);
         
-        safeDVTTransfer(msg.sender, pending);
-        user.rewardDebt = (user.amount * pool.accDVTPerShare) / 1e12;
+        _updateWorkingAmount(_pid, msg.sender);
+        user.rewardDebt = (user.workingAmount * pool.accDVTPerShare) / 1e12;
         user.lastHarvestTime = block.timestamp;
-        
-        // Reset lockup period
-        if (pool.harvestLockupPeriod > 0) {
-            user.lockedUntil = block.timestamp + pool.harvestLockupPeriod;
-        }
-        
-        emit Harvest(msg.sender, _pid, pending);
+        _onReward(_pid, msg.sender, pending, user.amount);
     }
 
     /**
@@ -341,17 +676,175 @@ contract MasterChef is Ownable, ReentrancyGuard {
         user.rewardDebt = 0;
         user.lastHarvestTime = 0;
         user.lockedUntil = 0;
+        pool.totalLockedUp -= user.rewardLockedUp;
+        user.rewardLockedUp = 0;
         pool.totalStaked -= amount;
+        pool.workingSupply -= user.workingAmount;
+        user.workingAmount = 0;
+        
+        // A failing rewarder must never block an emergency exit
+        if (address(rewarder[_pid]) != address(0)) {
+            try rewarder[_pid].onDVTReward(_pid, msg.sender, msg.sender, 0, 0) {} catch {}
+        }
         
         pool.lpToken.safeTransfer(address(msg.sender), amount);
         emit EmergencyWithdraw(msg.sender, _pid, amount);
     }
 
+    /**
+     * @dev Recompute a user's boost once their veDVT has expired, so an old boost
+     * cannot keep diluting other stakers. Callable by anyone; pending rewards are paid out or locked up.
+     */
+    function kick(uint256 _pid, address _user) external nonReentrant {
+        require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
+        require(
+            address(votingEscrow) != address(0) && votingEscrow.balanceOf(_user) == 0,
+            "MasterChef: boost still active"
+        );
+        
+        PoolInfo storage pool = poolInfo[_pid];
+        UserInfo storage user = userInfo[_pid][_user];
+        require(user.workingAmount > (user.amount * TOKENLESS_PRODUCTION) / 100, "MasterChef: not boosted");
+        
+        updatePool(_pid);
+        
+        uint256 pending = _payOrLockupPending(_pid, _user);
+        
+        _updateWorkingAmount(_pid, _user);
+        user.rewardDebt = (user.workingAmount * pool.accDVTPerShare) / 1e12;
+        _onReward(_pid, _user, pending, user.amount);
+        
+        emit BoostKicked(_user, _pid, user.workingAmount);
+    }
+
+    /**
+     * @dev Pay a user's pending rewards plus any locked-up rewards once the harvest lockup
+     * has ended, otherwise carry the pending rewards over as locked-up. Returns the amount paid.
+     */
+    function _payOrLockupPending(uint256 _pid, address _user) internal returns (uint256 paid) {
+        PoolInfo storage pool = poolInfo[_pid];
+        UserInfo storage user = userInfo[_pid][_user];
+        
+        if (user.lockedUntil == 0) {
+            user.lockedUntil = block.timestamp + pool.harvestLockupPeriod;
+        }
+        
+        uint256 pending = (user.workingAmount * pool.accDVTPerShare) / 1e12 - user.rewardDebt;
+        if (canHarvest(_pid, _user)) {
+            paid = pending + user.rewardLockedUp;
+            if (paid > 0) {
+                pool.totalLockedUp -= user.rewardLockedUp;
+                user.rewardLockedUp = 0;
+                user.lockedUntil = block.timestamp + pool.harvestLockupPeriod;
+                
+                safeDVTTransfer(_user, paid);
+                _payReferralCommission(_pid, _user, paid);
+                emit Harvest(_user, _pid, paid);
+            }
+        } else if (pending > 0) {
+            user.rewardLockedUp += pending;
+            pool.totalLockedUp += pending;
+            emit RewardLockedUp(_user, _pid, pending);
+        }
+    }
+
+    /**
+     * @dev Notify the pool's rewarder, if any, so it can pay secondary rewards
+     */
+    function _onReward(uint256 _pid, address _user, uint256 _dvtAmount, uint256 _newLpAmount) internal {
+        IRewarder poolRewarder = rewarder[_pid];
+        if (address(poolRewarder) != address(0)) {
+            poolRewarder.onDVTReward(_pid, _user, _user, _dvtAmount, _newLpAmount);
+        }
+    }
+
+    /**
+     * @dev Working amount of a `_amount` stake for `_user` in a pool with `_totalStaked`,
+     * following the Curve gauge formula min(0.4 * amount + 0.6 * totalStaked * ve / veSupply, amount)
+     */
+    function _workingAmount(address _user, uint256 _amount, uint256 _totalStaked) internal view returns (uint256) {
+        if (address(votingEscrow) == address(0)) {
+            return _amount;
+        }
+        
+        uint256 working = (_amount * TOKENLESS_PRODUCTION) / 100;
+        uint256 veSupply = votingEscrow.totalSupply();
+        if (veSupply > 0) {
+            working += (((_totalStaked * votingEscrow.balanceOf(_user)) / veSupply) * (100 - TOKENLESS_PRODUCTION)) / 100;
+        }
+        
+        return working < _amount ? working : _amount;
+    }
+
+    /**
+     * @dev Refresh a user's working amount and the pool's working supply
+     */
+    function _updateWorkingAmount(uint256 _pid, address _user) internal {
+        PoolInfo storage pool = poolInfo[_pid];
+        UserInfo storage user = userInfo[_pid][_user];
+        
+        uint256 working = _workingAmount(_user, user.amount, pool.totalStaked);
+        pool.workingSupply = pool.workingSupply - user.workingAmount + working;
+        user.workingAmount = working;
+    }
+
+    /**
+     * @dev Register a referrer for a first-time staker. Failures (cooldown, circular
+     * reference, already referred) are ignored so they never block a deposit.
+     */
+    function _recordReferral(address _user, address _referrer) internal {
+        if (address(referralSystem) == address(0) || _referrer == address(0) || _referrer == _user) {
+            return;
+        }
+        
+        try referralSystem.referralInfo(_user) returns (address currentReferrer, uint256, uint256, uint256, bool, uint256) {
+            if (currentReferrer != address(0)) {
+                return;
+            }
+        } catch {
+            return;
+        }
+        
+        try referralSystem.registerReferral(_user, _referrer) {} catch {}
+    }
+
+    /**
+     * @dev Pay referral commissions on harvested rewards. A failing referral
+     * system must not lock users out of their rewards, so errors are only logged.
+     */
+    function _payReferralCommission(uint256 _pid, address _user, uint256 _pending) internal {
+        if (address(referralSystem) == address(0)) {
+            return;
+        }
+        
+        try referralSystem.minReferralReward() returns (uint256 minReward) {
+            if (_pending < minReward) {
+                return;
+            }
+        } catch {
+            emit ReferralCommissionFailed(_user, _pid, _pending);
+            return;
+        }
+        
+        try referralSystem.referralInfo(_user) returns (address referrer, uint256, uint256, uint256, bool, uint256) {
+            if (referrer == address(0)) {
+                return;
+            }
+        } catch {
+            emit ReferralCommissionFailed(_user, _pid, _pending);
+            return;
+        }
+        
+        try referralSystem.processReferralCommission(_user, _pending) {} catch {
+            emit ReferralCommissionFailed(_user, _pid, _pending);
+        }
+    }
+
     /**
      * @dev Safe DVT transfer function, just in case if rounding error causes pool to not have enough DVTs
      */
     function safeDVTTransfer(address _to, uint256 _amount) internal {
-        uint256 dvtBal = dvt.balanceOf(address(this));
+        uint256 dvtBal = dvt.balanceOf(address(this)) - _stakedDVT();
         bool transferSuccess = false;
         
         if (_amount > dvtBal) {
@@ -363,6 +856,18 @@ contract MasterChef is Ownable, ReentrancyGuard {
         require(transferSuccess, "MasterChef: transfer failed");
     }
 
+    /**
+     * @dev DVT staked in a single-asset DVT pool, which must never be paid out as rewards
+     */
+    function _stakedDVT() internal view returns (uint256) {
+        for (uint256 pid = 0; pid < poolInfo.length; pid++) {
+            if (address(poolInfo[pid].lpToken) == address(dvt)) {
+                return poolInfo[pid].totalStaked;
+            }
+        }
+        return 0;
+    }
+
     /**
      * @dev Update dev address
      */
@@ -382,12 +887,99 @@ contract MasterChef is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Update emission rate
+     * @dev Update emission rate, restarting the schedule's epochs from now
      */
-    function updateEmissionRate(uint256 _dvtPerBlock) external onlyOwner {
+    function updateEmissionRate(uint256 _dvtPerSecond) external onlyOwner {
+        require(_dvtPerSecond >= floorEmissionRate, "MasterChef: rate below floor");
         massUpdatePools();
-        dvtPerBlock = _dvtPerBlock;
-        emit EmissionRateUpdated(_dvtPerBlock);
+        _restartEmissionSchedule(_dvtPerSecond);
+        emit EmissionRateUpdated(_dvtPerSecond);
+    }
+
+    /**
+     * @dev Configure the emission schedule, starting from the current rate.
+     * Use a 5000 BP reduction for halvings, `_linearDecay` for fixed steps, 0 epoch duration for a flat rate.
+     */
+    function setEmissionSchedule(
+        uint256 _epochDuration,
+        uint256 _reductionBP,
+        uint256 _floorRate,
+        bool _linearDecay
+    ) external onlyOwner {
+        require(_epochDuration == 0 || _epochDuration >= MIN_EPOCH_DURATION, "MasterChef: epoch too short");
+        require(_reductionBP <= 10000, "MasterChef: reduction too high");
+        require(_epochDuration == 0 || _reductionBP > 0, "MasterChef: zero reduction");
+        
+        massUpdatePools();
+        uint256 currentRate = dvtPerSecond();
+        require(_floorRate <= currentRate, "MasterChef: floor above emission rate");
+        
+        _restartEmissionSchedule(currentRate);
+        epochDuration = _epochDuration;
+        emissionReductionBP = _reductionBP;
+        floorEmissionRate = _floorRate;
+        linearDecay = _linearDecay;
+        
+        emit EmissionScheduleUpdated(_epochDuration, _reductionBP, _floorRate, _linearDecay);
+    }
+
+    /**
+     * @dev Set the referral system used for referrer registration and commissions
+     */
+    function setReferralSystem(ReferralSystem _referralSystem) external onlyOwner {
+        referralSystem = _referralSystem;
+        emit ReferralSystemUpdated(address(_referralSystem));
+    }
+
+    /**
+     * @dev Set the secondary rewarder of a pool, or the zero address to remove it
+     */
+    function setRewarder(uint256 _pid, IRewarder _rewarder) external onlyOwner {
+        require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
+        rewarder[_pid] = _rewarder;
+        emit RewarderUpdated(_pid, address(_rewarder));
+    }
+
+    /**
+     * @dev Set the veDVT contract used for reward boosts. Existing stakes are
+     * re-weighted as users interact or get kicked.
+     */
+    function setVotingEscrow(VotingEscrow _votingEscrow) external onlyOwner {
+        votingEscrow = _votingEscrow;
+        emit VotingEscrowUpdated(address(_votingEscrow));
+    }
+
+    /**
+     * @dev Set the zap allowed to use depositFor and withdrawFor
+     */
+    function setZap(address _zap) external onlyOwner {
+        zap = _zap;
+        emit ZapUpdated(_zap);
+    }
+
+    /**
+     * @dev Set the migrator used by migrate. Zero disables migration.
+     */
+    function setMigrator(IMigratorChef _migrator) external onlyOwner {
+        migrator = _migrator;
+        emit MigratorUpdated(address(_migrator));
+    }
+
+    /**
+     * @dev Set the TWAP oracle used to price DVT in APR views
+     */
+    function setPriceOracle(TWAPOracle _priceOracle) external onlyOwner {
+        priceOracle = _priceOracle;
+        emit PriceOracleUpdated(address(_priceOracle));
+    }
+
+    /**
+     * @dev Set the period APR views annualise over (emissions are per second, so no block time is involved)
+     */
+    function setSecondsPerYear(uint256 _secondsPerYear) external onlyOwner {
+        require(_secondsPerYear > 0, "MasterChef: invalid seconds per year");
+        secondsPerYear = _secondsPerYear;
+        emit SecondsPerYearUpdated(_secondsPerYear);
     }
 
     /**
@@ -417,7 +1009,7 @@ contract MasterChef is Ownable, ReentrancyGuard {
     function getPoolInfo(uint256 _pid) external view returns (
         address lpToken,
         uint256 allocPoint,
-        uint256 lastRewardBlock,
+        uint256 lastRewardTime,
         uint256 accDVTPerShare,
         uint256 depositFeeBP,
         uint256 harvestLockupPeriod,
@@ -428,7 +1020,7 @@ contract MasterChef is Ownable, ReentrancyGuard {
         return (
             address(pool.lpToken),
             pool.allocPoint,
-            pool.lastRewardBlock,
+            pool.lastRewardTime,
             pool.accDVTPerShare,
             pool.depositFeeBP,
             pool.harvestLockupPeriod,
@@ -437,19 +1029,88 @@ contract MasterChef is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Calculate APY for a pool (estimated)
+     * @dev DVT price in BNB, times 1e18, from the TWAP oracle. Zero without a price oracle
+     * or while the oracle lacks a full period of history, never the manipulable spot price.
      */
-    function calculatePoolAPY(uint256 _pid) external view returns (uint256) {
+    function dvtPriceInBNB() public view returns (uint256) {
+        if (address(priceOracle) == address(0)) return 0;
+        
+        try priceOracle.getTokenPrice() returns (uint256 price) {
+            return price;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev BNB value of the tokens staked in a pool. DVT is valued at dvtPriceInBNB and
+     * LiquidityPool LP tokens by their reserves; the oracle's own pool uses the fair LP price
+     * 2 * sqrt(k * price) so a skewed spot ratio cannot inflate it. Zero if unpriceable.
+     */
+    function poolStakedValueInBNB(uint256 _pid) public view returns (uint256) {
         require(_pid < poolInfo.length, "MasterChef: invalid pool ID");
         
         PoolInfo storage pool = poolInfo[_pid];
-        if (pool.totalStaked == 0 || totalAllocPoint == 0) return 0;
+        address lpToken = address(pool.lpToken);
+        if (pool.totalStaked == 0) return 0;
+        if (lpToken == address(dvt)) {
+            return (pool.totalStaked * dvtPriceInBNB()) / 1e18;
+        }
         
-        uint256 yearlyReward = dvtPerBlock * 10512000; // Assuming 3 sec blocks (2102400 blocks/year * 5)
-        uint256 poolYearlyReward = (yearlyReward * pool.allocPoint) / totalAllocPoint;
+        uint256 lpSupply = pool.lpToken.totalSupply();
+        try LiquidityPool(payable(lpToken)).reserveETH() returns (uint256 reserveETH) {
+            uint256 reservesValue = 2 * reserveETH;
+            if (address(priceOracle) != address(0) && lpToken == address(priceOracle.pool())) {
+                uint256 reserveToken = LiquidityPool(payable(lpToken)).reserveToken();
+                reservesValue = 2 * Math.sqrt((reserveETH * reserveToken * dvtPriceInBNB()) / 1e18);
+            }
+            return lpSupply == 0 ? 0 : (reservesValue * pool.totalStaked) / lpSupply;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Pool APR in basis points: the next year of the pool's DVT emissions valued in BNB,
+     * over the BNB value staked. Zero when either side cannot be priced.
+     */
+    function getPoolAPR(uint256 _pid) public view returns (uint256) {
+        uint256 stakedValue = poolStakedValueInBNB(_pid);
+        if (stakedValue == 0 || totalAllocPoint == 0) return 0;
+        
+        // Rate limits only delay emissions, so a year is capped by the lifetime minter cap alone
+        uint256 yearlyEmissions = emissionsBetween(block.timestamp, block.timestamp + secondsPerYear);
+        uint256 poolYearlyReward = _cappedReward((yearlyEmissions * poolInfo[_pid].allocPoint) / totalAllocPoint);
+        
+        return (((poolYearlyReward * dvtPriceInBNB()) / 1e18) * 10000) / stakedValue;
+    }
+
+    /**
+     * @dev Pool APY in basis points with rewards compounded `_compoundsPerYear` times a year.
+     * APRs above MAX_COMPOUNDED_APR are compounded as MAX_COMPOUNDED_APR.
+     */
+    function getPoolAPY(uint256 _pid, uint256 _compoundsPerYear) public view returns (uint256) {
+        require(_compoundsPerYear > 0, "MasterChef: invalid compounding");
+        
+        uint256 apr = Math.min(getPoolAPR(_pid), MAX_COMPOUNDED_APR);
         
-        // This is a simplified APY calculation
-        // In practice, you'd want to use token prices for accurate calculation
-        return (poolYearlyReward * 100) / pool.totalStaked;
+        // (1 + apr / n)^n - 1 in 1e18 fixed point, by repeated squaring
+        uint256 base = 1e18 + (apr * 1e14) / _compoundsPerYear;
+        uint256 growth = 1e18;
+        for (uint256 n = _compoundsPerYear; ; ) {
+            if (n % 2 == 1) growth = (growth * base) / 1e18;
+            n /= 2;
+            if (n == 0) break;
+            base = (base * base) / 1e18;
+        }
+        
+        return (growth - 1e18) / 1e14;
+    }
+
+    /**
+     * @dev Pool APY in basis points with daily compounding
+     */
+    function calculatePoolAPY(uint256 _pid) external view returns (uint256) {
+        return getPoolAPY(_pid, DEFAULT_COMPOUNDS_PER_YEAR);
     }
 }
\ No newline at end of file
@@ -2,16 +2,49 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "./LiquidityPool.sol";
 
 /**
  * @title DeFiVault Token (DVT)
- * @dev ERC20 Token with minting functionality and basic security features
- * @notice Main utility token for the DeFiVault ecosystem
+ * @dev ERC20 Token with minting functionality, EIP-2612 permits, vote delegation,
+ * balance snapshots, an AMM transfer tax and basic security features
+ * @notice Main utility token for the DeFiVault ecosystem. Minting is gated by MINTER_ROLE and
+ * snapshots by SNAPSHOT_ROLE, which only the owner grants and revokes, so the roles follow
+ * ownership to the timelock.
  */
-contract MyToken is ERC20, Ownable, Pausable {
+contract MyToken is ERC20, ERC20Permit, ERC20Votes, Ownable, AccessControl, Pausable {
+    using Checkpoints for Checkpoints.Trace256;
+
+    struct WindowUsage {
+        uint256 window; // Block number or time window the amounts belong to
+        uint256 sent; // Amount sent in that window
+        uint256 received; // Amount received in that window
+    }
+
+    struct MintBucket {
+        uint64 id; // Bucket number, block.timestamp / bucket length
+        uint192 amount; // Minted during that bucket
+    }
+
+    struct MinterLimit {
+        uint256 cap; // Lifetime mint budget
+        uint256 minted; // Minted against the budget so far, kept when the role is revoked
+        uint256 periodCap; // Max minted in any rolling period, 0 for no rate limit
+        uint256 period; // Rate limit period in seconds
+        bool registered; // Set the first time the account becomes a minter
+        MintBucket[13] buckets; // Ring of recent mints for the rolling rate limit, RATE_LIMIT_BUCKETS + 1 long
+    }
+
     uint256 public constant MAX_SUPPLY = 1000000000 * 10**18; // 1 billion tokens
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant SNAPSHOT_ROLE = keccak256("SNAPSHOT_ROLE");
+    uint256 public constant RATE_LIMIT_BUCKETS = 12; // Rate limit periods are tracked in twelfths
     uint256 public totalMinted;
     
     // Anti-whale protection
@@ -21,19 +54,81 @@ contract MyToken is ERC20, Ownable, Pausable {
     // Exemptions from limits
     mapping(address => bool) public isExemptFromLimits;
     
-    // Minting permissions
-    mapping(address => bool) public minters;
+    // Cumulative limits: each address may send and receive at most maxTx per window
+    bool public limitsEnabled = true; // Anti-whale limits, off for good once removed
+    uint256 public limitWindow; // Window length in seconds, 0 for a single block
+    mapping(address => WindowUsage) private _windowUsage;
+    
+    // Launch schedule: limits grow linearly from the launch values to maxTx and maxWallet
+    uint256 public launchTime;
+    uint256 public launchDuration;
+    uint256 public launchMaxTxAmount;
+    uint256 public launchMaxWalletAmount;
+    
+    // Transfer tax, in basis points. Buys come from an AMM pair, sells go to one.
+    // Adding liquidity sends DVT to the pair and removing it sends DVT from the pair, so
+    // unless the LP is tax-exempt, adding is taxed as a sell and removing as a buy.
+    uint256 public constant MAX_TAX = 1000; // 10% hard cap on each rate
+    uint256 public buyTax;
+    uint256 public sellTax;
+    uint256 public transferTax;
+    mapping(address => bool) public isAmmPair;
+    mapping(address => bool) public isExemptFromTax;
+    
+    // Tax split, in basis points of the collected tax
+    uint256 public treasuryShare = 4000; // 40% sent to the treasury
+    uint256 public burnShare = 2000; // 20% burned
+    uint256 public liquidityShare = 4000; // 40% held for swap-back into liquidity
+    address public treasury; // Receives treasury tax and swap-back LP tokens
+    
+    // Swap-back of the liquidity share through LiquidityPool
+    LiquidityPool public liquidityPool;
+    bool public swapBackEnabled;
+    uint256 public swapBackThreshold;
+    uint256 public tokensForLiquidity; // Liquidity share held by this contract
+    bool private _inSwapBack;
+    uint256 public constant SWAP_BACK_TWAP_PERIOD = 30 minutes; // TWAP window bounding swap-back sells
+    uint256 public constant SWAP_BACK_MAX_SLIPPAGE = 500; // Max 5% below the TWAP, in basis points
+    
+    // Per-minter budgets
+    mapping(address => MinterLimit) public minterLimits;
+    
+    // Balance snapshots. Values are recorded lazily, on the first change after each snapshot.
+    uint256 public currentSnapshotId;
+    mapping(uint256 => uint256) public snapshotBlock; // Block number each snapshot was taken at
+    mapping(address => Checkpoints.Trace256) private _accountBalanceSnapshots;
+    Checkpoints.Trace256 private _totalSupplySnapshots;
     
     event MinterAdded(address indexed account);
     event MinterRemoved(address indexed account);
+    event MinterLimitsUpdated(address indexed account, uint256 cap, uint256 periodCap, uint256 period);
+    event MinterCapReached(address indexed account, uint256 minted);
+    event MinterRateLimitReached(address indexed account, uint256 periodMinted);
     event TokensMinted(address indexed to, uint256 amount);
     event TokensBurned(address indexed from, uint256 amount);
     event MaxWalletAmountUpdated(uint256 newAmount);
     event MaxTxAmountUpdated(uint256 newAmount);
     event ExemptionUpdated(address indexed account, bool exempt);
+    event LimitWindowUpdated(uint256 window);
+    event LaunchScheduleSet(uint256 launchTime, uint256 duration, uint256 maxTxAmount, uint256 maxWalletAmount);
+    event LimitsRemoved();
+    event Snapshot(uint256 id);
+    event TaxRatesUpdated(uint256 buyTax, uint256 sellTax, uint256 transferTax);
+    event TaxSplitUpdated(uint256 treasuryShare, uint256 burnShare, uint256 liquidityShare);
+    event TreasuryUpdated(address indexed treasury);
+    event AmmPairUpdated(address indexed pair, bool isPair);
+    event TaxExemptionUpdated(address indexed account, bool exempt);
+    event SwapBackSettingsUpdated(address indexed liquidityPool, bool enabled, uint256 threshold);
+    event TaxCollected(address indexed from, uint256 treasuryAmount, uint256 burnAmount, uint256 liquidityAmount);
+    event SwapBack(uint256 tokensSwapped, uint256 ethReceived, uint256 tokensIntoLiquidity, uint256 liquidity);
 
     modifier onlyMinter() {
-        require(minters[msg.sender] || msg.sender == owner(), "MyToken: caller is not a minter");
+        require(hasRole(MINTER_ROLE, msg.sender) || msg.sender == owner(), "MyToken: caller is not a minter");
+        _;
+    }
+
+    modifier onlySnapshotter() {
+        require(hasRole(SNAPSHOT_ROLE, msg.sender) || msg.sender == owner(), "MyToken: caller is not a snapshotter");
         _;
     }
 
@@ -41,7 +136,7 @@ contract MyToken is ERC20, Ownable, Pausable {
         string memory name,
         string memory symbol,
         uint256 initialSupply
-    ) ERC20(name, symbol) Ownable(msg.sender) {
+    ) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {
         require(initialSupply <= MAX_SUPPLY, "MyToken: initial supply exceeds max supply");
         
         if (initialSupply > 0) {
@@ -50,10 +145,15 @@ contract MyToken is ERC20, Ownable, Pausable {
         }
         
         // Add deployer as initial minter and exempt from limits
-        minters[msg.sender] = true;
+        _grantRole(MINTER_ROLE, msg.sender);
         isExemptFromLimits[msg.sender] = true;
-        emit MinterAdded(msg.sender);
         emit ExemptionUpdated(msg.sender, true);
+        
+        // Deployer receives tax until a treasury is set; the token's own swap-backs are untaxed
+        treasury = msg.sender;
+        isExemptFromTax[msg.sender] = true;
+        isExemptFromTax[address(this)] = true;
+        isExemptFromLimits[address(this)] = true;
     }
 
     /**
@@ -66,6 +166,10 @@ contract MyToken is ERC20, Ownable, Pausable {
         require(amount > 0, "MyToken: mint amount must be greater than 0");
         require(totalMinted + amount <= MAX_SUPPLY, "MyToken: minting would exceed max supply");
         
+        if (hasRole(MINTER_ROLE, msg.sender)) {
+            _useMinterAllowance(msg.sender, amount);
+        }
+        
         _mint(to, amount);
         totalMinted += amount;
         
@@ -87,26 +191,121 @@ contract MyToken is ERC20, Ownable, Pausable {
     }
 
     /**
-     * @dev Add minter role to address
+     * @dev Grant MINTER_ROLE to address. A new minter is uncapped until setMinterLimits is
+     * called; a former minter gets back its previous limits and what it already minted.
      * @param account Address to add as minter
      */
     function addMinter(address account) external onlyOwner {
         require(account != address(0), "MyToken: minter cannot be zero address");
-        require(!minters[account], "MyToken: account is already a minter");
+        require(!hasRole(MINTER_ROLE, account), "MyToken: account is already a minter");
         
-        minters[account] = true;
-        emit MinterAdded(account);
+        _grantRole(MINTER_ROLE, account);
     }
 
     /**
-     * @dev Remove minter role from address
+     * @dev Revoke MINTER_ROLE from address, keeping its limits and minted amount
      * @param account Address to remove from minters
      */
     function removeMinter(address account) external onlyOwner {
-        require(minters[account], "MyToken: account is not a minter");
+        require(hasRole(MINTER_ROLE, account), "MyToken: account is not a minter");
         
-        minters[account] = false;
-        emit MinterRemoved(account);
+        _revokeRole(MINTER_ROLE, account);
+    }
+
+    /**
+     * @dev Roles are managed by the owner rather than by role admins
+     */
+    function grantRole(bytes32 role, address account) public override onlyOwner {
+        require(account != address(0), "MyToken: role cannot be granted to zero address");
+        _grantRole(role, account);
+    }
+
+    /**
+     * @dev Roles are managed by the owner rather than by role admins
+     */
+    function revokeRole(bytes32 role, address account) public override onlyOwner {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @dev Cap what a minter can mint over its lifetime and per period
+     * @param account Minter to limit
+     * @param cap Lifetime budget, including anything already minted
+     * @param periodCap Max minted in any rolling `period`, 0 to disable the rate limit
+     * @param period Rate limit period in seconds. Changing it restarts the rate limit history.
+     */
+    function setMinterLimits(address account, uint256 cap, uint256 periodCap, uint256 period) external onlyOwner {
+        require(hasRole(MINTER_ROLE, account), "MyToken: account is not a minter");
+        require(periodCap == 0 || period > 0, "MyToken: invalid rate limit period");
+        
+        MinterLimit storage limit = minterLimits[account];
+        if (period != limit.period) {
+            delete limit.buckets;
+        }
+        limit.cap = cap;
+        limit.periodCap = periodCap;
+        limit.period = period;
+        
+        emit MinterLimitsUpdated(account, cap, periodCap, period);
+    }
+
+    /**
+     * @dev Amount `account` can still mint over its lifetime, ignoring the rate limit
+     */
+    function remainingMinterCap(address account) public view returns (uint256) {
+        uint256 supplyLeft = MAX_SUPPLY - totalMinted;
+        if (!hasRole(MINTER_ROLE, account)) {
+            return account == owner() ? supplyLeft : 0;
+        }
+        
+        MinterLimit storage limit = minterLimits[account];
+        uint256 capLeft = limit.cap > limit.minted ? limit.cap - limit.minted : 0;
+        return capLeft < supplyLeft ? capLeft : supplyLeft;
+    }
+
+    /**
+     * @dev Amount `account` can mint right now, within its lifetime cap, rate limit and max supply
+     */
+    function mintableBy(address account) external view returns (uint256) {
+        uint256 mintable = remainingMinterCap(account);
+        
+        MinterLimit storage limit = minterLimits[account];
+        if (hasRole(MINTER_ROLE, account) && limit.periodCap > 0) {
+            uint256 periodMinted = _periodMinted(limit);
+            uint256 periodLeft = limit.periodCap > periodMinted ? limit.periodCap - periodMinted : 0;
+            if (periodLeft < mintable) {
+                mintable = periodLeft;
+            }
+        }
+        return mintable;
+    }
+
+    /**
+     * @dev Record balances and total supply as of now under a new snapshot id
+     * @return The new snapshot id
+     */
+    function snapshot() external onlySnapshotter returns (uint256) {
+        currentSnapshotId += 1;
+        snapshotBlock[currentSnapshotId] = block.number;
+        
+        emit Snapshot(currentSnapshotId);
+        return currentSnapshotId;
+    }
+
+    /**
+     * @dev Balance of `account` when snapshot `snapshotId` was taken
+     */
+    function balanceOfAt(address account, uint256 snapshotId) external view returns (uint256) {
+        (bool snapshotted, uint256 value) = _valueAt(snapshotId, _accountBalanceSnapshots[account]);
+        return snapshotted ? value : balanceOf(account);
+    }
+
+    /**
+     * @dev Total supply when snapshot `snapshotId` was taken
+     */
+    function totalSupplyAt(uint256 snapshotId) external view returns (uint256) {
+        (bool snapshotted, uint256 value) = _valueAt(snapshotId, _totalSupplySnapshots);
+        return snapshotted ? value : totalSupply();
     }
 
     /**
@@ -155,6 +354,172 @@ contract MyToken is ERC20, Ownable, Pausable {
         emit ExemptionUpdated(account, exempt);
     }
 
+    /**
+     * @dev Set the window over which sends and receives add up against maxTx, 0 for per block
+     */
+    function setLimitWindow(uint256 _limitWindow) external onlyOwner {
+        require(_limitWindow <= 1 days, "MyToken: limit window too long");
+        
+        limitWindow = _limitWindow;
+        emit LimitWindowUpdated(_limitWindow);
+    }
+
+    /**
+     * @dev Start with tighter limits that relax linearly to maxTx and maxWallet over `_duration`
+     * @param _launchTime Launch timestamp, 0 for now
+     */
+    function setLaunchSchedule(
+        uint256 _launchTime,
+        uint256 _duration,
+        uint256 _launchMaxTxAmount,
+        uint256 _launchMaxWalletAmount
+    ) external onlyOwner {
+        require(_duration > 0, "MyToken: zero launch duration");
+        require(_launchMaxTxAmount > 0 && _launchMaxWalletAmount > 0, "MyToken: zero launch limit");
+        require(
+            _launchMaxTxAmount <= maxTxAmount && _launchMaxWalletAmount <= maxWalletAmount,
+            "MyToken: launch limits exceed final limits"
+        );
+        
+        launchTime = _launchTime == 0 ? block.timestamp : _launchTime;
+        launchDuration = _duration;
+        launchMaxTxAmount = _launchMaxTxAmount;
+        launchMaxWalletAmount = _launchMaxWalletAmount;
+        emit LaunchScheduleSet(launchTime, _duration, _launchMaxTxAmount, _launchMaxWalletAmount);
+    }
+
+    /**
+     * @dev Turn off max transaction, max wallet and window limits permanently
+     */
+    function removeLimits() external onlyOwner {
+        require(limitsEnabled, "MyToken: limits already removed");
+        
+        limitsEnabled = false;
+        emit LimitsRemoved();
+    }
+
+    /**
+     * @dev Max transaction amount in force now, following the launch schedule
+     */
+    function currentMaxTxAmount() public view returns (uint256) {
+        if (!limitsEnabled) {
+            return type(uint256).max;
+        }
+        return _launchLimit(launchMaxTxAmount, maxTxAmount);
+    }
+
+    /**
+     * @dev Max wallet amount in force now, following the launch schedule
+     */
+    function currentMaxWalletAmount() public view returns (uint256) {
+        if (!limitsEnabled) {
+            return type(uint256).max;
+        }
+        return _launchLimit(launchMaxWalletAmount, maxWalletAmount);
+    }
+
+    /**
+     * @dev Most `account` can receive right now from a non-exempt sender, within the
+     * max wallet and what is left of its window allowance
+     */
+    function availableToReceive(address account) external view returns (uint256) {
+        if (!limitsEnabled || isExemptFromLimits[account]) {
+            return type(uint256).max;
+        }
+        
+        uint256 maxWallet = currentMaxWalletAmount();
+        uint256 walletLeft = maxWallet > balanceOf(account) ? maxWallet - balanceOf(account) : 0;
+        
+        WindowUsage storage usage = _windowUsage[account];
+        uint256 received = usage.window == _currentWindow() ? usage.received : 0;
+        uint256 maxTx = currentMaxTxAmount();
+        uint256 windowLeft = maxTx > received ? maxTx - received : 0;
+        
+        return walletLeft < windowLeft ? walletLeft : windowLeft;
+    }
+
+    /**
+     * @dev Set the buy, sell and wallet-to-wallet tax rates in basis points.
+     * Liquidity added through a pair pays the sell rate and liquidity removed pays the
+     * buy rate, so a non-exempt LP is taxed on both legs of a round trip.
+     */
+    function setTaxRates(uint256 _buyTax, uint256 _sellTax, uint256 _transferTax) external onlyOwner {
+        require(_buyTax <= MAX_TAX && _sellTax <= MAX_TAX && _transferTax <= MAX_TAX, "MyToken: tax too high");
+        
+        buyTax = _buyTax;
+        sellTax = _sellTax;
+        transferTax = _transferTax;
+        emit TaxRatesUpdated(_buyTax, _sellTax, _transferTax);
+    }
+
+    /**
+     * @dev Set how collected tax is split between treasury, burn and liquidity
+     */
+    function setTaxSplit(uint256 _treasuryShare, uint256 _burnShare, uint256 _liquidityShare) external onlyOwner {
+        require(_treasuryShare + _burnShare + _liquidityShare == 10000, "MyToken: tax split must total 10000");
+        
+        treasuryShare = _treasuryShare;
+        burnShare = _burnShare;
+        liquidityShare = _liquidityShare;
+        emit TaxSplitUpdated(_treasuryShare, _burnShare, _liquidityShare);
+    }
+
+    /**
+     * @dev Set the address receiving treasury tax and swap-back LP tokens
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "MyToken: invalid treasury");
+        
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev Mark an AMM pair so transfers from it are taxed as buys and to it as sells
+     */
+    function setAmmPair(address pair, bool isPair) external onlyOwner {
+        require(pair != address(0), "MyToken: invalid pair");
+        
+        isAmmPair[pair] = isPair;
+        emit AmmPairUpdated(pair, isPair);
+    }
+
+    /**
+     * @dev Set exemption from transfer tax for address
+     */
+    function setExemptFromTax(address account, bool exempt) external onlyOwner {
+        require(account != address(0), "MyToken: cannot exempt zero address");
+        
+        isExemptFromTax[account] = exempt;
+        emit TaxExemptionUpdated(account, exempt);
+    }
+
+    /**
+     * @dev Configure the pool and threshold used to turn the liquidity share into LP
+     */
+    function setSwapBackSettings(LiquidityPool _liquidityPool, bool _enabled, uint256 _threshold) external onlyOwner {
+        require(
+            address(_liquidityPool) == address(0) || address(_liquidityPool.token()) == address(this),
+            "MyToken: pool does not trade DVT"
+        );
+        require(!_enabled || address(_liquidityPool) != address(0), "MyToken: no pool for swap-back");
+        
+        liquidityPool = _liquidityPool;
+        swapBackEnabled = _enabled;
+        swapBackThreshold = _threshold;
+        emit SwapBackSettingsUpdated(address(_liquidityPool), _enabled, _threshold);
+    }
+
+    /**
+     * @dev Swap back the accumulated liquidity share now, regardless of the threshold
+     */
+    function swapBack() external onlyOwner {
+        require(address(liquidityPool) != address(0), "MyToken: no pool for swap-back");
+        require(tokensForLiquidity > 0, "MyToken: nothing to swap back");
+        
+        _swapBack();
+    }
+
     /**
      * @dev Get remaining mintable supply
      */
@@ -166,43 +531,326 @@ contract MyToken is ERC20, Ownable, Pausable {
      * @dev Check if address is a minter
      */
     function isMinter(address account) external view returns (bool) {
-        return minters[account];
+        return hasRole(MINTER_ROLE, account);
     }
 
     /**
-     * @dev Check anti-whale limits for transfers
+     * @dev Set up an uncapped budget the first time an account becomes a minter
      */
-    function _checkLimits(address from, address to, uint256 amount) internal view {
-        // Skip limits for exempt addresses
-        if (isExemptFromLimits[from] || isExemptFromLimits[to]) {
+    function _grantRole(bytes32 role, address account) internal override returns (bool granted) {
+        granted = super._grantRole(role, account);
+        if (granted && role == MINTER_ROLE) {
+            MinterLimit storage limit = minterLimits[account];
+            if (!limit.registered) {
+                limit.registered = true;
+                limit.cap = type(uint256).max;
+            }
+            emit MinterAdded(account);
+        }
+    }
+
+    /**
+     * @dev Announce minter removals; the budget is kept for a later re-grant
+     */
+    function _revokeRole(bytes32 role, address account) internal override returns (bool revoked) {
+        revoked = super._revokeRole(role, account);
+        if (revoked && role == MINTER_ROLE) {
+            emit MinterRemoved(account);
+        }
+    }
+
+    /**
+     * @dev Charge a mint against the minter's lifetime cap and rolling rate limit
+     */
+    function _useMinterAllowance(address account, uint256 amount) private {
+        MinterLimit storage limit = minterLimits[account];
+        
+        require(limit.minted + amount <= limit.cap, "MyToken: minter cap exceeded");
+        limit.minted += amount;
+        if (limit.minted >= limit.cap) {
+            emit MinterCapReached(account, limit.minted);
+        }
+        
+        if (limit.periodCap > 0) {
+            uint256 periodMinted = _periodMinted(limit) + amount;
+            require(periodMinted <= limit.periodCap, "MyToken: minter rate limit exceeded");
+            
+            uint256 id = block.timestamp / _bucketLength(limit.period);
+            MintBucket storage bucket = limit.buckets[id % (RATE_LIMIT_BUCKETS + 1)];
+            if (bucket.id != id) {
+                bucket.id = uint64(id);
+                bucket.amount = 0;
+            }
+            bucket.amount += uint192(amount);
+            
+            if (periodMinted >= limit.periodCap) {
+                emit MinterRateLimitReached(account, periodMinted);
+            }
+        }
+    }
+
+    /**
+     * @dev Minted in the buckets overlapping the last `period` seconds. Buckets are
+     * period / RATE_LIMIT_BUCKETS long, rounded up, so the sum covers at least a full period.
+     */
+    function _periodMinted(MinterLimit storage limit) private view returns (uint256 total) {
+        uint256 current = block.timestamp / _bucketLength(limit.period);
+        for (uint256 i = 0; i <= RATE_LIMIT_BUCKETS; i++) {
+            MintBucket storage bucket = limit.buckets[i];
+            if (bucket.id + RATE_LIMIT_BUCKETS >= current) {
+                total += bucket.amount;
+            }
+        }
+    }
+
+    /**
+     * @dev Length of a rate limit bucket for `period`
+     */
+    function _bucketLength(uint256 period) private pure returns (uint256) {
+        return (period + RATE_LIMIT_BUCKETS - 1) / RATE_LIMIT_BUCKETS;
+    }
+
+    /**
+     * @dev Value recorded for `snapshotId`, or false if it has not changed since then
+     */
+    function _valueAt(uint256 snapshotId, Checkpoints.Trace256 storage snapshots) private view returns (bool, uint256) {
+        require(snapshotId > 0, "MyToken: snapshot id is 0");
+        require(snapshotId <= currentSnapshotId, "MyToken: nonexistent snapshot id");
+        
+        (bool exists, uint256 latestId, ) = snapshots.latestCheckpoint();
+        if (!exists || latestId < snapshotId) {
+            return (false, 0);
+        }
+        return (true, snapshots.lowerLookup(snapshotId));
+    }
+
+    /**
+     * @dev Tax owed on a transfer; mints, burns, exempt accounts and swap-backs are untaxed
+     */
+    function _taxFor(address from, address to, uint256 amount) private view returns (uint256) {
+        if (_inSwapBack || from == address(0) || to == address(0) || isExemptFromTax[from] || isExemptFromTax[to]) {
+            return 0;
+        }
+        
+        uint256 rate = isAmmPair[from] ? buyTax : (isAmmPair[to] ? sellTax : transferTax);
+        return (amount * rate) / 10000;
+    }
+
+    /**
+     * @dev Split `tax` from `from` between treasury, burn and the swap-back balance.
+     * Burned tax does not free up room under MAX_SUPPLY, unlike burn().
+     */
+    function _collectTax(address from, uint256 tax) private {
+        uint256 treasuryAmount = (tax * treasuryShare) / 10000;
+        uint256 burnAmount = (tax * burnShare) / 10000;
+        uint256 liquidityAmount = tax - treasuryAmount - burnAmount;
+        
+        if (treasuryAmount > 0) {
+            _move(from, treasury, treasuryAmount);
+        }
+        if (burnAmount > 0) {
+            _move(from, address(0), burnAmount);
+        }
+        if (liquidityAmount > 0) {
+            _move(from, address(this), liquidityAmount);
+            tokensForLiquidity += liquidityAmount;
+        }
+        
+        emit TaxCollected(from, treasuryAmount, burnAmount, liquidityAmount);
+    }
+
+    /**
+     * @dev Sell half the liquidity share for BNB and add both sides to the pool, LP to the treasury.
+     * The sell must get within SWAP_BACK_MAX_SLIPPAGE of the pool's TWAP, so a sandwiched spot
+     * price cannot drain it. Pool calls are wrapped so a failed swap-back (e.g. the pool is
+     * mid-swap, lacks TWAP history or is pushed too far) never blocks a transfer.
+     */
+    function _swapBack() private {
+        _inSwapBack = true;
+        
+        uint256 amount = tokensForLiquidity;
+        uint256 half = amount / 2;
+        _approve(address(this), address(liquidityPool), amount);
+        
+        try liquidityPool.consult(SWAP_BACK_TWAP_PERIOD) returns (uint256, uint256 priceETH) {
+            uint256 minETHOut = (half * priceETH * (10000 - SWAP_BACK_MAX_SLIPPAGE)) / 1e18 / 10000;
+            
+            try liquidityPool.swapExactTokensForETHSupportingFeeOnTransferTokens(half, minETHOut, address(this), block.timestamp) {
+                tokensForLiquidity -= half;
+                uint256 ethReceived = address(this).balance;
+                
+                // Priced by the sell just made in this transaction, so no minimums are needed here
+                try liquidityPool.addLiquidity{value: ethReceived}(amount - half, 0, 0, treasury, block.timestamp) returns (
+                    uint256 amountToken,
+                    uint256,
+                    uint256 liquidity
+                ) {
+                    tokensForLiquidity -= amountToken;
+                    emit SwapBack(half, ethReceived, amountToken, liquidity);
+                } catch {}
+            } catch {}
+        } catch {}
+        
+        _approve(address(this), address(liquidityPool), 0);
+        _inSwapBack = false;
+    }
+
+    /**
+     * @dev Move tokens, recording balance and total supply snapshots first
+     */
+    function _move(address from, address to, uint256 amount) private {
+        if (from == address(0) || to == address(0)) {
+            _updateSnapshot(_totalSupplySnapshots, totalSupply());
+        }
+        if (from != address(0)) {
+            _updateSnapshot(_accountBalanceSnapshots[from], balanceOf(from));
+        }
+        if (to != address(0)) {
+            _updateSnapshot(_accountBalanceSnapshots[to], balanceOf(to));
+        }
+        
+        super._update(from, to, amount);
+    }
+
+    /**
+     * @dev Store the pre-change value under the current snapshot id, once per snapshot
+     */
+    function _updateSnapshot(Checkpoints.Trace256 storage snapshots, uint256 currentValue) private {
+        if (currentSnapshotId == 0) {
+            return;
+        }
+        
+        (bool exists, uint256 latestId, ) = snapshots.latestCheckpoint();
+        if (!exists || latestId < currentSnapshotId) {
+            snapshots.push(currentSnapshotId, currentValue);
+        }
+    }
+
+    /**
+     * @dev Check anti-whale limits for transfers, counting the amount against the window
+     * allowance of both sender and recipient. Runs after balances are updated. An exempt
+     * AMM pair is not limited itself but does not shield the other side of a trade.
+     */
+    function _checkLimits(address from, address to, uint256 amount) internal {
+        bool fromPair = isAmmPair[from];
+        bool toPair = isAmmPair[to];
+        
+        // Skip limits for exempt addresses or once they are removed
+        if (
+            !limitsEnabled ||
+            (isExemptFromLimits[from] && !fromPair) ||
+            (isExemptFromLimits[to] && !toPair)
+        ) {
             return;
         }
         
         // Check max transaction amount
-        if (amount > maxTxAmount) {
+        uint256 maxTx = currentMaxTxAmount();
+        if (amount > maxTx) {
             revert("MyToken: transfer amount exceeds max transaction limit");
         }
         
-        // Check max wallet amount for recipient
-        if (to != address(0) && balanceOf(to) + amount > maxWalletAmount) {
-            revert("MyToken: transfer would exceed max wallet limit");
+        // Check cumulative amounts within the window, so splitting a transfer does not help
+        uint256 window = _currentWindow();
+        if (!fromPair) {
+            WindowUsage storage sender = _useWindow(from, window);
+            sender.sent += amount;
+            if (sender.sent > maxTx) {
+                revert("MyToken: window transfer limit exceeded");
+            }
+        }
+        if (!toPair) {
+            WindowUsage storage recipient = _useWindow(to, window);
+            recipient.received += amount;
+            if (recipient.received > maxTx) {
+                revert("MyToken: window transfer limit exceeded");
+            }
+            
+            // Check max wallet amount for recipient
+            if (balanceOf(to) > currentMaxWalletAmount()) {
+                revert("MyToken: transfer would exceed max wallet limit");
+            }
+        }
+    }
+
+    /**
+     * @dev Window usage of `account`, reset if it belongs to an earlier window
+     */
+    function _useWindow(address account, uint256 window) private returns (WindowUsage storage usage) {
+        usage = _windowUsage[account];
+        if (usage.window != window) {
+            usage.window = window;
+            usage.sent = 0;
+            usage.received = 0;
+        }
+    }
+
+    /**
+     * @dev Current limit window: the block number, or the timestamp bucket of limitWindow seconds
+     */
+    function _currentWindow() private view returns (uint256) {
+        return limitWindow == 0 ? block.number : block.timestamp / limitWindow;
+    }
+
+    /**
+     * @dev Interpolate a limit from its launch value to `finalValue` over the launch schedule
+     */
+    function _launchLimit(uint256 launchValue, uint256 finalValue) private view returns (uint256) {
+        if (launchTime == 0 || block.timestamp >= launchTime + launchDuration || launchValue >= finalValue) {
+            return finalValue;
+        }
+        if (block.timestamp <= launchTime) {
+            return launchValue;
         }
+        return launchValue + ((finalValue - launchValue) * (block.timestamp - launchTime)) / launchDuration;
     }
 
     /**
-     * @dev Override transfer to include pause functionality
+     * @dev Override transfer to include pause functionality, transfer tax, balance snapshots
+     * and vote checkpoints
      */
     function _update(
         address from,
         address to,
         uint256 amount
-    ) internal virtual override {
-        super._update(from, to, amount);
+    ) internal virtual override(ERC20, ERC20Votes) {
+        uint256 tax = _taxFor(from, to, amount);
+        if (tax > 0) {
+            _collectTax(from, tax);
+        }
+        
+        _move(from, to, amount - tax);
         require(!paused(), "MyToken: token transfer while paused");
         
-        // Apply anti-whale limits only for transfers (not minting or burning)
+        // Apply anti-whale limits only for transfers (not minting or burning), on the amount
+        // that actually moves between the two so tax is not counted as received
         if (from != address(0) && to != address(0)) {
-            _checkLimits(from, to, amount);
+            _checkLimits(from, to, amount - tax);
+            
+            // Swap back on wallet transfers only, never while a pool is moving tokens
+            if (
+                swapBackEnabled &&
+                !_inSwapBack &&
+                !isAmmPair[from] &&
+                !isAmmPair[to] &&
+                tokensForLiquidity >= swapBackThreshold &&
+                tokensForLiquidity > 0
+            ) {
+                _swapBack();
+            }
         }
     }
+
+    /**
+     * @dev Accept BNB from swap-backs. LiquidityPool pays out with a 2300 gas stipend, so there
+     * is no sender check; any BNB held here is paired into liquidity on the next swap-back.
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Permit and vote delegation signatures share one nonce per account
+     */
+    function nonces(address account) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(account);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./LiquidityPool.sol";
+import "./TokenPair.sol";
+import "./libraries/LiquidityPoolDeployer.sol";
+import "./libraries/TokenPairDeployer.sol";
+
+/**
+ * @title PairFactory
+ * @dev Deploys and registers ERC20/BNB LiquidityPools and ERC20/ERC20 TokenPairs
+ * @notice Native BNB is represented by address(0) in pair lookups and router paths
+ */
+contract PairFactory is Ownable {
+    address public constant BNB = address(0); // Native BNB placeholder
+
+    address public feeRecipient; // Protocol fee recipient for new pairs
+
+    mapping(address => mapping(address => address)) public getPair; // tokenA => tokenB => pair (both directions)
+    mapping(address => bool) public isPair; // Whether an address is a registered pair
+    address[] public allPairs; // All registered pairs
+
+    event PairCreated(address indexed token0, address indexed token1, address pair, uint256 pairCount);
+    event PairRegistered(address indexed token0, address indexed token1, address pair, uint256 pairCount);
+    event FeeRecipientUpdated(address newRecipient);
+
+    constructor(address _feeRecipient) Ownable(msg.sender) {
+        require(_feeRecipient != address(0), "PairFactory: invalid fee recipient");
+        feeRecipient = _feeRecipient;
+    }
+
+    /**
+     * @dev Get number of registered pairs
+     */
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    /**
+     * @dev Sort two token addresses the way TokenPair orders them
+     */
+    function sortTokens(address tokenA, address tokenB) public pure returns (address token0, address token1) {
+        require(tokenA != tokenB, "PairFactory: identical addresses");
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+    }
+
+    /**
+     * @dev Deploy a new pair. Pass address(0) as either token for an ERC20/BNB pool.
+     * Ownership of the new pair is handed to the factory owner.
+     */
+    function createPair(address tokenA, address tokenB) external onlyOwner returns (address pair) {
+        (address token0, address token1) = sortTokens(tokenA, tokenB);
+        require(getPair[token0][token1] == address(0), "PairFactory: pair exists");
+
+        if (token0 == BNB) {
+            pair = LiquidityPoolDeployer.deploy(token1, feeRecipient);
+        } else {
+            pair = TokenPairDeployer.deploy(token0, token1, feeRecipient);
+        }
+        Ownable(pair).transferOwnership(owner());
+
+        _addPair(token0, token1, pair);
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    /**
+     * @dev Register an existing ERC20/BNB pool deployed outside the factory
+     */
+    function registerPool(LiquidityPool pool) external onlyOwner {
+        address token = address(pool.token());
+        require(getPair[BNB][token] == address(0), "PairFactory: pair exists");
+
+        _addPair(BNB, token, address(pool));
+        emit PairRegistered(BNB, token, address(pool), allPairs.length);
+    }
+
+    function _addPair(address token0, address token1, address pair) internal {
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        isPair[pair] = true;
+        allPairs.push(pair);
+    }
+
+    /**
+     * @dev Set protocol fee recipient for new pairs (owner only)
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "PairFactory: invalid fee recipient");
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+}
\ No newline at end of file
@@ -5,14 +5,19 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "./MyToken.sol";
 
 /**
  * @title ReferralSystem
  * @dev Multi-level referral system with commission tracking
- * @notice Referrers earn percentage of their referees' farming rewards
+ * @notice Referrers earn percentage of their referees' farming rewards. Besides operator
+ * registration, users can join through an EIP-712 invite signed by their referrer or
+ * through a short referral code the referrer has claimed.
  */
-contract ReferralSystem is Ownable, ReentrancyGuard {
+contract ReferralSystem is Ownable, ReentrancyGuard, EIP712, Nonces {
     using SafeERC20 for IERC20;
 
     struct ReferralInfo {
@@ -48,6 +53,17 @@ contract ReferralSystem is Ownable, ReentrancyGuard {
     uint256 public constant ACTIVITY_TIMEOUT = 90 days; // User considered inactive after 90 days
     uint256 public minReferralReward = 1000 * 10**18; // Minimum reward to trigger referral (1000 DVT)
     
+    // Signed invites: referee 0 is an open invite link usable by anyone until it expires
+    bytes32 public constant INVITE_TYPEHASH =
+        keccak256("Invite(address referrer,address referee,uint256 nonce,uint256 deadline)");
+    
+    // Referral codes: lowercase letters, digits, '-' and '_', left-aligned and zero-padded
+    mapping(bytes32 => address) public codeOwner; // Code => referrer holding it
+    mapping(address => bytes32) public referralCode; // Referrer => their code
+    mapping(bytes32 => address) public reservedCodes; // Code => only address allowed to claim it
+    mapping(bytes32 => bool) public blockedCodes; // Codes nobody can claim
+    uint256 public constant MIN_CODE_LENGTH = 3;
+    
     // Anti-gaming measures
     mapping(address => uint256) public lastReferralTime; // Prevent spam referrals
     uint256 public referralCooldown = 1 hours; // Cooldown between referrals
@@ -64,6 +80,12 @@ contract ReferralSystem is Ownable, ReentrancyGuard {
     event TierAdded(uint256 indexed tierId, string tierName, uint256 minReferrals, uint256 commissionRate);
     event TierUpdated(uint256 indexed tierId, uint256 minReferrals, uint256 commissionRate);
     event OperatorUpdated(address indexed operator, bool status);
+    event InvitesRevoked(address indexed referrer, uint256 nonce);
+    event CodeClaimed(bytes32 indexed code, address indexed owner);
+    event CodeTransferred(bytes32 indexed code, address indexed from, address indexed to);
+    event CodeReleased(bytes32 indexed code, address indexed owner);
+    event CodeReserved(bytes32 indexed code, address indexed reservedFor);
+    event CodeBlocked(bytes32 indexed code, bool blocked);
 
     modifier onlyOperator() {
         require(operators[msg.sender] || msg.sender == owner(), "ReferralSystem: not authorized");
@@ -73,7 +95,7 @@ contract ReferralSystem is Ownable, ReentrancyGuard {
     constructor(
         MyToken _dvt,
         address _masterChef
-    ) Ownable(msg.sender) {
+    ) Ownable(msg.sender) EIP712("DVT Referral", "1") {
         require(address(_dvt) != address(0), "ReferralSystem: invalid DVT address");
         require(_masterChef != address(0), "ReferralSystem: invalid MasterChef address");
         
@@ -97,6 +119,176 @@ contract ReferralSystem is Ownable, ReentrancyGuard {
      * @dev Register a referral relationship
      */
     function registerReferral(address _referee, address _referrer) external onlyOperator {
+        _registerReferral(_referee, _referrer);
+    }
+
+    /**
+     * @dev Register the caller under `_referrer` using an invite the referrer signed.
+     * Contract wallets can sign invites through ERC-1271. Invites are not consumed: an open
+     * invite can be used by anyone until its deadline, and the referrer's nonce only changes
+     * through revokeInvites, which cancels every outstanding invite at once.
+     * @param _referee Address the invite was signed for, or 0 for an open invite link
+     * @param _signature EIP-712 signature of the invite by `_referrer`
+     */
+    function registerWithInvite(
+        address _referrer,
+        address _referee,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external {
+        require(block.timestamp <= _deadline, "ReferralSystem: invite expired");
+        require(_referee == address(0) || _referee == msg.sender, "ReferralSystem: invite is for another user");
+        
+        bytes32 structHash = keccak256(abi.encode(INVITE_TYPEHASH, _referrer, _referee, nonces(_referrer), _deadline));
+        require(
+            SignatureChecker.isValidSignatureNow(_referrer, _hashTypedDataV4(structHash), _signature),
+            "ReferralSystem: invalid invite signature"
+        );
+        
+        _registerReferral(msg.sender, _referrer);
+    }
+
+    /**
+     * @dev Register the caller under the referrer holding `_code`
+     * @param _expectedReferrer Holder the caller resolved the code to, so a code transferred
+     * or re-claimed before this transaction lands cannot register the caller under someone else
+     */
+    function registerWithCode(bytes32 _code, address _expectedReferrer) external {
+        address referrer = codeOwner[_code];
+        require(referrer != address(0), "ReferralSystem: unknown code");
+        require(referrer == _expectedReferrer, "ReferralSystem: code holder changed");
+        
+        _registerReferral(msg.sender, referrer);
+    }
+
+    /**
+     * @dev Claim `_code` as the caller's referral code
+     */
+    function claimCode(bytes32 _code) external {
+        require(isValidCode(_code), "ReferralSystem: invalid code");
+        require(!blockedCodes[_code], "ReferralSystem: code blocked");
+        require(codeOwner[_code] == address(0), "ReferralSystem: code taken");
+        require(
+            reservedCodes[_code] == address(0) || reservedCodes[_code] == msg.sender,
+            "ReferralSystem: code reserved"
+        );
+        require(referralCode[msg.sender] == bytes32(0), "ReferralSystem: already has a code");
+        
+        delete reservedCodes[_code];
+        codeOwner[_code] = msg.sender;
+        referralCode[msg.sender] = _code;
+        
+        emit CodeClaimed(_code, msg.sender);
+    }
+
+    /**
+     * @dev Hand the caller's referral code to `_to`, who must not hold one
+     */
+    function transferCode(address _to) external {
+        bytes32 code = referralCode[msg.sender];
+        require(code != bytes32(0), "ReferralSystem: no code");
+        require(_to != address(0) && _to != msg.sender, "ReferralSystem: invalid recipient");
+        require(referralCode[_to] == bytes32(0), "ReferralSystem: already has a code");
+        
+        delete referralCode[msg.sender];
+        codeOwner[code] = _to;
+        referralCode[_to] = code;
+        
+        emit CodeTransferred(code, msg.sender, _to);
+    }
+
+    /**
+     * @dev Give up the caller's referral code so anyone can claim it
+     */
+    function releaseCode() external {
+        bytes32 code = referralCode[msg.sender];
+        require(code != bytes32(0), "ReferralSystem: no code");
+        
+        _releaseCode(code);
+    }
+
+    /**
+     * @dev Reserve an unclaimed code for `_reservedFor`, or 0 to lift the reservation
+     */
+    function reserveCode(bytes32 _code, address _reservedFor) external onlyOwner {
+        require(isValidCode(_code), "ReferralSystem: invalid code");
+        require(codeOwner[_code] == address(0), "ReferralSystem: code taken");
+        
+        reservedCodes[_code] = _reservedFor;
+        emit CodeReserved(_code, _reservedFor);
+    }
+
+    /**
+     * @dev Block or unblock a code. Blocking a claimed code takes it from its holder.
+     */
+    function setCodeBlocked(bytes32 _code, bool _blocked) external onlyOwner {
+        if (_blocked && codeOwner[_code] != address(0)) {
+            _releaseCode(_code);
+        }
+        
+        blockedCodes[_code] = _blocked;
+        emit CodeBlocked(_code, _blocked);
+    }
+
+    /**
+     * @dev Referrer holding `_code`, or address(0) if unclaimed
+     */
+    function resolveCode(bytes32 _code) external view returns (address) {
+        return codeOwner[_code];
+    }
+
+    /**
+     * @dev Whether `_code` is at least MIN_CODE_LENGTH of [a-z0-9_-], left-aligned and zero-padded
+     */
+    function isValidCode(bytes32 _code) public pure returns (bool) {
+        uint256 length = 0;
+        while (length < 32 && _code[length] != 0) {
+            bytes1 char = _code[length];
+            bool valid = (char >= "a" && char <= "z") || (char >= "0" && char <= "9") || char == "-" || char == "_";
+            if (!valid) {
+                return false;
+            }
+            length++;
+        }
+        
+        for (uint256 i = length; i < 32; i++) {
+            if (_code[i] != 0) {
+                return false;
+            }
+        }
+        return length >= MIN_CODE_LENGTH;
+    }
+
+    /**
+     * @dev Free `_code` from its current holder
+     */
+    function _releaseCode(bytes32 _code) internal {
+        address holder = codeOwner[_code];
+        delete codeOwner[_code];
+        delete referralCode[holder];
+        
+        emit CodeReleased(_code, holder);
+    }
+
+    /**
+     * @dev Invalidate every invite the caller has signed so far
+     */
+    function revokeInvites() external {
+        _useNonce(msg.sender);
+        emit InvitesRevoked(msg.sender, nonces(msg.sender));
+    }
+
+    /**
+     * @dev EIP-712 domain separator for invite signatures
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Link `_referee` to `_referrer`, enforcing cooldown and circular-reference checks
+     */
+    function _registerReferral(address _referee, address _referrer) internal {
         require(_referee != address(0), "ReferralSystem: invalid referee");
         require(_referrer != address(0), "ReferralSystem: invalid referrer");
         require(_referee != _referrer, "ReferralSystem: cannot refer yourself");
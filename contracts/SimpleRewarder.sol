@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IRewarder.sol";
+
+/**
+ * @title SimpleRewarder
+ * @dev Reference MasterChef rewarder streaming one ERC20 to the stakers of a pool
+ * @notice Partners fund this contract with the reward token; rewards accrue per second
+ * in proportion to staked LP (not boosted). Unfunded rewards stay owed until topped up.
+ */
+contract SimpleRewarder is IRewarder, Ownable {
+    using SafeERC20 for IERC20;
+
+    struct UserInfo {
+        uint256 amount; // LP staked in the MasterChef pool
+        uint256 rewardDebt; // Reward debt
+        uint256 unpaidRewards; // Rewards owed but not yet covered by the balance
+    }
+
+    IERC20 public immutable rewardToken; // Partner token streamed to stakers
+    address public immutable masterChef; // MasterChef calling the hooks
+    uint256 public immutable poolId; // MasterChef pool this rewarder is attached to
+
+    uint256 public rewardPerSecond; // Reward tokens distributed per second
+    uint256 public accRewardPerShare; // Accumulated rewards per share, times 1e12
+    uint256 public lastRewardTime; // Last time rewards were accrued
+    uint256 public totalShares; // Total LP of users known to this rewarder
+
+    mapping(address => UserInfo) public userInfo;
+
+    event RewardPaid(address indexed user, address indexed recipient, uint256 amount);
+    event RewardRateUpdated(uint256 newRate);
+
+    modifier onlyMasterChef() {
+        require(msg.sender == masterChef, "SimpleRewarder: caller is not MasterChef");
+        _;
+    }
+
+    constructor(
+        IERC20 _rewardToken,
+        address _masterChef,
+        uint256 _poolId,
+        uint256 _rewardPerSecond
+    ) Ownable(msg.sender) {
+        require(address(_rewardToken) != address(0), "SimpleRewarder: invalid reward token");
+        require(_masterChef != address(0), "SimpleRewarder: invalid MasterChef address");
+
+        rewardToken = _rewardToken;
+        masterChef = _masterChef;
+        poolId = _poolId;
+        rewardPerSecond = _rewardPerSecond;
+        lastRewardTime = block.timestamp;
+    }
+
+    /**
+     * @dev Pay accrued rewards and record the user's new stake
+     */
+    function onDVTReward(
+        uint256 _pid,
+        address _user,
+        address _recipient,
+        uint256,
+        uint256 _newLpAmount
+    ) external override onlyMasterChef {
+        require(_pid == poolId, "SimpleRewarder: wrong pool");
+        updatePool();
+
+        UserInfo storage user = userInfo[_user];
+        uint256 pending = (user.amount * accRewardPerShare) / 1e12 - user.rewardDebt + user.unpaidRewards;
+
+        if (pending > 0) {
+            uint256 balance = rewardToken.balanceOf(address(this));
+            uint256 payout = pending > balance ? balance : pending;
+            user.unpaidRewards = pending - payout;
+            if (payout > 0) {
+                rewardToken.safeTransfer(_recipient, payout);
+                emit RewardPaid(_user, _recipient, payout);
+            }
+        }
+
+        totalShares = totalShares - user.amount + _newLpAmount;
+        user.amount = _newLpAmount;
+        user.rewardDebt = (_newLpAmount * accRewardPerShare) / 1e12;
+    }
+
+    /**
+     * @dev Pending reward tokens of `_user`
+     */
+    function pendingTokens(
+        uint256 _pid,
+        address _user,
+        uint256
+    ) external view override returns (IERC20[] memory rewardTokens, uint256[] memory rewardAmounts) {
+        rewardTokens = new IERC20[](1);
+        rewardAmounts = new uint256[](1);
+        rewardTokens[0] = rewardToken;
+        if (_pid == poolId) {
+            rewardAmounts[0] = pendingReward(_user);
+        }
+    }
+
+    /**
+     * @dev Pending reward tokens of `_user` including owed unpaid rewards
+     */
+    function pendingReward(address _user) public view returns (uint256) {
+        UserInfo storage user = userInfo[_user];
+        uint256 acc = accRewardPerShare;
+
+        if (block.timestamp > lastRewardTime && totalShares != 0) {
+            acc += ((block.timestamp - lastRewardTime) * rewardPerSecond * 1e12) / totalShares;
+        }
+
+        return (user.amount * acc) / 1e12 - user.rewardDebt + user.unpaidRewards;
+    }
+
+    /**
+     * @dev Accrue rewards up to now
+     */
+    function updatePool() public {
+        if (block.timestamp <= lastRewardTime) {
+            return;
+        }
+
+        if (totalShares > 0) {
+            accRewardPerShare += ((block.timestamp - lastRewardTime) * rewardPerSecond * 1e12) / totalShares;
+        }
+        lastRewardTime = block.timestamp;
+    }
+
+    /**
+     * @dev Update the reward rate
+     */
+    function setRewardPerSecond(uint256 _rewardPerSecond) external onlyOwner {
+        updatePool();
+        rewardPerSecond = _rewardPerSecond;
+        emit RewardRateUpdated(_rewardPerSecond);
+    }
+
+    /**
+     * @dev Recover tokens, e.g. unused rewards at the end of a campaign
+     */
+    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner {
+        IERC20(_token).safeTransfer(owner(), _amount);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,239 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./PairFactory.sol";
+import "./LiquidityPool.sol";
+import "./TokenPair.sol";
+
+/**
+ * @title SwapRouter
+ * @dev Quotes and executes multi-hop swaps across PairFactory pairs
+ * @notice Paths use address(0) for native BNB, e.g. [USDT, address(0), DVT]
+ */
+contract SwapRouter {
+    using SafeERC20 for IERC20;
+
+    address public constant BNB = address(0); // Native BNB placeholder
+    PairFactory public immutable factory;
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "SwapRouter: EXPIRED");
+        _;
+    }
+
+    constructor(PairFactory _factory) {
+        require(address(_factory) != address(0), "SwapRouter: invalid factory address");
+        factory = _factory;
+    }
+
+    /**
+     * @dev Swap an exact amount of tokens for as many output tokens as possible
+     */
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path[0] != BNB && path[path.length - 1] != BNB, "SwapRouter: INVALID_PATH");
+
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, pairFor(path[0], path[1]), amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev Swap exact BNB for as many output tokens as possible
+     */
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256[] memory amounts) {
+        require(path[0] == BNB && path[path.length - 1] != BNB, "SwapRouter: INVALID_PATH");
+
+        amounts = getAmountsOut(msg.value, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        payable(pairFor(path[0], path[1])).transfer(amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev Swap an exact amount of tokens for as much BNB as possible
+     */
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path[0] != BNB && path[path.length - 1] == BNB, "SwapRouter: INVALID_PATH");
+
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[amounts.length - 1] >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, pairFor(path[0], path[1]), amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev Swap an exact amount of tokens for output tokens, supporting tokens that take a
+     * fee on transfer (e.g. DVT with its tax on). Each hop is priced on what the pair actually
+     * received, and `amountOutMin` is checked against what `to` actually receives.
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) {
+        require(path[0] != BNB && path[path.length - 1] != BNB, "SwapRouter: INVALID_PATH");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, pairFor(path[0], path[1]), amountIn);
+        IERC20 output = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = output.balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(output.balanceOf(to) - balanceBefore >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    /**
+     * @dev Swap exact BNB for output tokens, checking what `to` actually receives
+     */
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) {
+        require(path[0] == BNB && path[path.length - 1] != BNB, "SwapRouter: INVALID_PATH");
+
+        payable(pairFor(path[0], path[1])).transfer(msg.value);
+        IERC20 output = IERC20(path[path.length - 1]);
+        uint256 balanceBefore = output.balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(output.balanceOf(to) - balanceBefore >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    /**
+     * @dev Swap an exact amount of fee-on-transfer tokens for BNB, checking what `to` actually receives
+     */
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) {
+        require(path[0] != BNB && path[path.length - 1] == BNB, "SwapRouter: INVALID_PATH");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, pairFor(path[0], path[1]), amountIn);
+        uint256 balanceBefore = to.balance;
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(to.balance - balanceBefore >= amountOutMin, "SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    /**
+     * @dev Execute each hop; inputs were already sent to the first pair and every
+     * hop sends its output straight to the next pair
+     */
+    function _swap(uint256[] memory amounts, address[] calldata path, address _to) internal {
+        require(_to != address(0), "SwapRouter: invalid recipient");
+
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            uint256 amountOut = amounts[i + 1];
+            address to = i < path.length - 2 ? pairFor(output, path[i + 2]) : _to;
+            address pair = pairFor(input, output);
+
+            if (input == BNB) {
+                LiquidityPool(payable(pair)).swap(0, amountOut, to, "");
+            } else if (output == BNB) {
+                LiquidityPool(payable(pair)).swap(amountOut, 0, to, "");
+            } else {
+                (uint256 amount0Out, uint256 amount1Out) = input < output ? (uint256(0), amountOut) : (amountOut, uint256(0));
+                TokenPair(pair).swap(amount0Out, amount1Out, to);
+            }
+        }
+    }
+
+    /**
+     * @dev Execute each hop, pricing it on the pair's balance above its reserve so transfer
+     * fees taken on the way in are not counted as input
+     */
+    function _swapSupportingFeeOnTransferTokens(address[] calldata path, address _to) internal {
+        require(_to != address(0), "SwapRouter: invalid recipient");
+
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            address to = i < path.length - 2 ? pairFor(output, path[i + 2]) : _to;
+            address pair = pairFor(input, output);
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(input, output);
+            uint256 amountInput = (input == BNB ? pair.balance : IERC20(input).balanceOf(pair)) - reserveIn;
+
+            if (input == BNB) {
+                uint256 amountOut = LiquidityPool(payable(pair)).getAmountOut(amountInput, reserveIn, reserveOut);
+                LiquidityPool(payable(pair)).swap(0, amountOut, to, "");
+            } else if (output == BNB) {
+                uint256 amountOut = LiquidityPool(payable(pair)).getAmountOut(amountInput, reserveIn, reserveOut);
+                LiquidityPool(payable(pair)).swap(amountOut, 0, to, "");
+            } else {
+                uint256 amountOut = TokenPair(pair).getAmountOut(amountInput, reserveIn, reserveOut);
+                (uint256 amount0Out, uint256 amount1Out) = input < output ? (uint256(0), amountOut) : (amountOut, uint256(0));
+                TokenPair(pair).swap(amount0Out, amount1Out, to);
+            }
+        }
+    }
+
+    /**
+     * @dev Get the registered pair for two tokens
+     */
+    function pairFor(address tokenA, address tokenB) public view returns (address pair) {
+        pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "SwapRouter: PAIR_NOT_FOUND");
+    }
+
+    /**
+     * @dev Get reserves of a pair ordered as (input, output)
+     */
+    function getReserves(address input, address output) public view returns (uint256 reserveIn, uint256 reserveOut) {
+        address pair = pairFor(input, output);
+
+        if (input == BNB) {
+            (reserveIn, reserveOut) = LiquidityPool(payable(pair)).getReserves();
+        } else if (output == BNB) {
+            (reserveOut, reserveIn) = LiquidityPool(payable(pair)).getReserves();
+        } else {
+            (uint256 reserve0, uint256 reserve1) = TokenPair(pair).getReserves();
+            (reserveIn, reserveOut) = input < output ? (reserve0, reserve1) : (reserve1, reserve0);
+        }
+    }
+
+    /**
+     * @dev Quote every hop of a path for an exact input amount, using each pair's swap fee
+     */
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "SwapRouter: INVALID_PATH");
+
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i], path[i + 1]);
+            address pair = pairFor(path[i], path[i + 1]);
+
+            if (path[i] == BNB || path[i + 1] == BNB) {
+                amounts[i + 1] = LiquidityPool(payable(pair)).getAmountOut(amounts[i], reserveIn, reserveOut);
+            } else {
+                amounts[i + 1] = TokenPair(pair).getAmountOut(amounts[i], reserveIn, reserveOut);
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,65 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./LiquidityPool.sol";
+
+/**
+ * @title TWAPOracle
+ * @dev Reads time-weighted DVT/BNB prices from a LiquidityPool
+ * @notice Use this instead of LiquidityPool.getPrice() for anything that must resist in-block manipulation
+ */
+contract TWAPOracle is Ownable {
+    LiquidityPool public immutable pool; // DVT/BNB pool providing the price accumulators
+
+    uint256 public constant MIN_PERIOD = 30 minutes; // Shortest averaging window
+    uint256 public constant MAX_PERIOD = 12 hours; // Well within the 24h of pool observations
+    uint256 public period; // Averaging window in seconds
+
+    event PeriodUpdated(uint256 newPeriod);
+
+    constructor(LiquidityPool _pool, uint256 _period) Ownable(msg.sender) {
+        require(address(_pool) != address(0), "TWAPOracle: invalid pool address");
+        require(_period >= MIN_PERIOD && _period <= MAX_PERIOD, "TWAPOracle: invalid period");
+
+        pool = _pool;
+        period = _period;
+    }
+
+    /**
+     * @dev Time-weighted price of DVT in BNB, times 1e18
+     */
+    function getTokenPrice() public view returns (uint256 priceETH) {
+        (, priceETH) = pool.consult(period);
+    }
+
+    /**
+     * @dev Time-weighted price of BNB in DVT, times 1e18
+     */
+    function getETHPrice() public view returns (uint256 priceToken) {
+        (priceToken, ) = pool.consult(period);
+    }
+
+    /**
+     * @dev Value an amount of DVT in BNB at the time-weighted price
+     */
+    function tokenToETH(uint256 amountToken) external view returns (uint256) {
+        return (amountToken * getTokenPrice()) / pool.PRICE_PRECISION();
+    }
+
+    /**
+     * @dev Value an amount of BNB in DVT at the time-weighted price
+     */
+    function ethToToken(uint256 amountETH) external view returns (uint256) {
+        return (amountETH * getETHPrice()) / pool.PRICE_PRECISION();
+    }
+
+    /**
+     * @dev Update the averaging window (owner only)
+     */
+    function setPeriod(uint256 _period) external onlyOwner {
+        require(_period >= MIN_PERIOD && _period <= MAX_PERIOD, "TWAPOracle: invalid period");
+        period = _period;
+        emit PeriodUpdated(_period);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title TokenPair
+ * @dev Constant product AMM pool (x * y = k) between two ERC20 tokens
+ * @notice ERC20/ERC20 counterpart of LiquidityPool, deployed through PairFactory
+ */
+contract TokenPair is ERC20, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token0; // Token with the lower address
+    IERC20 public immutable token1; // Token with the higher address
+
+    uint256 public constant MINIMUM_LIQUIDITY = 10**3;
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public swapFee = 30; // 0.3% default fee
+
+    uint256 public protocolFeeShare = 2000; // 20% of fees go to protocol
+    address public feeRecipient;
+
+    uint256 public reserve0;
+    uint256 public reserve1;
+    uint256 public kLast; // Last known k value for fee calculation
+
+    event Mint(address indexed sender, uint256 amount0, uint256 amount1);
+    event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to);
+    event Swap(
+        address indexed sender,
+        uint256 amount0In,
+        uint256 amount1In,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        address indexed to
+    );
+    event Sync(uint256 reserve0, uint256 reserve1);
+    event SwapFeeUpdated(uint256 newFee);
+    event ProtocolFeeShareUpdated(uint256 newShare);
+    event FeeRecipientUpdated(address newRecipient);
+    event ProtocolFeeMinted(address indexed recipient, uint256 liquidity);
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "TokenPair: EXPIRED");
+        _;
+    }
+
+    constructor(
+        address _token0,
+        address _token1,
+        address _feeRecipient
+    ) ERC20(
+        string.concat(_tokenSymbol(_token0), "-", _tokenSymbol(_token1), " LP"),
+        string.concat(_tokenSymbol(_token0), "-", _tokenSymbol(_token1), "-LP")
+    ) Ownable(msg.sender) {
+        require(_token0 != address(0) && _token1 != address(0), "TokenPair: invalid token address");
+        require(_token0 < _token1, "TokenPair: tokens not sorted");
+        require(_feeRecipient != address(0), "TokenPair: invalid fee recipient");
+
+        token0 = IERC20(_token0);
+        token1 = IERC20(_token1);
+        feeRecipient = _feeRecipient;
+    }
+
+    /**
+     * @dev Symbol of a pooled token for the LP token name
+     */
+    function _tokenSymbol(address _token) private view returns (string memory) {
+        (bool success, bytes memory data) = _token.staticcall(abi.encodeCall(IERC20Metadata.symbol, ()));
+        return success && data.length >= 64 ? abi.decode(data, (string)) : "TOKEN";
+    }
+
+    /**
+     * @dev Add liquidity to the pool
+     */
+    function addLiquidity(
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) nonReentrant returns (uint256 amount0, uint256 amount1, uint256 liquidity) {
+        require(to != address(0), "TokenPair: invalid recipient");
+
+        (amount0, amount1) = _addLiquidity(amount0Desired, amount1Desired, amount0Min, amount1Min);
+
+        token0.safeTransferFrom(msg.sender, address(this), amount0);
+        token1.safeTransferFrom(msg.sender, address(this), amount1);
+
+        liquidity = mint(to);
+    }
+
+    /**
+     * @dev Remove liquidity from the pool
+     */
+    function removeLiquidity(
+        uint256 liquidity,
+        uint256 amount0Min,
+        uint256 amount1Min,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) nonReentrant returns (uint256 amount0, uint256 amount1) {
+        require(to != address(0), "TokenPair: invalid recipient");
+
+        transfer(address(this), liquidity); // Transfer LP tokens to this contract
+        (amount0, amount1) = burn(to);
+
+        require(amount0 >= amount0Min, "TokenPair: INSUFFICIENT_0_AMOUNT");
+        require(amount1 >= amount1Min, "TokenPair: INSUFFICIENT_1_AMOUNT");
+    }
+
+    /**
+     * @dev Low-level swap. Inputs must be transferred to the pair beforehand (e.g. by
+     * the router); fee-adjusted balances must keep the constant product.
+     */
+    function swap(uint256 amount0Out, uint256 amount1Out, address to) external nonReentrant {
+        require(amount0Out > 0 || amount1Out > 0, "TokenPair: INSUFFICIENT_OUTPUT_AMOUNT");
+        require(amount0Out < reserve0 && amount1Out < reserve1, "TokenPair: INSUFFICIENT_LIQUIDITY");
+        require(to != address(token0) && to != address(token1), "TokenPair: INVALID_TO");
+
+        if (amount0Out > 0) token0.safeTransfer(to, amount0Out);
+        if (amount1Out > 0) token1.safeTransfer(to, amount1Out);
+
+        uint256 balance0 = token0.balanceOf(address(this));
+        uint256 balance1 = token1.balanceOf(address(this));
+
+        uint256 amount0In = balance0 > reserve0 - amount0Out ? balance0 - (reserve0 - amount0Out) : 0;
+        uint256 amount1In = balance1 > reserve1 - amount1Out ? balance1 - (reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "TokenPair: INSUFFICIENT_INPUT_AMOUNT");
+
+        uint256 balance0Adjusted = balance0 * FEE_DENOMINATOR - amount0In * swapFee;
+        uint256 balance1Adjusted = balance1 * FEE_DENOMINATOR - amount1In * swapFee;
+        require(
+            balance0Adjusted * balance1Adjusted >= reserve0 * reserve1 * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            "TokenPair: K"
+        );
+
+        _update(balance0, balance1);
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+    }
+
+    /**
+     * @dev Internal function to add liquidity
+     */
+    function _addLiquidity(
+        uint256 amount0Desired,
+        uint256 amount1Desired,
+        uint256 amount0Min,
+        uint256 amount1Min
+    ) internal view returns (uint256 amount0, uint256 amount1) {
+        if (reserve0 == 0 && reserve1 == 0) {
+            (amount0, amount1) = (amount0Desired, amount1Desired);
+        } else {
+            uint256 amount1Optimal = quote(amount0Desired, reserve0, reserve1);
+            if (amount1Optimal <= amount1Desired) {
+                require(amount1Optimal >= amount1Min, "TokenPair: INSUFFICIENT_1_AMOUNT");
+                (amount0, amount1) = (amount0Desired, amount1Optimal);
+            } else {
+                uint256 amount0Optimal = quote(amount1Desired, reserve1, reserve0);
+                require(amount0Optimal <= amount0Desired, "TokenPair: INVALID_0_AMOUNT");
+                require(amount0Optimal >= amount0Min, "TokenPair: INSUFFICIENT_0_AMOUNT");
+                (amount0, amount1) = (amount0Optimal, amount1Desired);
+            }
+        }
+    }
+
+    /**
+     * @dev Mint LP tokens
+     */
+    function mint(address to) internal returns (uint256 liquidity) {
+        uint256 balance0 = token0.balanceOf(address(this));
+        uint256 balance1 = token1.balanceOf(address(this));
+        uint256 amount0 = balance0 - reserve0;
+        uint256 amount1 = balance1 - reserve1;
+
+        bool feeOn = _mintFee();
+        uint256 _totalSupply = totalSupply();
+        if (_totalSupply == 0) {
+            liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+            _mint(address(1), MINIMUM_LIQUIDITY); // Lock minimum liquidity to dead address
+        } else {
+            liquidity = Math.min(
+                (amount0 * _totalSupply) / reserve0,
+                (amount1 * _totalSupply) / reserve1
+            );
+        }
+
+        require(liquidity > 0, "TokenPair: INSUFFICIENT_LIQUIDITY_MINTED");
+        _mint(to, liquidity);
+
+        _update(balance0, balance1);
+        if (feeOn) kLast = reserve0 * reserve1;
+
+        emit Mint(msg.sender, amount0, amount1);
+    }
+
+    /**
+     * @dev Burn LP tokens
+     */
+    function burn(address to) internal returns (uint256 amount0, uint256 amount1) {
+        uint256 balance0 = token0.balanceOf(address(this));
+        uint256 balance1 = token1.balanceOf(address(this));
+        uint256 liquidity = balanceOf(address(this));
+
+        bool feeOn = _mintFee();
+        uint256 _totalSupply = totalSupply();
+        amount0 = (liquidity * balance0) / _totalSupply;
+        amount1 = (liquidity * balance1) / _totalSupply;
+
+        require(amount0 > 0 && amount1 > 0, "TokenPair: INSUFFICIENT_LIQUIDITY_BURNED");
+
+        _burn(address(this), liquidity);
+        token0.safeTransfer(to, amount0);
+        token1.safeTransfer(to, amount1);
+
+        _update(token0.balanceOf(address(this)), token1.balanceOf(address(this)));
+        if (feeOn) kLast = reserve0 * reserve1;
+
+        emit Burn(msg.sender, amount0, amount1, to);
+    }
+
+    /**
+     * @dev Mint the protocol's share of swap fees accrued since the last liquidity event
+     */
+    function _mintFee() private returns (bool feeOn) {
+        feeOn = protocolFeeShare > 0;
+        if (feeOn) {
+            uint256 liquidity = _accruedProtocolFee();
+            if (liquidity > 0) {
+                _mint(feeRecipient, liquidity);
+                emit ProtocolFeeMinted(feeRecipient, liquidity);
+            }
+        } else if (kLast != 0) {
+            kLast = 0;
+        }
+    }
+
+    /**
+     * @dev LP tokens owed to the protocol for sqrt(k) growth since kLast
+     */
+    function _accruedProtocolFee() private view returns (uint256 liquidity) {
+        if (kLast == 0 || protocolFeeShare == 0) return 0;
+
+        uint256 rootK = Math.sqrt(reserve0 * reserve1);
+        uint256 rootKLast = Math.sqrt(kLast);
+        if (rootK <= rootKLast) return 0;
+
+        uint256 numerator = totalSupply() * (rootK - rootKLast) * protocolFeeShare;
+        uint256 denominator = rootK * (FEE_DENOMINATOR - protocolFeeShare) + rootKLast * protocolFeeShare;
+        liquidity = numerator / denominator;
+    }
+
+    /**
+     * @dev Update reserves
+     */
+    function _update(uint256 balance0, uint256 balance1) private {
+        reserve0 = balance0;
+        reserve1 = balance1;
+        emit Sync(reserve0, reserve1);
+    }
+
+    /**
+     * @dev Get amount out for a given input
+     */
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public view returns (uint256 amountOut) {
+        require(amountIn > 0, "TokenPair: INSUFFICIENT_INPUT_AMOUNT");
+        require(reserveIn > 0 && reserveOut > 0, "TokenPair: INSUFFICIENT_LIQUIDITY");
+
+        uint256 amountInWithFee = amountIn * (FEE_DENOMINATOR - swapFee);
+        uint256 numerator = amountInWithFee * reserveOut;
+        uint256 denominator = reserveIn * FEE_DENOMINATOR + amountInWithFee;
+        amountOut = numerator / denominator;
+    }
+
+    /**
+     * @dev Quote function for liquidity provision
+     */
+    function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) internal pure returns (uint256 amountB) {
+        require(amountA > 0, "TokenPair: INSUFFICIENT_AMOUNT");
+        require(reserveA > 0 && reserveB > 0, "TokenPair: INSUFFICIENT_LIQUIDITY");
+        amountB = (amountA * reserveB) / reserveA;
+    }
+
+    /**
+     * @dev Get protocol fees accrued but not yet minted, in LP tokens
+     */
+    function pendingProtocolFees() external view returns (uint256) {
+        return _accruedProtocolFee();
+    }
+
+    /**
+     * @dev Get reserves
+     */
+    function getReserves() external view returns (uint256 _reserve0, uint256 _reserve1) {
+        _reserve0 = reserve0;
+        _reserve1 = reserve1;
+    }
+
+    /**
+     * @dev Force reserves to match balances
+     */
+    function sync() external nonReentrant {
+        require(totalSupply() > 0, "TokenPair: NO_LIQUIDITY");
+        _update(token0.balanceOf(address(this)), token1.balanceOf(address(this)));
+    }
+
+    /**
+     * @dev Set swap fee (owner only)
+     */
+    function setSwapFee(uint256 _swapFee) external onlyOwner {
+        require(_swapFee <= 1000, "TokenPair: fee too high"); // Max 10%
+        swapFee = _swapFee;
+        emit SwapFeeUpdated(_swapFee);
+    }
+
+    /**
+     * @dev Set protocol fee share (owner only)
+     */
+    function setProtocolFeeShare(uint256 _protocolFeeShare) external onlyOwner {
+        require(_protocolFeeShare <= 5000, "TokenPair: fee share too high"); // Max 50%
+
+        // Settle fees accrued under the previous share before switching
+        _mintFee();
+        protocolFeeShare = _protocolFeeShare;
+        kLast = _protocolFeeShare > 0 ? reserve0 * reserve1 : 0;
+        emit ProtocolFeeShareUpdated(_protocolFeeShare);
+    }
+
+    /**
+     * @dev Set fee recipient (owner only)
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyOwner {
+        require(_feeRecipient != address(0), "TokenPair: invalid fee recipient");
+
+        // Pay accrued fees to the previous recipient
+        if (_mintFee()) kLast = reserve0 * reserve1;
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(_feeRecipient);
+    }
+}
\ No newline at end of file
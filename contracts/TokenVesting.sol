@@ -0,0 +1,225 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title TokenVesting
+ * @dev Holds DVT grants for team members and investors, released linearly after a cliff
+ * @notice Nothing vests before start + cliff; after that the vested amount catches up
+ * linearly from start until start + duration. Revocable grants return their unvested
+ * DVT to the owner, while anything already vested stays with the beneficiary.
+ */
+contract TokenVesting is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Grant {
+        address beneficiary; // Receives released DVT
+        uint256 amount; // Total DVT granted (reduced to the vested amount on revoke)
+        uint256 released; // DVT already released
+        uint256 start; // Vesting start timestamp
+        uint256 cliff; // Seconds after start before anything vests
+        uint256 duration; // Seconds after start until fully vested
+        bool revocable; // Whether the owner can revoke the unvested part
+        bool revoked; // Whether the grant has been revoked
+    }
+
+    IERC20 public immutable token; // The DVT token
+
+    Grant[] public grants; // All grants by ID
+    mapping(address => uint256[]) private _beneficiaryGrants; // Grant IDs of each beneficiary
+    uint256 public totalLocked; // DVT held for grants and not yet released
+
+    event GrantCreated(
+        uint256 indexed grantId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 duration,
+        bool revocable
+    );
+    event TokensReleased(uint256 indexed grantId, address indexed beneficiary, uint256 amount);
+    event GrantRevoked(uint256 indexed grantId, uint256 vested, uint256 refunded);
+
+    constructor(IERC20 _token) Ownable(msg.sender) {
+        require(address(_token) != address(0), "TokenVesting: invalid token address");
+        token = _token;
+    }
+
+    /**
+     * @dev Grant `_amount` DVT to `_beneficiary`, funded from the caller
+     * @param _start Vesting start timestamp, 0 to start now
+     * @param _cliff Seconds after start before anything vests
+     * @param _duration Seconds after start until fully vested
+     * @param _revocable Whether the owner can later revoke the unvested part
+     */
+    function createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        bool _revocable
+    ) external onlyOwner nonReentrant returns (uint256) {
+        return _createGrant(_beneficiary, _amount, _start, _cliff, _duration, _revocable);
+    }
+
+    /**
+     * @dev Create several grants in one transaction, e.g. to distribute an allocation at deployment
+     */
+    function createGrants(
+        address[] calldata _beneficiaries,
+        uint256[] calldata _amounts,
+        uint256 _start,
+        uint256[] calldata _cliffs,
+        uint256[] calldata _durations,
+        bool[] calldata _revocable
+    ) external onlyOwner nonReentrant {
+        uint256 length = _beneficiaries.length;
+        require(
+            _amounts.length == length &&
+                _cliffs.length == length &&
+                _durations.length == length &&
+                _revocable.length == length,
+            "TokenVesting: length mismatch"
+        );
+
+        for (uint256 i = 0; i < length; i++) {
+            _createGrant(_beneficiaries[i], _amounts[i], _start, _cliffs[i], _durations[i], _revocable[i]);
+        }
+    }
+
+    /**
+     * @dev Send the vested, unreleased DVT of a grant to its beneficiary
+     */
+    function release(uint256 _grantId) external nonReentrant {
+        uint256 amount = releasable(_grantId);
+        require(amount > 0, "TokenVesting: nothing to release");
+
+        Grant storage grant = grants[_grantId];
+        grant.released += amount;
+        totalLocked -= amount;
+
+        token.safeTransfer(grant.beneficiary, amount);
+        emit TokensReleased(_grantId, grant.beneficiary, amount);
+    }
+
+    /**
+     * @dev Stop a revocable grant: vested DVT goes to the beneficiary, the rest back to the owner
+     */
+    function revoke(uint256 _grantId) external onlyOwner nonReentrant {
+        require(_grantId < grants.length, "TokenVesting: invalid grant ID");
+        Grant storage grant = grants[_grantId];
+        require(grant.revocable, "TokenVesting: grant is not revocable");
+        require(!grant.revoked, "TokenVesting: grant already revoked");
+
+        uint256 vested = _vestedAmount(grant, block.timestamp);
+        uint256 unreleased = vested - grant.released;
+        uint256 refund = grant.amount - vested;
+
+        grant.amount = vested;
+        grant.released = vested;
+        grant.revoked = true;
+        totalLocked -= unreleased + refund;
+
+        if (unreleased > 0) {
+            token.safeTransfer(grant.beneficiary, unreleased);
+            emit TokensReleased(_grantId, grant.beneficiary, unreleased);
+        }
+        if (refund > 0) {
+            token.safeTransfer(owner(), refund);
+        }
+
+        emit GrantRevoked(_grantId, vested, refund);
+    }
+
+    /**
+     * @dev DVT of a grant that has vested but not been released yet
+     */
+    function releasable(uint256 _grantId) public view returns (uint256) {
+        require(_grantId < grants.length, "TokenVesting: invalid grant ID");
+        Grant storage grant = grants[_grantId];
+        return _vestedAmount(grant, block.timestamp) - grant.released;
+    }
+
+    /**
+     * @dev DVT of a grant vested by `_timestamp`, including anything already released
+     */
+    function vestedAmount(uint256 _grantId, uint256 _timestamp) external view returns (uint256) {
+        require(_grantId < grants.length, "TokenVesting: invalid grant ID");
+        return _vestedAmount(grants[_grantId], _timestamp);
+    }
+
+    /**
+     * @dev Number of grants ever created
+     */
+    function grantCount() external view returns (uint256) {
+        return grants.length;
+    }
+
+    /**
+     * @dev IDs of all grants held by `_beneficiary`
+     */
+    function getGrantIds(address _beneficiary) external view returns (uint256[] memory) {
+        return _beneficiaryGrants[_beneficiary];
+    }
+
+    /**
+     * @dev Validate and store a grant, pulling its DVT from the caller
+     */
+    function _createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        bool _revocable
+    ) internal returns (uint256 grantId) {
+        require(_beneficiary != address(0), "TokenVesting: invalid beneficiary");
+        require(_amount > 0, "TokenVesting: zero amount");
+        require(_duration > 0, "TokenVesting: zero duration");
+        require(_cliff <= _duration, "TokenVesting: cliff exceeds duration");
+
+        uint256 start = _start == 0 ? block.timestamp : _start;
+
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+        require(token.balanceOf(address(this)) - balanceBefore == _amount, "TokenVesting: transfer amount mismatch");
+
+        grantId = grants.length;
+        grants.push(Grant({
+            beneficiary: _beneficiary,
+            amount: _amount,
+            released: 0,
+            start: start,
+            cliff: _cliff,
+            duration: _duration,
+            revocable: _revocable,
+            revoked: false
+        }));
+        _beneficiaryGrants[_beneficiary].push(grantId);
+        totalLocked += _amount;
+
+        emit GrantCreated(grantId, _beneficiary, _amount, start, _cliff, _duration, _revocable);
+    }
+
+    /**
+     * @dev Nothing before the cliff, then linear from start to start + duration
+     */
+    function _vestedAmount(Grant storage _grant, uint256 _timestamp) internal view returns (uint256) {
+        if (_grant.revoked) {
+            return _grant.amount;
+        }
+        if (_timestamp < _grant.start + _grant.cliff) {
+            return 0;
+        }
+        if (_timestamp >= _grant.start + _grant.duration) {
+            return _grant.amount;
+        }
+        return (_grant.amount * (_timestamp - _grant.start)) / _grant.duration;
+    }
+}
\ No newline at end of file
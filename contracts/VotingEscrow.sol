@@ -0,0 +1,188 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title VotingEscrow
+ * @dev Lock DVT for up to 4 years to receive non-transferable veDVT
+ * @notice veDVT weight is amount * remaining lock time / MAX_LOCK_TIME and decays
+ * linearly to zero at unlock. MasterChef uses it to boost farming rewards.
+ */
+contract VotingEscrow is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct LockedBalance {
+        uint256 amount; // DVT locked
+        uint256 end; // Unlock timestamp, rounded down to whole weeks
+    }
+
+    string public constant name = "Vote-escrowed DVT";
+    string public constant symbol = "veDVT";
+    uint8 public constant decimals = 18;
+
+    uint256 public constant WEEK = 7 days;
+    uint256 public constant MAX_LOCK_TIME = 4 * 365 days;
+
+    IERC20 public immutable token; // The DVT token
+
+    mapping(address => LockedBalance) public locked; // Lock of each user
+    uint256 public totalLocked; // Total DVT held in locks
+
+    // Aggregate decay tracking: supply * MAX_LOCK_TIME = bias - slope * (t - lastCheckpoint)
+    uint256 public supplyBias; // Sum of amount * remaining time at the last checkpoint
+    uint256 public supplySlope; // Sum of amounts of locks still active at the last checkpoint
+    uint256 public lastCheckpoint; // Timestamp of the last aggregate update
+    mapping(uint256 => uint256) public slopeChanges; // Amounts unlocking at each week boundary
+
+    event Deposit(address indexed user, uint256 amount, uint256 lockEnd);
+    event Withdraw(address indexed user, uint256 amount);
+
+    constructor(IERC20 _token) {
+        require(address(_token) != address(0), "VotingEscrow: invalid token address");
+        token = _token;
+        lastCheckpoint = block.timestamp;
+    }
+
+    /**
+     * @dev Lock `_amount` DVT until `_unlockTime` (rounded down to whole weeks)
+     */
+    function createLock(uint256 _amount, uint256 _unlockTime) external nonReentrant {
+        LockedBalance memory oldLock = locked[msg.sender];
+        uint256 unlockTime = (_unlockTime / WEEK) * WEEK;
+        
+        require(_amount > 0, "VotingEscrow: zero amount");
+        require(oldLock.amount == 0, "VotingEscrow: withdraw old tokens first");
+        require(unlockTime > block.timestamp, "VotingEscrow: unlock time must be in the future");
+        require(unlockTime <= block.timestamp + MAX_LOCK_TIME, "VotingEscrow: lock exceeds max time");
+        
+        _depositFor(msg.sender, _amount, unlockTime, oldLock);
+    }
+
+    /**
+     * @dev Add DVT to an existing lock without changing its unlock time
+     */
+    function increaseAmount(uint256 _amount) external nonReentrant {
+        LockedBalance memory oldLock = locked[msg.sender];
+        
+        require(_amount > 0, "VotingEscrow: zero amount");
+        require(oldLock.amount > 0, "VotingEscrow: no existing lock");
+        require(oldLock.end > block.timestamp, "VotingEscrow: lock expired");
+        
+        _depositFor(msg.sender, _amount, oldLock.end, oldLock);
+    }
+
+    /**
+     * @dev Extend an existing lock to `_unlockTime` (rounded down to whole weeks)
+     */
+    function increaseUnlockTime(uint256 _unlockTime) external nonReentrant {
+        LockedBalance memory oldLock = locked[msg.sender];
+        uint256 unlockTime = (_unlockTime / WEEK) * WEEK;
+        
+        require(oldLock.amount > 0, "VotingEscrow: no existing lock");
+        require(oldLock.end > block.timestamp, "VotingEscrow: lock expired");
+        require(unlockTime > oldLock.end, "VotingEscrow: can only increase lock duration");
+        require(unlockTime <= block.timestamp + MAX_LOCK_TIME, "VotingEscrow: lock exceeds max time");
+        
+        _depositFor(msg.sender, 0, unlockTime, oldLock);
+    }
+
+    /**
+     * @dev Withdraw all DVT once the lock has expired
+     */
+    function withdraw() external nonReentrant {
+        LockedBalance memory oldLock = locked[msg.sender];
+        require(oldLock.amount > 0, "VotingEscrow: nothing to withdraw");
+        require(block.timestamp >= oldLock.end, "VotingEscrow: lock not expired");
+        
+        // An expired lock no longer contributes to the supply, so only the aggregate needs advancing
+        _checkpoint(oldLock, LockedBalance(0, 0));
+        delete locked[msg.sender];
+        totalLocked -= oldLock.amount;
+        
+        token.safeTransfer(msg.sender, oldLock.amount);
+        emit Withdraw(msg.sender, oldLock.amount);
+    }
+
+    /**
+     * @dev Current veDVT balance of `_user`
+     */
+    function balanceOf(address _user) public view returns (uint256) {
+        LockedBalance memory lock = locked[_user];
+        if (lock.end <= block.timestamp) {
+            return 0;
+        }
+        return (lock.amount * (lock.end - block.timestamp)) / MAX_LOCK_TIME;
+    }
+
+    /**
+     * @dev Current total veDVT supply
+     */
+    function totalSupply() public view returns (uint256) {
+        (uint256 bias, ) = _advance(supplyBias, supplySlope, lastCheckpoint);
+        return bias / MAX_LOCK_TIME;
+    }
+
+    /**
+     * @dev Unlock timestamp of `_user`'s lock
+     */
+    function lockedEnd(address _user) external view returns (uint256) {
+        return locked[_user].end;
+    }
+
+    function _depositFor(address _user, uint256 _amount, uint256 _unlockTime, LockedBalance memory _oldLock) internal {
+        LockedBalance memory newLock = LockedBalance(_oldLock.amount + _amount, _unlockTime);
+        
+        _checkpoint(_oldLock, newLock);
+        locked[_user] = newLock;
+        
+        if (_amount > 0) {
+            totalLocked += _amount;
+            token.safeTransferFrom(_user, address(this), _amount);
+        }
+        
+        emit Deposit(_user, _amount, _unlockTime);
+    }
+
+    /**
+     * @dev Bring the aggregate up to date and replace a lock's contribution
+     */
+    function _checkpoint(LockedBalance memory _oldLock, LockedBalance memory _newLock) internal {
+        (uint256 bias, uint256 slope) = _advance(supplyBias, supplySlope, lastCheckpoint);
+        
+        if (_oldLock.end > block.timestamp) {
+            bias -= _oldLock.amount * (_oldLock.end - block.timestamp);
+            slope -= _oldLock.amount;
+            slopeChanges[_oldLock.end] -= _oldLock.amount;
+        }
+        
+        if (_newLock.end > block.timestamp) {
+            bias += _newLock.amount * (_newLock.end - block.timestamp);
+            slope += _newLock.amount;
+            slopeChanges[_newLock.end] += _newLock.amount;
+        }
+        
+        supplyBias = bias;
+        supplySlope = slope;
+        lastCheckpoint = block.timestamp;
+    }
+
+    /**
+     * @dev Decay the aggregate from `_from` to now, dropping locks as they expire at week boundaries
+     */
+    function _advance(uint256 _bias, uint256 _slope, uint256 _from) internal view returns (uint256, uint256) {
+        uint256 week = (_from / WEEK + 1) * WEEK;
+        
+        while (week <= block.timestamp && _slope > 0) {
+            _bias -= _slope * (week - _from);
+            _slope -= slopeChanges[week];
+            _from = week;
+            week += WEEK;
+        }
+        
+        _bias -= _slope * (block.timestamp - _from);
+        return (_bias, _slope);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,200 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./LiquidityPool.sol";
+import "./MasterChef.sol";
+
+/**
+ * @title Zap
+ * @dev Single-asset entry into and exit from the DVT/BNB farm
+ * @notice Zapping in swaps the optimal share of BNB or DVT, adds liquidity and stakes the
+ * LP tokens in MasterChef for the caller. Zapping out reverses it into a single asset.
+ * The pool and pid are fixed, so a MasterChef LP migration needs a new Zap for the new pool.
+ * Swaps use the pool's fee-on-transfer paths and every amount is measured from balances, so
+ * the zap pays DVT's transfer tax and limits like any trader and needs no exemption.
+ */
+contract Zap is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    address public constant BNB = address(0); // Native BNB placeholder
+    LiquidityPool public immutable liquidityPool; // DVT/BNB pool
+    MasterChef public immutable masterChef; // Farm staking the pool's LP tokens
+    IERC20 public immutable token; // DVT
+    uint256 public immutable pid; // MasterChef pool ID of the LP token
+
+    event ZapIn(address indexed user, address indexed tokenIn, uint256 amountIn, uint256 liquidity);
+    event ZapOut(address indexed user, address indexed tokenOut, uint256 liquidity, uint256 amountOut);
+
+    constructor(LiquidityPool _liquidityPool, MasterChef _masterChef, uint256 _pid) {
+        require(address(_liquidityPool) != address(0), "Zap: invalid pool address");
+        require(address(_masterChef) != address(0), "Zap: invalid MasterChef address");
+        
+        (address lpToken, , , , , , ) = _masterChef.getPoolInfo(_pid);
+        require(lpToken == address(_liquidityPool), "Zap: pool does not stake LP token");
+        
+        liquidityPool = _liquidityPool;
+        masterChef = _masterChef;
+        token = _liquidityPool.token();
+        pid = _pid;
+        
+        token.forceApprove(address(_liquidityPool), type(uint256).max);
+        IERC20(address(_liquidityPool)).forceApprove(address(_masterChef), type(uint256).max);
+    }
+
+    /**
+     * @dev Swap part of the sent BNB for DVT, add liquidity and stake the LP tokens for the caller
+     * @param swapAmountOutMin Minimum DVT from the internal BNB -> DVT swap
+     * @param minLiquidity Minimum LP tokens staked for the caller
+     */
+    function zapInBNB(uint256 swapAmountOutMin, uint256 minLiquidity, uint256 deadline) external payable nonReentrant returns (uint256 liquidity) {
+        require(msg.value > 0, "Zap: zero amount");
+        
+        (uint256 reserveETH, ) = liquidityPool.getReserves();
+        uint256 swapAmount = getSwapAmount(msg.value, reserveETH);
+        uint256 tokenBefore = token.balanceOf(address(this));
+        liquidityPool.swapExactETHForTokensSupportingFeeOnTransferTokens{value: swapAmount}(
+            swapAmountOutMin,
+            address(this),
+            deadline
+        );
+        
+        liquidity = _addAndStake(token.balanceOf(address(this)) - tokenBefore, msg.value - swapAmount, minLiquidity, deadline);
+        emit ZapIn(msg.sender, BNB, msg.value, liquidity);
+    }
+
+    /**
+     * @dev Swap part of `amount` DVT for BNB, add liquidity and stake the LP tokens for the caller
+     * @param swapAmountOutMin Minimum BNB from the internal DVT -> BNB swap
+     * @param minLiquidity Minimum LP tokens staked for the caller
+     */
+    function zapInToken(
+        uint256 amount,
+        uint256 swapAmountOutMin,
+        uint256 minLiquidity,
+        uint256 deadline
+    ) external nonReentrant returns (uint256 liquidity) {
+        require(amount > 0, "Zap: zero amount");
+        uint256 tokenBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        uint256 received = token.balanceOf(address(this)) - tokenBefore;
+        
+        (, uint256 reserveToken) = liquidityPool.getReserves();
+        uint256 swapAmount = getSwapAmount(received, reserveToken);
+        uint256 ethBefore = address(this).balance;
+        liquidityPool.swapExactTokensForETHSupportingFeeOnTransferTokens(swapAmount, swapAmountOutMin, address(this), deadline);
+        
+        liquidity = _addAndStake(received - swapAmount, address(this).balance - ethBefore, minLiquidity, deadline);
+        emit ZapIn(msg.sender, address(token), amount, liquidity);
+    }
+
+    /**
+     * @dev Unstake the caller's LP tokens, remove liquidity and return everything as BNB
+     * @param swapAmountOutMin Minimum BNB from swapping the removed DVT
+     * @param amountOutMin Minimum total BNB returned to the caller
+     */
+    function zapOutBNB(
+        uint256 liquidity,
+        uint256 swapAmountOutMin,
+        uint256 amountOutMin,
+        uint256 deadline
+    ) external nonReentrant returns (uint256 amountOut) {
+        (uint256 amountToken, uint256 amountETH) = _unstakeAndRemove(liquidity, deadline);
+        
+        uint256 ethBefore = address(this).balance;
+        liquidityPool.swapExactTokensForETHSupportingFeeOnTransferTokens(amountToken, swapAmountOutMin, address(this), deadline);
+        amountOut = amountETH + address(this).balance - ethBefore;
+        require(amountOut >= amountOutMin, "Zap: insufficient output amount");
+        
+        payable(msg.sender).transfer(amountOut);
+        emit ZapOut(msg.sender, BNB, liquidity, amountOut);
+    }
+
+    /**
+     * @dev Unstake the caller's LP tokens, remove liquidity and return everything as DVT
+     * @param swapAmountOutMin Minimum DVT from swapping the removed BNB
+     * @param amountOutMin Minimum total DVT returned to the caller
+     */
+    function zapOutToken(
+        uint256 liquidity,
+        uint256 swapAmountOutMin,
+        uint256 amountOutMin,
+        uint256 deadline
+    ) external nonReentrant returns (uint256 amountOut) {
+        (uint256 amountToken, uint256 amountETH) = _unstakeAndRemove(liquidity, deadline);
+        
+        uint256 tokenBefore = token.balanceOf(address(this));
+        liquidityPool.swapExactETHForTokensSupportingFeeOnTransferTokens{value: amountETH}(
+            swapAmountOutMin,
+            address(this),
+            deadline
+        );
+        
+        // Check what the caller receives, after any tax on the final transfer
+        uint256 callerBefore = token.balanceOf(msg.sender);
+        token.safeTransfer(msg.sender, amountToken + token.balanceOf(address(this)) - tokenBefore);
+        amountOut = token.balanceOf(msg.sender) - callerBefore;
+        require(amountOut >= amountOutMin, "Zap: insufficient output amount");
+        emit ZapOut(msg.sender, address(token), liquidity, amountOut);
+    }
+
+    /**
+     * @dev Amount of `amountIn` to swap so the remainder and the swap output match the pool ratio.
+     * Solves the constant-product swap for the pool's current swap fee.
+     */
+    function getSwapAmount(uint256 amountIn, uint256 reserveIn) public view returns (uint256) {
+        uint256 denominator = liquidityPool.FEE_DENOMINATOR();
+        uint256 feeFactor = denominator - liquidityPool.swapFee();
+        uint256 sum = denominator + feeFactor;
+        
+        return (Math.sqrt(reserveIn * (reserveIn * sum * sum + 4 * feeFactor * denominator * amountIn)) - reserveIn * sum) / (2 * feeFactor);
+    }
+
+    /**
+     * @dev Add the DVT and BNB the zap received as liquidity, stake it for the caller and refund the dust.
+     * The amounts were priced by the swap just made, so the slippage bounds are the swap's
+     * minimum output and `minLiquidity` rather than per-asset minimums here.
+     */
+    function _addAndStake(
+        uint256 tokenAmount,
+        uint256 ethAmount,
+        uint256 minLiquidity,
+        uint256 deadline
+    ) internal returns (uint256 liquidity) {
+        (, , liquidity) = liquidityPool.addLiquidity{value: ethAmount}(tokenAmount, 0, 0, address(this), deadline);
+        require(liquidity >= minLiquidity, "Zap: insufficient liquidity");
+        
+        masterChef.depositFor(pid, liquidity, msg.sender);
+        
+        uint256 tokenDust = token.balanceOf(address(this));
+        if (tokenDust > 0) {
+            token.safeTransfer(msg.sender, tokenDust);
+        }
+        if (address(this).balance > 0) {
+            payable(msg.sender).transfer(address(this).balance);
+        }
+    }
+
+    /**
+     * @dev Withdraw the caller's LP tokens from MasterChef and remove the liquidity to the zap,
+     * returning the DVT and BNB the zap actually received
+     */
+    function _unstakeAndRemove(uint256 liquidity, uint256 deadline) internal returns (uint256 amountToken, uint256 amountETH) {
+        require(liquidity > 0, "Zap: zero amount");
+        
+        masterChef.withdrawFor(pid, liquidity, msg.sender);
+        
+        uint256 tokenBefore = token.balanceOf(address(this));
+        uint256 ethBefore = address(this).balance;
+        liquidityPool.removeLiquidity(liquidity, 0, 0, address(this), deadline);
+        amountToken = token.balanceOf(address(this)) - tokenBefore;
+        amountETH = address(this).balance - ethBefore;
+    }
+
+    receive() external payable {
+        require(msg.sender == address(liquidityPool), "Zap: unexpected BNB");
+    }
+}
\ No newline at end of file
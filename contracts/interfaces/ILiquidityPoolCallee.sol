@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ILiquidityPoolCallee
+ * @dev Callback interface for LiquidityPool flash swaps
+ */
+interface ILiquidityPoolCallee {
+    /**
+     * @dev Called by the pool after optimistically sending the outputs; the
+     * callee must return enough ETH and/or tokens for the swap to satisfy k
+     */
+    function liquidityPoolCall(address sender, uint256 amountETHOut, uint256 amountTokenOut, bytes calldata data) external;
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IMigratorChef
+ * @dev Moves a MasterChef pool's staked LP tokens into a new LP token
+ */
+interface IMigratorChef {
+    /**
+     * @dev Pull MasterChef's whole `lpToken` balance (already approved), convert it and
+     * send exactly as many new LP tokens back to MasterChef. Unwrapping the old LP must
+     * return at least `amountTokenMin` tokens and `amountETHMin` BNB. Returns the new LP token.
+     */
+    function migrate(IERC20 lpToken, uint256 amountTokenMin, uint256 amountETHMin) external returns (IERC20);
+}
\ No newline at end of file
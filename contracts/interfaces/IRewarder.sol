@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IRewarder
+ * @dev Per-pool hook letting MasterChef pay secondary reward tokens alongside DVT
+ */
+interface IRewarder {
+    /**
+     * @dev Called by MasterChef on deposit, withdraw, harvest and emergency withdraw,
+     * after the user's stake has been updated to `newLpAmount`
+     */
+    function onDVTReward(uint256 pid, address user, address recipient, uint256 dvtAmount, uint256 newLpAmount) external;
+
+    /**
+     * @dev Secondary rewards `user` would receive on their next harvest
+     */
+    function pendingTokens(
+        uint256 pid,
+        address user,
+        uint256 dvtAmount
+    ) external view returns (IERC20[] memory rewardTokens, uint256[] memory rewardAmounts);
+}
\ No newline at end of file
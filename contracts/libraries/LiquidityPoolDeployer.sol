@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../LiquidityPool.sol";
+
+/**
+ * @title LiquidityPoolDeployer
+ * @dev Holds the LiquidityPool creation code so PairFactory stays under the contract size limit.
+ * Called via DELEGATECALL, so the factory is the deployer and initial owner of the pool.
+ */
+library LiquidityPoolDeployer {
+    function deploy(address token, address feeRecipient) external returns (address) {
+        return address(new LiquidityPool(token, feeRecipient));
+    }
+}
\ No newline at end of file
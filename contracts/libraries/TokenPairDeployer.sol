@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TokenPair.sol";
+
+/**
+ * @title TokenPairDeployer
+ * @dev Holds the TokenPair creation code so PairFactory stays under the contract size limit.
+ * Called via DELEGATECALL, so the factory is the deployer and initial owner of the pair.
+ */
+library TokenPairDeployer {
+    function deploy(address token0, address token1, address feeRecipient) external returns (address) {
+        return address(new TokenPair(token0, token1, feeRecipient));
+    }
+}
\ No newline at end of file
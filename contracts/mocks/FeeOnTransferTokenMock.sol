@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferTokenMock
+ * @dev Test token that burns a 1% tax on every transfer
+ */
+contract FeeOnTransferTokenMock is ERC20 {
+    uint256 public constant TRANSFER_FEE = 100; // 1%
+
+    constructor(uint256 initialSupply) ERC20("Taxed Token", "TAX") {
+        _mint(msg.sender, initialSupply);
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * TRANSFER_FEE) / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
\ No newline at end of file
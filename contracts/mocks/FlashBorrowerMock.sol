@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156.sol";
+import "../interfaces/ILiquidityPoolCallee.sol";
+import "../LiquidityPool.sol";
+
+/**
+ * @title FlashBorrowerMock
+ * @dev Test borrower for LiquidityPool flash swaps and flash loans
+ */
+contract FlashBorrowerMock is IERC3156FlashBorrower, ILiquidityPoolCallee {
+    LiquidityPool public immutable pool;
+    IERC20 public immutable token;
+
+    // Amounts returned to the pool during a flash swap callback
+    uint256 public repayETH;
+    uint256 public repayToken;
+
+    // Whether onFlashLoan approves repayment and returns the expected value
+    bool public repayFlashLoan = true;
+
+    constructor(LiquidityPool _pool) {
+        pool = _pool;
+        token = _pool.token();
+    }
+
+    function setRepayAmounts(uint256 _repayETH, uint256 _repayToken) external {
+        repayETH = _repayETH;
+        repayToken = _repayToken;
+    }
+
+    function setRepayFlashLoan(bool _repay) external {
+        repayFlashLoan = _repay;
+    }
+
+    function flashSwap(uint256 amountETHOut, uint256 amountTokenOut) external {
+        pool.swap(amountETHOut, amountTokenOut, address(this), abi.encode(msg.sender));
+    }
+
+    function flashBorrow(uint256 amount) external {
+        pool.flashLoan(this, address(token), amount, "");
+    }
+
+    function liquidityPoolCall(address, uint256, uint256, bytes calldata) external override {
+        require(msg.sender == address(pool), "FlashBorrowerMock: caller is not the pool");
+        if (repayToken > 0) token.transfer(address(pool), repayToken);
+        if (repayETH > 0) payable(address(pool)).transfer(repayETH);
+    }
+
+    function onFlashLoan(
+        address,
+        address,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external override returns (bytes32) {
+        require(msg.sender == address(pool), "FlashBorrowerMock: caller is not the pool");
+        if (!repayFlashLoan) return bytes32(0);
+
+        token.approve(address(pool), amount + fee);
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+
+    receive() external payable {}
+}
\ No newline at end of file
@@ -10,11 +10,15 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      evmVersion: "cancun", // OpenZeppelin EIP-712 utilities use mcopy; BSC supports Cancun since the Tycho upgrade
     },
   },
   networks: {
     hardhat: {
       chainId: 1337,
+      accounts: {
+        accountsBalance: "1000000000000000000000000", // 1M ETH, the full test suite seeds many BNB pools
+      },
     },
     localhost: {
       url: "http://127.0.0.1:8545",
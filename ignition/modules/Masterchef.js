@@ -5,16 +5,16 @@ module.exports = buildModule("MasterChefModule", (m) => {
   const dvtAddress = m.getParameter("dvtAddress");
   const devAddress = m.getParameter("devAddress", m.getAccount(0));
   const feeAddress = m.getParameter("feeAddress", m.getAccount(0));
-  const dvtPerBlock = m.getParameter("dvtPerBlock", "10000000000000000000"); // 10 DVT per block
-  const startBlock = m.getParameter("startBlock", "0");
+  const dvtPerSecond = m.getParameter("dvtPerSecond", "3000000000000000000"); // 3 DVT per second
+  const startTime = m.getParameter("startTime", "0");
 
   // Deploy MasterChef contract
   const masterChef = m.contract("MasterChef", [
     dvtAddress,
     devAddress,
     feeAddress,
-    dvtPerBlock,
-    startBlock
+    dvtPerSecond,
+    startTime
   ]);
 
   return { masterChef };
@@ -5,29 +5,88 @@ module.exports = buildModule("DeployModule", (m) => {
   const tokenName = m.getParameter("tokenName", "DeFiVault Token");
   const tokenSymbol = m.getParameter("tokenSymbol", "DVT");
   const initialSupply = m.getParameter("initialSupply", "1000000000000000000000000"); // 1M tokens in wei
-  const dvtPerBlock = m.getParameter("dvtPerBlock", "10000000000000000000"); // 10 DVT per block
-  const startBlock = m.getParameter("startBlock", "0"); // Will be set to current block + 100
+  const dvtPerSecond = m.getParameter("dvtPerSecond", "3000000000000000000"); // 3 DVT per second
+  const startTime = m.getParameter("startTime", "0"); // 0 starts emissions at deployment
+  const emissionEpoch = m.getParameter("emissionEpoch", 31536000); // 1 year epochs
+  const emissionReductionBP = m.getParameter("emissionReductionBP", 5000); // Halve every epoch
+  const emissionFloor = m.getParameter("emissionFloor", "100000000000000000"); // 0.1 DVT per second
+  // Minter limit defaults match scripts/deploy.js
+  const mintRatePeriod = m.getParameter("mintRatePeriod", 86400); // Minter rate limits roll over a day
+  const masterChefMintCap = m.getParameter("masterChefMintCap", "600000000000000000000000000"); // 600M DVT
+  const masterChefMintRateLimit = m.getParameter("masterChefMintRateLimit", "600000000000000000000000"); // 600,000 DVT per day
+  const referralMintCap = m.getParameter("referralMintCap", "50000000000000000000000000"); // 50M DVT
+  const referralMintRateLimit = m.getParameter("referralMintRateLimit", "50000000000000000000000"); // 50,000 DVT per day
+  const buyTax = m.getParameter("buyTax", 200); // 2% on buys from the DVT/BNB pool
+  const sellTax = m.getParameter("sellTax", 300); // 3% on sells to the DVT/BNB pool
+  const transferTax = m.getParameter("transferTax", 0); // Wallet-to-wallet transfers untaxed
+  const swapBackThreshold = m.getParameter("swapBackThreshold", "1000000000000000000000"); // 1,000 DVT
+  const launchTime = m.getParameter("launchTime", "0"); // 0 starts the launch schedule at deployment
+  const launchDuration = m.getParameter("launchDuration", 604800); // Limits relax over 1 week
+  const launchMaxTxAmount = m.getParameter("launchMaxTxAmount", "1000000000000000000000000"); // 1M DVT
+  const launchMaxWalletAmount = m.getParameter("launchMaxWalletAmount", "2000000000000000000000000"); // 2M DVT
+  const twapPeriod = m.getParameter("twapPeriod", 3600); // 1 hour TWAP window
+  const timelockDelay = m.getParameter("timelockDelay", 172800); // 2 days
+  const votingDelay = m.getParameter("votingDelay", 28800); // ~1 day of 3s BSC blocks
+  const votingPeriod = m.getParameter("votingPeriod", 201600); // ~1 week of 3s BSC blocks
+  const proposalThreshold = m.getParameter("proposalThreshold", "10000000000000000000000"); // 10,000 DVT
+  const quorumPercentage = m.getParameter("quorumPercentage", 4); // 4% of supply
+  const vestingStart = m.getParameter("vestingStart", "0"); // 0 starts vesting at deployment
+  const teamWallet = m.getParameter("teamWallet", m.getAccount(0));
+  const teamVestingAmount = m.getParameter("teamVestingAmount", "150000000000000000000000"); // 150,000 DVT
+  const teamVestingCliff = m.getParameter("teamVestingCliff", 31536000); // 1 year
+  const teamVestingDuration = m.getParameter("teamVestingDuration", 94608000); // 3 years
+  const investorWallet = m.getParameter("investorWallet", m.getAccount(0));
+  const investorVestingAmount = m.getParameter("investorVestingAmount", "100000000000000000000000"); // 100,000 DVT
+  const investorVestingCliff = m.getParameter("investorVestingCliff", 15552000); // 180 days
+  const investorVestingDuration = m.getParameter("investorVestingDuration", 63072000); // 2 years
 
   // Deploy DVT Token
   const dvtToken = m.contract("MyToken", [tokenName, tokenSymbol, initialSupply], {
     id: "DVTToken"
   });
 
-  // Deploy Liquidity Pool
-  const liquidityPool = m.contract("LiquidityPool", [
-    dvtToken,
+  // Deploy Pair Factory with its pool deployer libraries
+  const liquidityPoolDeployer = m.library("LiquidityPoolDeployer");
+  const tokenPairDeployer = m.library("TokenPairDeployer");
+  const pairFactory = m.contract("PairFactory", [
     m.getAccount(0) // Fee recipient (deployer initially)
   ], {
+    id: "PairFactory",
+    libraries: {
+      LiquidityPoolDeployer: liquidityPoolDeployer,
+      TokenPairDeployer: tokenPairDeployer
+    }
+  });
+
+  // Deploy Swap Router
+  const swapRouter = m.contract("SwapRouter", [pairFactory], {
+    id: "SwapRouter"
+  });
+
+  // Create DVT/BNB Liquidity Pool through the factory
+  const createPool = m.call(pairFactory, "createPair", [dvtToken, "0x0000000000000000000000000000000000000000"], {
+    id: "CreateDVTPool"
+  });
+  const liquidityPoolAddress = m.readEventArgument(createPool, "PairCreated", "pair");
+  const liquidityPool = m.contractAt("LiquidityPool", liquidityPoolAddress, {
     id: "LiquidityPool"
   });
 
+  // Deploy TWAP oracle on top of the pool
+  const twapOracle = m.contract("TWAPOracle", [
+    liquidityPool,
+    twapPeriod
+  ], {
+    id: "TWAPOracle"
+  });
+
   // Deploy MasterChef
   const masterChef = m.contract("MasterChef", [
     dvtToken,
     m.getAccount(0), // Dev address (deployer initially)
     m.getAccount(0), // Fee address (deployer initially)
-    dvtPerBlock,
-    startBlock
+    dvtPerSecond,
+    startTime
   ], {
     id: "MasterChef"
   });
@@ -40,34 +99,121 @@ module.exports = buildModule("DeployModule", (m) => {
     id: "ReferralSystem"
   });
 
+  // Deploy veDVT locking used for MasterChef reward boosts
+  const votingEscrow = m.contract("VotingEscrow", [dvtToken], {
+    id: "VotingEscrow"
+  });
+
   // After deployment setup calls
   
   // Add MasterChef as minter for DVT
-  m.call(dvtToken, "addMinter", [masterChef], {
+  const addMasterChefMinter = m.call(dvtToken, "addMinter", [masterChef], {
     id: "AddMasterChefMinter"
   });
 
   // Add ReferralSystem as minter for DVT
-  m.call(dvtToken, "addMinter", [referralSystem], {
+  const addReferralSystemMinter = m.call(dvtToken, "addMinter", [referralSystem], {
     id: "AddReferralSystemMinter"
   });
 
+  // Cap what each minter can mint in total and per rolling day
+  const setMasterChefMintLimits = m.call(dvtToken, "setMinterLimits", [
+    masterChef,
+    masterChefMintCap,
+    masterChefMintRateLimit,
+    mintRatePeriod
+  ], {
+    id: "SetMasterChefMintLimits",
+    after: [addMasterChefMinter]
+  });
+
+  const setReferralSystemMintLimits = m.call(dvtToken, "setMinterLimits", [
+    referralSystem,
+    referralMintCap,
+    referralMintRateLimit,
+    mintRatePeriod
+  ], {
+    id: "SetReferralSystemMintLimits",
+    after: [addReferralSystemMinter]
+  });
+
   // Set ReferralSystem as operator in MasterChef (if needed)
-  m.call(referralSystem, "setOperator", [masterChef, true], {
+  const setMasterChefOperator = m.call(referralSystem, "setOperator", [masterChef, true], {
     id: "SetMasterChefOperator"
   });
 
-  // Exempt LiquidityPool and MasterChef from anti-whale limits
-  m.call(dvtToken, "setExemptFromLimits", [liquidityPool, true], {
+  // Link ReferralSystem to MasterChef so harvests pay commissions
+  const setMasterChefReferralSystem = m.call(masterChef, "setReferralSystem", [referralSystem], {
+    id: "SetMasterChefReferralSystem"
+  });
+
+  // Halve MasterChef emissions every epoch down to the floor
+  const setEmissionSchedule = m.call(masterChef, "setEmissionSchedule", [
+    emissionEpoch,
+    emissionReductionBP,
+    emissionFloor,
+    false // exponential decay
+  ], {
+    id: "SetEmissionSchedule"
+  });
+
+  // Price MasterChef APR views with the TWAP oracle
+  const setMasterChefPriceOracle = m.call(masterChef, "setPriceOracle", [twapOracle], {
+    id: "SetMasterChefPriceOracle"
+  });
+
+  // Boost MasterChef rewards by veDVT balance
+  const setMasterChefVotingEscrow = m.call(masterChef, "setVotingEscrow", [votingEscrow], {
+    id: "SetMasterChefVotingEscrow"
+  });
+
+  // Exempt LiquidityPool, MasterChef and VotingEscrow from anti-whale limits
+  const exemptLiquidityPool = m.call(dvtToken, "setExemptFromLimits", [liquidityPool, true], {
     id: "ExemptLiquidityPool"
   });
 
-  m.call(dvtToken, "setExemptFromLimits", [masterChef, true], {
+  const exemptMasterChef = m.call(dvtToken, "setExemptFromLimits", [masterChef, true], {
     id: "ExemptMasterChef"
   });
 
+  const exemptVotingEscrow = m.call(dvtToken, "setExemptFromLimits", [votingEscrow, true], {
+    id: "ExemptVotingEscrow"
+  });
+
+  // Tax DVT trades on the DVT/BNB pool, swapping the liquidity share back into the pool
+  const setDVTPoolAmmPair = m.call(dvtToken, "setAmmPair", [liquidityPool, true], {
+    id: "SetDVTPoolAmmPair"
+  });
+
+  const setTaxRates = m.call(dvtToken, "setTaxRates", [buyTax, sellTax, transferTax], {
+    id: "SetTaxRates"
+  });
+
+  const setSwapBackSettings = m.call(dvtToken, "setSwapBackSettings", [liquidityPool, true, swapBackThreshold], {
+    id: "SetSwapBackSettings"
+  });
+
+  // Start with tighter anti-whale limits that relax to the defaults after launch
+  const setLaunchSchedule = m.call(dvtToken, "setLaunchSchedule", [
+    launchTime,
+    launchDuration,
+    launchMaxTxAmount,
+    launchMaxWalletAmount
+  ], {
+    id: "SetLaunchSchedule"
+  });
+
+  // Staking contracts move DVT without being taxed
+  const taxExemptMasterChef = m.call(dvtToken, "setExemptFromTax", [masterChef, true], {
+    id: "TaxExemptMasterChef"
+  });
+
+  const taxExemptVotingEscrow = m.call(dvtToken, "setExemptFromTax", [votingEscrow, true], {
+    id: "TaxExemptVotingEscrow"
+  });
+
   // Add initial LP pool to MasterChef
-  m.call(masterChef, "add", [
+  const addLPPool = m.call(masterChef, "add", [
     1000, // allocation points
     liquidityPool, // LP token
     100, // 1% deposit fee
@@ -77,10 +223,204 @@ module.exports = buildModule("DeployModule", (m) => {
     id: "AddLPPool"
   });
 
+  // Add single-asset DVT pool to MasterChef for the auto-compounding vault
+  const addDVTPool = m.call(masterChef, "add", [
+    500, // allocation points
+    dvtToken, // DVT staked directly
+    0, // no deposit fee
+    0, // no harvest lockup
+    false // don't mass update pools
+  ], {
+    id: "AddDVTPool",
+    after: [addLPPool]
+  });
+
+  // Deploy auto-compounding vault on the DVT pool (pool ID 1)
+  const dvtVault = m.contract("DVTVault", [
+    dvtToken,
+    masterChef,
+    1,
+    m.getAccount(0) // Treasury (deployer initially)
+  ], {
+    id: "DVTVault",
+    after: [addDVTPool]
+  });
+
+  const exemptDVTVault = m.call(dvtToken, "setExemptFromLimits", [dvtVault, true], {
+    id: "ExemptDVTVault"
+  });
+
+  const taxExemptDVTVault = m.call(dvtToken, "setExemptFromTax", [dvtVault, true], {
+    id: "TaxExemptDVTVault"
+  });
+
+  // Deploy zap for single-asset entry into the DVT/BNB farm (pool ID 0)
+  const zap = m.contract("Zap", [
+    liquidityPool,
+    masterChef,
+    0
+  ], {
+    id: "Zap",
+    after: [addLPPool]
+  });
+
+  const setMasterChefZap = m.call(masterChef, "setZap", [zap], {
+    id: "SetMasterChefZap"
+  });
+
+  // Lock the team and investor allocations in vesting grants
+  const tokenVesting = m.contract("TokenVesting", [dvtToken], {
+    id: "TokenVesting"
+  });
+
+  const exemptTokenVesting = m.call(dvtToken, "setExemptFromLimits", [tokenVesting, true], {
+    id: "ExemptTokenVesting"
+  });
+
+  const taxExemptTokenVesting = m.call(dvtToken, "setExemptFromTax", [tokenVesting, true], {
+    id: "TaxExemptTokenVesting"
+  });
+
+  const approveTokenVesting = m.call(dvtToken, "approve", [tokenVesting, "115792089237316195423570985008687907853269984665640564039457584007913129639935"], {
+    id: "ApproveTokenVesting"
+  });
+
+  const createVestingGrants = m.call(tokenVesting, "createGrants", [
+    [teamWallet, investorWallet],
+    [teamVestingAmount, investorVestingAmount],
+    vestingStart,
+    [teamVestingCliff, investorVestingCliff],
+    [teamVestingDuration, investorVestingDuration],
+    [true, false] // Team grants are revocable, investor grants are not
+  ], {
+    id: "CreateVestingGrants",
+    after: [exemptTokenVesting, approveTokenVesting]
+  });
+
+  const resetTokenVestingApproval = m.call(dvtToken, "approve", [tokenVesting, 0], {
+    id: "ResetTokenVestingApproval",
+    after: [createVestingGrants]
+  });
+
+  // Governance: DVT holders propose and vote, the timelock executes
+  const timelock = m.contract("TimelockController", [
+    timelockDelay,
+    [], // Proposers (granted to the governor below)
+    ["0x0000000000000000000000000000000000000000"], // Anyone can execute queued proposals
+    m.getAccount(0) // Temporary admin, renounced once setup is complete
+  ], {
+    id: "Timelock"
+  });
+
+  const governor = m.contract("DVTGovernor", [
+    dvtToken,
+    timelock,
+    votingDelay,
+    votingPeriod,
+    proposalThreshold,
+    quorumPercentage
+  ], {
+    id: "DVTGovernor"
+  });
+
+  const grantProposer = m.call(timelock, "grantRole", [m.staticCall(timelock, "PROPOSER_ROLE"), governor], {
+    id: "GrantProposerRole"
+  });
+
+  const grantCanceller = m.call(timelock, "grantRole", [m.staticCall(timelock, "CANCELLER_ROLE"), governor], {
+    id: "GrantCancellerRole"
+  });
+
+  // Hand every owned contract to the timelock once all setup calls are done
+  const setupCalls = [
+    addMasterChefMinter,
+    addReferralSystemMinter,
+    setMasterChefMintLimits,
+    setReferralSystemMintLimits,
+    setMasterChefOperator,
+    setMasterChefReferralSystem,
+    setEmissionSchedule,
+    setMasterChefPriceOracle,
+    setMasterChefVotingEscrow,
+    exemptLiquidityPool,
+    exemptMasterChef,
+    exemptVotingEscrow,
+    exemptDVTVault,
+    setMasterChefZap,
+    setDVTPoolAmmPair,
+    setTaxRates,
+    setSwapBackSettings,
+    setLaunchSchedule,
+    taxExemptMasterChef,
+    taxExemptVotingEscrow,
+    taxExemptDVTVault,
+    taxExemptTokenVesting,
+    exemptTokenVesting,
+    createVestingGrants,
+    resetTokenVestingApproval,
+    addLPPool,
+    addDVTPool
+  ];
+
+  const removeDeployerMinter = m.call(dvtToken, "removeMinter", [m.getAccount(0)], {
+    id: "RemoveDeployerMinter",
+    after: setupCalls
+  });
+
+  const ownershipTransfers = [
+    m.call(dvtToken, "transferOwnership", [timelock], {
+      id: "TransferDVTTokenOwnership",
+      after: [...setupCalls, removeDeployerMinter]
+    }),
+    m.call(liquidityPool, "transferOwnership", [timelock], {
+      id: "TransferLiquidityPoolOwnership",
+      after: setupCalls
+    }),
+    m.call(masterChef, "transferOwnership", [timelock], {
+      id: "TransferMasterChefOwnership",
+      after: setupCalls
+    }),
+    m.call(referralSystem, "transferOwnership", [timelock], {
+      id: "TransferReferralSystemOwnership",
+      after: setupCalls
+    }),
+    m.call(pairFactory, "transferOwnership", [timelock], {
+      id: "TransferPairFactoryOwnership",
+      after: setupCalls
+    }),
+    m.call(twapOracle, "transferOwnership", [timelock], {
+      id: "TransferTWAPOracleOwnership",
+      after: setupCalls
+    }),
+    m.call(dvtVault, "transferOwnership", [timelock], {
+      id: "TransferDVTVaultOwnership",
+      after: setupCalls
+    }),
+    m.call(tokenVesting, "transferOwnership", [timelock], {
+      id: "TransferTokenVestingOwnership",
+      after: setupCalls
+    })
+  ];
+
+  // Leave the governor as the only way to schedule timelock operations
+  m.call(timelock, "renounceRole", [m.staticCall(timelock, "DEFAULT_ADMIN_ROLE"), m.getAccount(0)], {
+    id: "RenounceTimelockAdmin",
+    after: [grantProposer, grantCanceller, ...ownershipTransfers]
+  });
+
   return {
     dvtToken,
+    pairFactory,
+    swapRouter,
     liquidityPool,
+    twapOracle,
     masterChef,
-    referralSystem
+    referralSystem,
+    votingEscrow,
+    dvtVault,
+    zap,
+    tokenVesting,
+    timelock,
+    governor
   };
 });
\ No newline at end of file
@@ -1,5 +1,25 @@
 const { ethers } = require("hardhat");
 
+// Initial DVT allocation locked in vesting grants (amounts in DVT, durations in seconds)
+const VESTING_SCHEDULE = [
+  {
+    name: "Team",
+    beneficiary: process.env.TEAM_WALLET, // defaults to the deployer
+    amount: "15000000",
+    cliff: 365 * 24 * 3600, // 1 year
+    duration: 3 * 365 * 24 * 3600, // 3 years
+    revocable: true
+  },
+  {
+    name: "Investors",
+    beneficiary: process.env.INVESTOR_WALLET, // defaults to the deployer
+    amount: "10000000",
+    cliff: 180 * 24 * 3600, // 180 days
+    duration: 2 * 365 * 24 * 3600, // 2 years
+    revocable: false
+  }
+];
+
 async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
@@ -16,16 +36,49 @@ async function main() {
   await token.deployed();
   console.log("DVT Token deployed to:", token.address);
 
-  // Deploy Liquidity Pool
-  console.log("\n=== Deploying Liquidity Pool ===");
-  const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
-  const liquidityPool = await LiquidityPool.deploy(
-    token.address,
+  // Deploy Pair Factory (pool creation code lives in linked deployer libraries)
+  console.log("\n=== Deploying Pair Factory ===");
+  const liquidityPoolDeployer = await (await ethers.getContractFactory("LiquidityPoolDeployer")).deploy();
+  await liquidityPoolDeployer.deployed();
+  const tokenPairDeployer = await (await ethers.getContractFactory("TokenPairDeployer")).deploy();
+  await tokenPairDeployer.deployed();
+  const PairFactory = await ethers.getContractFactory("PairFactory", {
+    libraries: {
+      LiquidityPoolDeployer: liquidityPoolDeployer.address,
+      TokenPairDeployer: tokenPairDeployer.address
+    }
+  });
+  const pairFactory = await PairFactory.deploy(
     deployer.address // fee recipient
   );
-  await liquidityPool.deployed();
+  await pairFactory.deployed();
+  console.log("Pair Factory deployed to:", pairFactory.address);
+
+  // Deploy Swap Router
+  const SwapRouter = await ethers.getContractFactory("SwapRouter");
+  const swapRouter = await SwapRouter.deploy(pairFactory.address);
+  await swapRouter.deployed();
+  console.log("Swap Router deployed to:", swapRouter.address);
+
+  // Create DVT/BNB Liquidity Pool through the factory
+  console.log("\n=== Creating DVT/BNB Liquidity Pool ===");
+  await (await pairFactory.createPair(token.address, ethers.constants.AddressZero)).wait();
+  const liquidityPool = await ethers.getContractAt(
+    "LiquidityPool",
+    await pairFactory.getPair(token.address, ethers.constants.AddressZero)
+  );
   console.log("Liquidity Pool deployed to:", liquidityPool.address);
 
+  // Deploy TWAP Oracle
+  console.log("\n=== Deploying TWAP Oracle ===");
+  const TWAPOracle = await ethers.getContractFactory("TWAPOracle");
+  const twapOracle = await TWAPOracle.deploy(
+    liquidityPool.address,
+    3600 // 1 hour averaging window
+  );
+  await twapOracle.deployed();
+  console.log("TWAP Oracle deployed to:", twapOracle.address);
+
   // Deploy MasterChef
   console.log("\n=== Deploying MasterChef ===");
   const MasterChef = await ethers.getContractFactory("MasterChef");
@@ -33,8 +86,8 @@ async function main() {
     token.address,
     deployer.address, // dev address
     deployer.address, // fee address
-    ethers.utils.parseEther("1"), // 1 DVT per block
-    await ethers.provider.getBlockNumber() + 100 // start block
+    ethers.utils.parseEther("0.3"), // 0.3 DVT per second
+    (await ethers.provider.getBlock("latest")).timestamp + 300 // start time
   );
   await masterChef.deployed();
   console.log("MasterChef deployed to:", masterChef.address);
@@ -49,6 +102,13 @@ async function main() {
   await referralSystem.deployed();
   console.log("Referral System deployed to:", referralSystem.address);
 
+  // Deploy veDVT
+  console.log("\n=== Deploying VotingEscrow ===");
+  const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+  const votingEscrow = await VotingEscrow.deploy(token.address);
+  await votingEscrow.deployed();
+  console.log("VotingEscrow deployed to:", votingEscrow.address);
+
   // Configure contracts
   console.log("\n=== Configuring Contracts ===");
   
@@ -56,14 +116,25 @@ async function main() {
   await token.addMinter(masterChef.address);
   console.log("MasterChef added as DVT minter");
 
-  // Add Liquidity Pool as minter for DVT token
-  await token.addMinter(liquidityPool.address);
-  console.log("Liquidity Pool added as DVT minter");
-
   // Add Referral System as minter for DVT token
   await token.addMinter(referralSystem.address);
   console.log("Referral System added as DVT minter");
 
+  // Cap what each minter can mint in total and per rolling day (same defaults as ignition/modules/deploy.js)
+  await token.setMinterLimits(
+    masterChef.address,
+    ethers.utils.parseEther("600000000"), // lifetime cap
+    ethers.utils.parseEther("600000"), // daily rate limit
+    24 * 3600 // rate limit period
+  );
+  await token.setMinterLimits(
+    referralSystem.address,
+    ethers.utils.parseEther("50000000"), // lifetime cap
+    ethers.utils.parseEther("50000"), // daily rate limit
+    24 * 3600 // rate limit period
+  );
+  console.log("Minter caps and rate limits configured");
+
   // Add LP token pool to MasterChef
   await masterChef.add(
     1000, // alloc points
@@ -78,11 +149,162 @@ async function main() {
   await referralSystem.setOperator(masterChef.address, true);
   console.log("Referral System set as MasterChef operator");
 
+  // Halve emissions yearly down to 0.03 DVT per second
+  await masterChef.setEmissionSchedule(
+    365 * 24 * 3600, // epoch duration
+    5000, // 50% reduction per epoch
+    ethers.utils.parseEther("0.03"), // floor rate
+    false // exponential decay
+  );
+  console.log("MasterChef emission schedule configured");
+
+  // Price MasterChef APR views with the TWAP oracle
+  await masterChef.setPriceOracle(twapOracle.address);
+  console.log("TWAP Oracle linked to MasterChef");
+
+  // Boost MasterChef rewards by veDVT balance
+  await masterChef.setVotingEscrow(votingEscrow.address);
+  await token.setExemptFromLimits(votingEscrow.address, true);
+  await token.setExemptFromTax(votingEscrow.address, true);
+  console.log("VotingEscrow linked to MasterChef");
+
+  // Add single-asset DVT pool and its auto-compounding vault
+  await masterChef.add(
+    500, // alloc points
+    token.address, // DVT staked directly
+    0, // deposit fee (0%)
+    0, // harvest lockup (0 days)
+    false // don't update pools
+  );
+  const DVTVault = await ethers.getContractFactory("DVTVault");
+  const dvtVault = await DVTVault.deploy(
+    token.address,
+    masterChef.address,
+    1, // DVT pool ID
+    deployer.address // treasury
+  );
+  await dvtVault.deployed();
+  await token.setExemptFromLimits(dvtVault.address, true);
+  await token.setExemptFromTax(dvtVault.address, true);
+  console.log("DVTVault deployed to:", dvtVault.address);
+
+  // Deploy zap for single-asset entry into the DVT/BNB farm
+  const Zap = await ethers.getContractFactory("Zap");
+  const zap = await Zap.deploy(
+    liquidityPool.address,
+    masterChef.address,
+    0 // DVT/BNB LP pool ID
+  );
+  await zap.deployed();
+  await masterChef.setZap(zap.address);
+  console.log("Zap deployed to:", zap.address);
+
+  // Lock the team and investor allocations in vesting grants
+  console.log("\n=== Deploying Token Vesting ===");
+  const TokenVesting = await ethers.getContractFactory("TokenVesting");
+  const tokenVesting = await TokenVesting.deploy(token.address);
+  await tokenVesting.deployed();
+  await token.setExemptFromLimits(tokenVesting.address, true);
+  await token.setExemptFromTax(tokenVesting.address, true);
+  console.log("Token Vesting deployed to:", tokenVesting.address);
+
+  const vestingAmounts = VESTING_SCHEDULE.map((grant) => ethers.utils.parseEther(grant.amount));
+  await token.approve(
+    tokenVesting.address,
+    vestingAmounts.reduce((total, amount) => total.add(amount), ethers.constants.Zero)
+  );
+  await tokenVesting.createGrants(
+    VESTING_SCHEDULE.map((grant) => grant.beneficiary || deployer.address),
+    vestingAmounts,
+    0, // start vesting now
+    VESTING_SCHEDULE.map((grant) => grant.cliff),
+    VESTING_SCHEDULE.map((grant) => grant.duration),
+    VESTING_SCHEDULE.map((grant) => grant.revocable)
+  );
+  for (const grant of VESTING_SCHEDULE) {
+    console.log(`${grant.name} grant: ${grant.amount} DVT to ${grant.beneficiary || deployer.address}`);
+  }
+
+  // Tax DVT trades on the DVT/BNB pool, swapping the liquidity share back into the pool
+  await token.setAmmPair(liquidityPool.address, true);
+  await token.setTaxRates(
+    200, // 2% buy tax
+    300, // 3% sell tax
+    0 // wallet-to-wallet transfers untaxed
+  );
+  await token.setSwapBackSettings(
+    liquidityPool.address,
+    true, // swap back automatically
+    ethers.utils.parseEther("1000") // threshold
+  );
+  await token.setExemptFromTax(masterChef.address, true);
+  // MasterChef pays every staker's rewards and withdrawals, so one shared window limit would block them
+  await token.setExemptFromLimits(masterChef.address, true);
+  console.log("DVT transfer tax configured");
+
+  // Start with tighter anti-whale limits that relax to the defaults after launch
+  await token.setLaunchSchedule(
+    0, // launch now
+    7 * 24 * 3600, // relax over 1 week
+    ethers.utils.parseEther("1000000"), // initial max tx
+    ethers.utils.parseEther("2000000") // initial max wallet
+  );
+  console.log("DVT launch limits configured");
+
+  // Route MasterChef harvests through the Referral System
+  await masterChef.setReferralSystem(referralSystem.address);
+  console.log("Referral System linked to MasterChef");
+
+  // Deploy governance
+  console.log("\n=== Deploying Governance ===");
+  const TimelockController = await ethers.getContractFactory("TimelockController");
+  const timelock = await TimelockController.deploy(
+    172800, // 2 day execution delay
+    [], // proposers (governor granted below)
+    [ethers.constants.AddressZero], // anyone can execute queued proposals
+    deployer.address // temporary admin
+  );
+  await timelock.deployed();
+  console.log("Timelock deployed to:", timelock.address);
+
+  const DVTGovernor = await ethers.getContractFactory("DVTGovernor");
+  const governor = await DVTGovernor.deploy(
+    token.address,
+    timelock.address,
+    28800, // voting delay (~1 day of BSC blocks)
+    201600, // voting period (~1 week of BSC blocks)
+    ethers.utils.parseEther("10000"), // proposal threshold
+    4 // quorum (4% of supply)
+  );
+  await governor.deployed();
+  console.log("Governor deployed to:", governor.address);
+
+  await timelock.grantRole(await timelock.PROPOSER_ROLE(), governor.address);
+  await timelock.grantRole(await timelock.CANCELLER_ROLE(), governor.address);
+  console.log("Governor granted proposer and canceller roles");
+
+  // Hand ownership to the timelock
+  await token.removeMinter(deployer.address);
+  for (const contract of [token, liquidityPool, masterChef, referralSystem, pairFactory, twapOracle, dvtVault, tokenVesting]) {
+    await contract.transferOwnership(timelock.address);
+  }
+  await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address);
+  console.log("Protocol ownership transferred to Timelock");
+
   console.log("\n=== Deployment Complete ===");
   console.log("DVT Token:", token.address);
+  console.log("Pair Factory:", pairFactory.address);
+  console.log("Swap Router:", swapRouter.address);
   console.log("Liquidity Pool:", liquidityPool.address);
+  console.log("TWAP Oracle:", twapOracle.address);
   console.log("MasterChef:", masterChef.address);
   console.log("Referral System:", referralSystem.address);
+  console.log("VotingEscrow:", votingEscrow.address);
+  console.log("DVTVault:", dvtVault.address);
+  console.log("Zap:", zap.address);
+  console.log("Token Vesting:", tokenVesting.address);
+  console.log("Timelock:", timelock.address);
+  console.log("Governor:", governor.address);
 
   // Save deployment info
   const deploymentInfo = {
@@ -90,9 +312,18 @@ async function main() {
     deployer: deployer.address,
     contracts: {
       dvtToken: token.address,
+      pairFactory: pairFactory.address,
+      swapRouter: swapRouter.address,
       liquidityPool: liquidityPool.address,
+      twapOracle: twapOracle.address,
       masterChef: masterChef.address,
-      referralSystem: referralSystem.address
+      referralSystem: referralSystem.address,
+      votingEscrow: votingEscrow.address,
+      dvtVault: dvtVault.address,
+      zap: zap.address,
+      tokenVesting: tokenVesting.address,
+      timelock: timelock.address,
+      governor: governor.address
     },
     timestamp: new Date().toISOString(),
     blockNumber: await ethers.provider.getBlockNumber()
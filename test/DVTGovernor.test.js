@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const DeployModule = require("../ignition/modules/deploy");
+
+describe("DVTGovernor", function () {
+  let dvt, liquidityPool, masterChef, referralSystem, pairFactory, twapOracle, timelock, governor;
+  let owner, addr1;
+
+  const TIMELOCK_DELAY = 3600;
+  const VOTING_DELAY = 1;
+  const VOTING_PERIOD = 20;
+  const PROPOSAL_THRESHOLD = ethers.parseEther("10000");
+
+  // Proposal states from IGovernor.ProposalState
+  const ProposalState = { Pending: 0, Active: 1, Defeated: 3, Succeeded: 4, Queued: 5, Executed: 7 };
+
+  async function mineBlocks(count) {
+    await ethers.provider.send("hardhat_mine", [ethers.toQuantity(count)]);
+  }
+
+  async function proposeAndPass(targets, values, calldatas, description) {
+    await governor.propose(targets, values, calldatas, description);
+    const descriptionHash = ethers.id(description);
+    const proposalId = await governor.hashProposal(targets, values, calldatas, descriptionHash);
+
+    await mineBlocks(VOTING_DELAY + 1);
+    await governor.castVote(proposalId, 1); // For
+    await mineBlocks(VOTING_PERIOD);
+
+    return { proposalId, descriptionHash };
+  }
+
+  let snapshotId;
+
+  // Timelock delays move the chain clock; restore it so later suites keep wall-clock deadlines
+  before(async function () {
+    snapshotId = await ethers.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshotId]);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    ({
+      dvtToken: dvt,
+      liquidityPool,
+      masterChef,
+      referralSystem,
+      pairFactory,
+      twapOracle,
+      timelock,
+      governor
+    } = await ignition.deploy(DeployModule, {
+      parameters: {
+        DeployModule: {
+          timelockDelay: TIMELOCK_DELAY,
+          votingDelay: VOTING_DELAY,
+          votingPeriod: VOTING_PERIOD,
+          proposalThreshold: PROPOSAL_THRESHOLD
+        }
+      }
+    }));
+
+    // Voting power must be delegated before it counts
+    await dvt.delegate(owner.address);
+  });
+
+  describe("Deployment", function () {
+    it("Should hand ownership of the protocol contracts to the timelock", async function () {
+      const timelockAddress = await timelock.getAddress();
+
+      expect(await dvt.owner()).to.equal(timelockAddress);
+      expect(await liquidityPool.owner()).to.equal(timelockAddress);
+      expect(await masterChef.owner()).to.equal(timelockAddress);
+      expect(await referralSystem.owner()).to.equal(timelockAddress);
+      expect(await pairFactory.owner()).to.equal(timelockAddress);
+      expect(await twapOracle.owner()).to.equal(timelockAddress);
+    });
+
+    it("Should leave the governor as the only proposer", async function () {
+      const governorAddress = await governor.getAddress();
+
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), governorAddress)).to.be.true;
+      expect(await timelock.hasRole(await timelock.CANCELLER_ROLE(), governorAddress)).to.be.true;
+      expect(await timelock.hasRole(await timelock.PROPOSER_ROLE(), owner.address)).to.be.false;
+      expect(await timelock.hasRole(await timelock.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.false;
+      expect(await dvt.isMinter(owner.address)).to.be.false;
+    });
+
+    it("Should configure voting settings", async function () {
+      expect(await governor.token()).to.equal(await dvt.getAddress());
+      expect(await governor.timelock()).to.equal(await timelock.getAddress());
+      expect(await governor.votingDelay()).to.equal(VOTING_DELAY);
+      expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await governor.proposalThreshold()).to.equal(PROPOSAL_THRESHOLD);
+      expect(await timelock.getMinDelay()).to.equal(TIMELOCK_DELAY);
+    });
+
+    it("Should block direct owner calls from the deployer", async function () {
+      await expect(
+        liquidityPool.setSwapFee(25)
+      ).to.be.revertedWithCustomError(liquidityPool, "OwnableUnauthorizedAccount");
+
+      await expect(
+        masterChef.updateEmissionRate(ethers.parseEther("5"))
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Proposals", function () {
+    it("Should run a full propose, vote, queue and execute cycle", async function () {
+      const targets = [
+        await liquidityPool.getAddress(),
+        await masterChef.getAddress(),
+        await referralSystem.getAddress(),
+        await dvt.getAddress()
+      ];
+      const values = [0, 0, 0, 0];
+      const calldatas = [
+        liquidityPool.interface.encodeFunctionData("setSwapFee", [25]),
+        masterChef.interface.encodeFunctionData("updateEmissionRate", [ethers.parseEther("5")]),
+        referralSystem.interface.encodeFunctionData("setMinReferralReward", [ethers.parseEther("2")]),
+        dvt.interface.encodeFunctionData("setMaxTxAmount", [ethers.parseEther("10000000")])
+      ];
+      const description = "Proposal #1: tune fees, emissions, referrals and limits";
+
+      const { proposalId, descriptionHash } = await proposeAndPass(targets, values, calldatas, description);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Succeeded);
+
+      await governor.queue(targets, values, calldatas, descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Queued);
+
+      // Execution is locked until the timelock delay has passed
+      await expect(
+        governor.execute(targets, values, calldatas, descriptionHash)
+      ).to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await ethers.provider.send("evm_increaseTime", [TIMELOCK_DELAY]);
+      await ethers.provider.send("evm_mine");
+
+      await governor.execute(targets, values, calldatas, descriptionHash);
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Executed);
+
+      expect(await liquidityPool.swapFee()).to.equal(25);
+      expect(await masterChef.dvtPerSecond()).to.equal(ethers.parseEther("5"));
+      expect(await referralSystem.minReferralReward()).to.equal(ethers.parseEther("2"));
+      expect(await dvt.maxTxAmount()).to.equal(ethers.parseEther("10000000"));
+    });
+
+    it("Should defeat proposals that miss quorum", async function () {
+      // Only a small holder votes, well below the 4% quorum
+      await dvt.transfer(addr1.address, ethers.parseEther("1000"));
+      await dvt.connect(addr1).delegate(addr1.address);
+      await mineBlocks(1);
+
+      const targets = [await liquidityPool.getAddress()];
+      const values = [0];
+      const calldatas = [liquidityPool.interface.encodeFunctionData("setSwapFee", [25])];
+      const description = "Proposal #2: low turnout";
+
+      await governor.propose(targets, values, calldatas, description);
+      const proposalId = await governor.hashProposal(targets, values, calldatas, ethers.id(description));
+
+      await mineBlocks(VOTING_DELAY + 1);
+      await governor.connect(addr1).castVote(proposalId, 1);
+      await mineBlocks(VOTING_PERIOD);
+
+      expect(await governor.state(proposalId)).to.equal(ProposalState.Defeated);
+    });
+
+    it("Should reject proposals from accounts below the threshold", async function () {
+      const targets = [await liquidityPool.getAddress()];
+      const calldatas = [liquidityPool.interface.encodeFunctionData("setSwapFee", [25])];
+
+      await expect(
+        governor.connect(addr1).propose(targets, [0], calldatas, "Proposal #3: no voting power")
+      ).to.be.revertedWithCustomError(governor, "GovernorInsufficientProposerVotes");
+    });
+
+    it("Should not allow the timelock to be bypassed", async function () {
+      const targets = [await liquidityPool.getAddress()];
+      const values = [0];
+      const calldatas = [liquidityPool.interface.encodeFunctionData("setSwapFee", [25])];
+      const predecessor = ethers.ZeroHash;
+      const salt = ethers.id("direct");
+
+      await expect(
+        timelock.schedule(targets[0], values[0], calldatas[0], predecessor, salt, TIMELOCK_DELAY)
+      ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
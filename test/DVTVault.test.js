@@ -0,0 +1,248 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DVTVault", function () {
+  let dvt, masterChef, vault, liquidityPool;
+  let owner, addr1, addr2, treasury;
+  let snapshotId;
+
+  const DEPOSIT = ethers.parseEther("1000");
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // Compounding moves the chain clock; restore it for other suites
+  before(async function () {
+    snapshotId = await ethers.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshotId]);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, treasury] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+
+    const MasterChef = await ethers.getContractFactory("MasterChef");
+    masterChef = await MasterChef.deploy(
+      await dvt.getAddress(),
+      owner.address,
+      owner.address,
+      ethers.parseEther("1"),
+      0
+    );
+    await masterChef.waitForDeployment();
+    await dvt.addMinter(await masterChef.getAddress());
+    await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+    await masterChef.add(1000, await dvt.getAddress(), 0, 0, false);
+
+    const DVTVault = await ethers.getContractFactory("DVTVault");
+    vault = await DVTVault.deploy(
+      await dvt.getAddress(),
+      await masterChef.getAddress(),
+      0,
+      treasury.address
+    );
+    await vault.waitForDeployment();
+    await dvt.setExemptFromLimits(await vault.getAddress(), true);
+
+    for (const account of [addr1, addr2]) {
+      await dvt.transfer(account.address, ethers.parseEther("10000"));
+      await dvt.connect(account).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct initial values", async function () {
+      expect(await vault.dvt()).to.equal(await dvt.getAddress());
+      expect(await vault.masterChef()).to.equal(await masterChef.getAddress());
+      expect(await vault.pid()).to.equal(0);
+      expect(await vault.treasury()).to.equal(treasury.address);
+      expect(await vault.performanceFee()).to.equal(200);
+      expect(await vault.callFee()).to.equal(25);
+      expect(await vault.getPricePerFullShare()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should reject a pool that does not stake DVT", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      liquidityPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+      await liquidityPool.waitForDeployment();
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+
+      const DVTVault = await ethers.getContractFactory("DVTVault");
+      await expect(
+        DVTVault.deploy(await dvt.getAddress(), await masterChef.getAddress(), 1, treasury.address)
+      ).to.be.revertedWith("DVTVault: pool does not stake DVT");
+    });
+  });
+
+  describe("Deposits and Withdrawals", function () {
+    it("Should mint shares 1:1 on the first deposit, less the locked minimum, and stake in MasterChef", async function () {
+      const minimumShares = await vault.MINIMUM_SHARES();
+
+      await expect(vault.connect(addr1).deposit(DEPOSIT))
+        .to.emit(vault, "Deposit")
+        .withArgs(addr1.address, DEPOSIT, DEPOSIT - minimumShares);
+
+      expect(await vault.balanceOf(addr1.address)).to.equal(DEPOSIT - minimumShares);
+      expect(await vault.balanceOf("0x0000000000000000000000000000000000000001")).to.equal(minimumShares);
+      expect(await vault.getPricePerFullShare()).to.equal(ethers.parseEther("1"));
+      expect(await vault.available()).to.equal(0);
+      expect(await vault.totalAssets()).to.equal(DEPOSIT);
+
+      const userInfo = await masterChef.getUserInfo(0, await vault.getAddress());
+      expect(userInfo.amount).to.equal(DEPOSIT);
+    });
+
+    it("Should reject zero deposits", async function () {
+      await expect(vault.connect(addr1).deposit(0)).to.be.revertedWith("DVTVault: zero amount");
+      await expect(vault.connect(addr1).deposit(1000)).to.be.revertedWith("DVTVault: deposit too small");
+    });
+
+    it("Should withdraw the DVT value of burned shares", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      const balanceBefore = await dvt.balanceOf(addr1.address);
+
+      await vault.connect(addr1).withdrawAll();
+
+      expect(await vault.balanceOf(addr1.address)).to.equal(0);
+      expect(await vault.totalSupply()).to.equal(await vault.MINIMUM_SHARES());
+      // Principal plus the rewards accrued since the deposit, net of the performance fee
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(balanceBefore + DEPOSIT);
+    });
+
+    it("Should reject withdrawing more shares than owned", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      await expect(
+        vault.connect(addr2).withdraw(DEPOSIT)
+      ).to.be.revertedWith("DVTVault: insufficient shares");
+      await expect(vault.connect(addr1).withdraw(0)).to.be.revertedWith("DVTVault: zero shares");
+    });
+
+    it("Should not let late depositors capture rewards accrued before them", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      await increaseTime(1000);
+
+      await vault.connect(addr2).deposit(DEPOSIT);
+      expect(await vault.balanceOf(addr2.address)).to.be.lt(DEPOSIT);
+
+      await vault.connect(addr1).withdrawAll();
+      await vault.connect(addr2).withdrawAll();
+
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(await dvt.balanceOf(addr2.address));
+    });
+
+    it("Should make a first-depositor donation attack unprofitable", async function () {
+      const attackerStart = await dvt.balanceOf(addr1.address);
+      const victimStart = await dvt.balanceOf(addr2.address);
+      const donation = ethers.parseEther("9000");
+
+      // Smallest possible first deposit, then inflate the share price with a direct donation
+      await vault.connect(addr1).deposit(1001);
+      expect(await vault.balanceOf(addr1.address)).to.equal(1);
+      await dvt.connect(addr1).transfer(await vault.getAddress(), donation);
+
+      await vault.connect(addr2).deposit(donation);
+      expect(await vault.balanceOf(addr2.address)).to.be.gt(0);
+
+      await vault.connect(addr1).withdrawAll();
+      await vault.connect(addr2).withdrawAll();
+
+      expect(await dvt.balanceOf(addr1.address)).to.be.lt(attackerStart - (donation * 99n) / 100n);
+      expect(await dvt.balanceOf(addr2.address)).to.be.gt(victimStart - donation / 100n);
+    });
+  });
+
+  describe("Compounding", function () {
+    it("Should re-stake harvested rewards and grow the price per share", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      await increaseTime(100);
+
+      await vault.connect(addr2).compound();
+
+      expect(await vault.available()).to.equal(0);
+      expect(await vault.getPricePerFullShare()).to.be.gt(ethers.parseEther("1"));
+      expect(await vault.totalAssets()).to.be.gt(DEPOSIT);
+      expect(await vault.lastCompoundTime()).to.equal(
+        (await ethers.provider.getBlock("latest")).timestamp
+      );
+    });
+
+    it("Should pay the performance fee to the treasury and the bounty to the caller", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      await increaseTime(100);
+
+      const callerBefore = await dvt.balanceOf(addr2.address);
+      const tx = await vault.connect(addr2).compound();
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map((log) => { try { return vault.interface.parseLog(log); } catch { return null; } })
+        .find((parsed) => parsed && parsed.name === "Compound");
+
+      const harvested = event.args.harvested;
+      expect(harvested).to.be.gt(0);
+      expect(event.args.performanceFee).to.equal((harvested * 200n) / 10000n);
+      expect(event.args.callFee).to.equal((harvested * 25n) / 10000n);
+      expect(await dvt.balanceOf(treasury.address)).to.equal(event.args.performanceFee);
+      expect(await dvt.balanceOf(addr2.address)).to.equal(callerBefore + event.args.callFee);
+
+      const userInfo = await masterChef.getUserInfo(0, await vault.getAddress());
+      expect(userInfo.amount).to.equal(
+        DEPOSIT + harvested - event.args.performanceFee - event.args.callFee
+      );
+    });
+
+    it("Should report pending rewards", async function () {
+      await vault.connect(addr1).deposit(DEPOSIT);
+      await increaseTime(100);
+      expect(await vault.pendingRewards()).to.be.gt(0);
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should update fees within limits", async function () {
+      await expect(vault.setPerformanceFee(500))
+        .to.emit(vault, "PerformanceFeeUpdated")
+        .withArgs(500);
+      await expect(vault.setPerformanceFee(501)).to.be.revertedWith("DVTVault: performance fee too high");
+
+      await expect(vault.setCallFee(100))
+        .to.emit(vault, "CallFeeUpdated")
+        .withArgs(100);
+      await expect(vault.setCallFee(101)).to.be.revertedWith("DVTVault: call fee too high");
+    });
+
+    it("Should update the treasury", async function () {
+      await expect(vault.setTreasury(addr1.address))
+        .to.emit(vault, "TreasuryUpdated")
+        .withArgs(addr1.address);
+      await expect(vault.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("DVTVault: invalid treasury");
+    });
+
+    it("Should recover stray tokens but never DVT", async function () {
+      const MyToken = await ethers.getContractFactory("MyToken");
+      const stray = await MyToken.deploy("Stray Token", "STR", ethers.parseEther("1000"));
+      await stray.waitForDeployment();
+      await stray.transfer(await vault.getAddress(), ethers.parseEther("10"));
+
+      await vault.recoverToken(await stray.getAddress(), ethers.parseEther("10"));
+      expect(await stray.balanceOf(owner.address)).to.equal(ethers.parseEther("1000"));
+
+      await expect(
+        vault.recoverToken(await dvt.getAddress(), 1)
+      ).to.be.revertedWith("DVTVault: cannot recover DVT");
+    });
+
+    it("Should restrict admin functions to the owner", async function () {
+      await expect(
+        vault.connect(addr1).setPerformanceFee(100)
+      ).to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,262 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("LPMigrator", function () {
+  let dvt, oldPool, newPool, masterChef, migrator;
+  let owner, addr1, addr2, trader;
+
+  const DEPOSIT = ethers.parseEther("100");
+
+  async function getDeadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  }
+
+  // Minimum DVT and BNB for unwrapping MasterChef's LP, 1% below the current share of reserves
+  async function migrationMins() {
+    const [reserveETH, reserveToken] = await oldPool.getReserves();
+    const balance = await oldPool.balanceOf(await masterChef.getAddress());
+    const supply = await oldPool.totalSupply();
+    return [
+      (reserveToken * balance * 99n) / supply / 100n,
+      (reserveETH * balance * 99n) / supply / 100n
+    ];
+  }
+
+  async function generateFees() {
+    for (let i = 0; i < 3; i++) {
+      const tokenOut = await oldPool.connect(trader).swapExactETHForTokens.staticCall(
+        0, trader.address, await getDeadline(), { value: ethers.parseEther("5") }
+      );
+      await oldPool.connect(trader).swapExactETHForTokens(
+        0, trader.address, await getDeadline(), { value: ethers.parseEther("5") }
+      );
+      await oldPool.connect(trader).swapExactTokensForETH(tokenOut, 0, trader.address, await getDeadline());
+    }
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2, trader] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+
+    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    oldPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+    await oldPool.waitForDeployment();
+    newPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+    await newPool.waitForDeployment();
+
+    await dvt.approve(await oldPool.getAddress(), ethers.parseEther("100000"));
+    await oldPool.addLiquidity(
+      ethers.parseEther("100000"),
+      0,
+      0,
+      owner.address,
+      await getDeadline(),
+      { value: ethers.parseEther("100") }
+    );
+
+    const MasterChef = await ethers.getContractFactory("MasterChef");
+    masterChef = await MasterChef.deploy(
+      await dvt.getAddress(),
+      owner.address,
+      owner.address,
+      ethers.parseEther("1"),
+      0
+    );
+    await masterChef.waitForDeployment();
+    await dvt.addMinter(await masterChef.getAddress());
+    await masterChef.add(1000, await oldPool.getAddress(), 0, 0, false);
+
+    const LPMigrator = await ethers.getContractFactory("LPMigrator");
+    migrator = await LPMigrator.deploy(
+      await masterChef.getAddress(),
+      await oldPool.getAddress(),
+      await newPool.getAddress()
+    );
+    await migrator.waitForDeployment();
+
+    for (const account of [addr1, addr2]) {
+      await oldPool.transfer(account.address, DEPOSIT);
+      await oldPool.connect(account).approve(await masterChef.getAddress(), ethers.MaxUint256);
+      await masterChef.connect(account).deposit(0, DEPOSIT);
+    }
+
+    await dvt.transfer(trader.address, ethers.parseEther("10000"));
+    await dvt.connect(trader).approve(await oldPool.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct initial values", async function () {
+      expect(await migrator.masterChef()).to.equal(await masterChef.getAddress());
+      expect(await migrator.oldPool()).to.equal(await oldPool.getAddress());
+      expect(await migrator.newPool()).to.equal(await newPool.getAddress());
+    });
+
+    it("Should reject pools for different tokens", async function () {
+      const MyToken = await ethers.getContractFactory("MyToken");
+      const otherToken = await MyToken.deploy("Other Token", "OTH", ethers.parseEther("1000"));
+      await otherToken.waitForDeployment();
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const otherPool = await LiquidityPool.deploy(await otherToken.getAddress(), owner.address);
+      await otherPool.waitForDeployment();
+
+      const LPMigrator = await ethers.getContractFactory("LPMigrator");
+      await expect(
+        LPMigrator.deploy(await masterChef.getAddress(), await oldPool.getAddress(), await otherPool.getAddress())
+      ).to.be.revertedWith("LPMigrator: token mismatch");
+    });
+  });
+
+  describe("Migration", function () {
+    it("Should move staked LP into the new pool and keep user positions intact", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+
+      const oldBalance = await oldPool.balanceOf(await masterChef.getAddress());
+      const userBefore = await masterChef.userInfo(0, addr1.address);
+
+      await expect(masterChef.migrate(0, ...(await migrationMins())))
+        .to.emit(masterChef, "PoolMigrated")
+        .withArgs(0, await oldPool.getAddress(), await newPool.getAddress(), oldBalance, oldBalance)
+        .and.to.emit(migrator, "Migrated");
+
+      const poolInfo = await masterChef.getPoolInfo(0);
+      expect(poolInfo.lpToken).to.equal(await newPool.getAddress());
+      expect(await oldPool.balanceOf(await masterChef.getAddress())).to.equal(0);
+      expect(await newPool.balanceOf(await masterChef.getAddress())).to.equal(oldBalance);
+
+      const userAfter = await masterChef.userInfo(0, addr1.address);
+      expect(userAfter.amount).to.equal(userBefore.amount);
+      expect(userAfter.rewardDebt).to.equal(userBefore.rewardDebt);
+      expect(userAfter.workingAmount).to.equal(userBefore.workingAmount);
+    });
+
+    it("Should leave the LP surplus from accrued fees in the new pool for the stakers", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+
+      const oldBalance = await oldPool.balanceOf(await masterChef.getAddress());
+      const [oldReserveETH] = await oldPool.getReserves();
+      const oldShareETH = (oldReserveETH * oldBalance) / (await oldPool.totalSupply());
+
+      await masterChef.migrate(0, ...(await migrationMins()));
+
+      // Only MasterChef's LP and the locked minimum remain, backed by all of the migrated BNB
+      // (less the old pool's protocol fee, minted when the liquidity was removed)
+      const minimumLiquidity = await newPool.MINIMUM_LIQUIDITY();
+      expect(await newPool.totalSupply()).to.equal(oldBalance + minimumLiquidity);
+      const [newReserveETH] = await newPool.getReserves();
+      expect(newReserveETH).to.be.closeTo(oldShareETH, oldShareETH / 1000n);
+      expect(await ethers.provider.getBalance(await migrator.getAddress())).to.equal(0);
+      expect(await dvt.balanceOf(await migrator.getAddress())).to.equal(0);
+    });
+
+    it("Should keep pending rewards and let users exit with the new LP token", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+      await masterChef.migrate(0, ...(await migrationMins()));
+
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.be.gt(0);
+
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+      await masterChef.connect(addr1).withdraw(0, DEPOSIT);
+      await masterChef.connect(addr2).withdraw(0, DEPOSIT);
+
+      expect(await newPool.balanceOf(addr1.address)).to.equal(DEPOSIT);
+      expect(await newPool.balanceOf(addr2.address)).to.equal(DEPOSIT);
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(dvtBefore);
+    });
+
+    it("Should revert when the migration lowers the staked balance", async function () {
+      // Without accrued fees the new pool's first mint locks MINIMUM_LIQUIDITY
+      await masterChef.setMigrator(await migrator.getAddress());
+      await expect(
+        masterChef.migrate(0, 0, 0)
+      ).to.be.revertedWith("LPMigrator: migration lowered balance");
+    });
+
+    it("Should revert when the old pool is skewed past the minimums", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+      const mins = await migrationMins();
+
+      // A large buy ahead of the migration leaves less DVT in the old pool
+      await oldPool.connect(trader).swapExactETHForTokens(0, trader.address, await getDeadline(), {
+        value: ethers.parseEther("10")
+      });
+
+      await expect(
+        masterChef.migrate(0, ...mins)
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_TOKEN_AMOUNT");
+    });
+
+    it("Should only migrate into an empty pool", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+
+      await dvt.approve(await newPool.getAddress(), ethers.parseEther("1000"));
+      await newPool.addLiquidity(ethers.parseEther("1000"), 0, 0, owner.address, await getDeadline(), {
+        value: ethers.parseEther("2")
+      });
+
+      await expect(
+        masterChef.migrate(0, ...(await migrationMins()))
+      ).to.be.revertedWith("LPMigrator: new pool not empty");
+    });
+
+    it("Should need a DVT tax exemption for the migrator", async function () {
+      await generateFees();
+      await masterChef.setMigrator(await migrator.getAddress());
+      await dvt.setAmmPair(await oldPool.getAddress(), true);
+      await dvt.setAmmPair(await newPool.getAddress(), true);
+      await dvt.setTaxRates(200, 300, 0);
+      const mins = await migrationMins();
+
+      await expect(masterChef.migrate(0, ...mins)).to.be.reverted;
+
+      await dvt.setExemptFromTax(await migrator.getAddress(), true);
+      await dvt.setExemptFromLimits(await migrator.getAddress(), true);
+      await masterChef.migrate(0, ...mins);
+      expect((await masterChef.getPoolInfo(0)).lpToken).to.equal(await newPool.getAddress());
+    });
+
+    it("Should require a migrator and the owner", async function () {
+      await expect(masterChef.migrate(0, 0, 0)).to.be.revertedWith("MasterChef: no migrator");
+
+      await expect(masterChef.setMigrator(await migrator.getAddress()))
+        .to.emit(masterChef, "MigratorUpdated")
+        .withArgs(await migrator.getAddress());
+
+      await expect(
+        masterChef.connect(addr1).migrate(0, 0, 0)
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+      await expect(
+        masterChef.connect(addr1).setMigrator(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should not migrate the single-asset DVT pool", async function () {
+      await masterChef.add(500, await dvt.getAddress(), 0, 0, false);
+      await masterChef.setMigrator(await migrator.getAddress());
+      await expect(masterChef.migrate(1, 0, 0)).to.be.revertedWith("MasterChef: cannot migrate DVT pool");
+    });
+
+    it("Should only migrate for MasterChef and the configured LP token", async function () {
+      await expect(
+        migrator.connect(addr1).migrate(await oldPool.getAddress(), 0, 0)
+      ).to.be.revertedWith("LPMigrator: caller is not MasterChef");
+
+      const LPMigrator = await ethers.getContractFactory("LPMigrator");
+      const wrongMigrator = await LPMigrator.deploy(
+        await masterChef.getAddress(),
+        await newPool.getAddress(),
+        await oldPool.getAddress()
+      );
+      await wrongMigrator.waitForDeployment();
+      await masterChef.setMigrator(await wrongMigrator.getAddress());
+      await expect(masterChef.migrate(0, 0, 0)).to.be.revertedWith("LPMigrator: unknown LP token");
+    });
+  });
+});
\ No newline at end of file
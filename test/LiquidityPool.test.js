@@ -54,7 +54,7 @@ describe("LiquidityPool", function () {
 
   describe("Add Liquidity", function () {
     it("Should add initial liquidity", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300; // 5 minutes from now
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300; // 5 minutes from now
 
       await expect(
         liquidityPool.addLiquidity(
@@ -76,7 +76,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should add proportional liquidity after initial", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
 
       // Add initial liquidity
       await liquidityPool.addLiquidity(
@@ -106,7 +106,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should refund excess ETH", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const excessETH = ethers.parseEther("10");
 
       // Should succeed and refund excess ETH
@@ -122,8 +122,25 @@ describe("LiquidityPool", function () {
       ).to.not.be.reverted;
     });
 
+    it("Should keep refunded ETH out of the reserves", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
+      await liquidityPool.addLiquidity(INITIAL_TOKEN_LIQUIDITY, 0, 0, owner.address, deadline, {
+        value: INITIAL_ETH_LIQUIDITY
+      });
+
+      await expect(
+        liquidityPool.addLiquidity(INITIAL_TOKEN_LIQUIDITY, 0, 0, owner.address, deadline, {
+          value: INITIAL_ETH_LIQUIDITY * 3n
+        })
+      ).to.changeEtherBalance(owner, -INITIAL_ETH_LIQUIDITY);
+
+      const [reserveETH] = await liquidityPool.getReserves();
+      expect(reserveETH).to.equal(INITIAL_ETH_LIQUIDITY * 2n);
+      expect(await ethers.provider.getBalance(await liquidityPool.getAddress())).to.equal(reserveETH);
+    });
+
     it("Should revert with expired deadline", async function () {
-      const pastDeadline = Math.floor(Date.now() / 1000) - 300; // 5 minutes ago
+      const pastDeadline = (await ethers.provider.getBlock("latest")).timestamp - 300; // 5 minutes ago
 
       await expect(
         liquidityPool.addLiquidity(
@@ -140,7 +157,7 @@ describe("LiquidityPool", function () {
 
   describe("Remove Liquidity", function () {
     beforeEach(async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       await liquidityPool.addLiquidity(
         INITIAL_TOKEN_LIQUIDITY,
         INITIAL_TOKEN_LIQUIDITY,
@@ -152,7 +169,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should remove liquidity", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const lpBalance = await liquidityPool.balanceOf(owner.address);
       const removeAmount = lpBalance / 2n;
 
@@ -177,7 +194,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should revert if insufficient liquidity amount", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const lpBalance = await liquidityPool.balanceOf(owner.address);
 
       await expect(
@@ -194,7 +211,7 @@ describe("LiquidityPool", function () {
 
   describe("Swapping", function () {
     beforeEach(async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       await liquidityPool.addLiquidity(
         INITIAL_TOKEN_LIQUIDITY,
         INITIAL_TOKEN_LIQUIDITY,
@@ -206,7 +223,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should swap ETH for tokens", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const ethAmount = ethers.parseEther("1");
       
       const tokenBalanceBefore = await myToken.balanceOf(addr1.address);
@@ -232,7 +249,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should swap tokens for ETH", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const tokenAmount = ethers.parseEther("1000");
       
       const ethBalanceBefore = await ethers.provider.getBalance(addr1.address);
@@ -258,7 +275,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should revert if output amount is too low", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const ethAmount = ethers.parseEther("1");
       const minOutput = ethers.parseEther("100000"); // Unrealistically high
 
@@ -273,7 +290,7 @@ describe("LiquidityPool", function () {
     });
 
     it("Should respect price impact limits", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       const largeEthAmount = ethers.parseEther("20"); // 20% of pool
       
       await expect(
@@ -317,7 +334,7 @@ describe("LiquidityPool", function () {
 
   describe("Price Functions", function () {
     beforeEach(async function () {
-      const deadline = Math.floor(Date.now() / 1000) + 300;
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
       await liquidityPool.addLiquidity(
         INITIAL_TOKEN_LIQUIDITY,
         INITIAL_TOKEN_LIQUIDITY,
@@ -393,4 +410,773 @@ describe("LiquidityPool", function () {
       ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_LIQUIDITY");
     });
   });
+
+  describe("Protocol Fees", function () {
+    beforeEach(async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
+      await liquidityPool.addLiquidity(
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_ETH_LIQUIDITY,
+        owner.address,
+        deadline,
+        { value: INITIAL_ETH_LIQUIDITY }
+      );
+
+      // Generate swap fees in both directions
+      await liquidityPool.connect(addr1).swapExactETHForTokens(0, addr1.address, deadline, { value: ethers.parseEther("5") });
+      await liquidityPool.connect(addr1).swapExactTokensForETH(ethers.parseEther("5000"), 0, addr1.address, deadline);
+    });
+
+    it("Should accrue protocol fees from swaps", async function () {
+      expect(await liquidityPool.pendingProtocolFees()).to.be.gt(0);
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(0);
+    });
+
+    it("Should mint accrued protocol fees to fee recipient on liquidity events", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
+      const pending = await liquidityPool.pendingProtocolFees();
+
+      await expect(
+        liquidityPool.removeLiquidity(ethers.parseEther("1"), 0, 0, owner.address, deadline)
+      ).to.emit(liquidityPool, "ProtocolFeeMinted")
+      .withArgs(feeRecipient.address, pending);
+
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(pending);
+      expect(await liquidityPool.pendingProtocolFees()).to.equal(0);
+    });
+
+    it("Should give the protocol its share of fee growth", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
+      const [reserveETHBefore, reserveTokenBefore] = [INITIAL_ETH_LIQUIDITY, INITIAL_TOKEN_LIQUIDITY];
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+
+      await liquidityPool.removeLiquidity(ethers.parseEther("1"), 0, 0, owner.address, deadline);
+
+      // Protocol share of the pool should equal 20% of the sqrt(k) growth
+      const sqrt = (x) => {
+        let z = x, y = (x + 1n) / 2n;
+        while (y < z) { z = y; y = (x / y + y) / 2n; }
+        return z;
+      };
+      const rootK = sqrt(reserveETH * reserveToken);
+      const rootKLast = sqrt(reserveETHBefore * reserveTokenBefore);
+      const expectedShare = ((rootK - rootKLast) * 2000n * 10n ** 18n) / (rootK * 10000n);
+
+      const feeRecipientLP = await liquidityPool.balanceOf(feeRecipient.address);
+      const supplyBeforeBurn = (await liquidityPool.totalSupply()) + ethers.parseEther("1");
+      const actualShare = (feeRecipientLP * 10n ** 18n) / supplyBeforeBurn;
+
+      expect(actualShare).to.be.closeTo(expectedShare, expectedShare / 1000n);
+    });
+
+    it("Should not mint protocol fees when fee share is zero", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 300;
+      await liquidityPool.setProtocolFeeShare(0);
+      const feeRecipientLP = await liquidityPool.balanceOf(feeRecipient.address);
+
+      await liquidityPool.connect(addr1).swapExactETHForTokens(0, addr1.address, deadline, { value: ethers.parseEther("5") });
+      expect(await liquidityPool.pendingProtocolFees()).to.equal(0);
+
+      await liquidityPool.removeLiquidity(ethers.parseEther("1"), 0, 0, owner.address, deadline);
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(feeRecipientLP);
+    });
+
+    it("Should settle accrued fees before changing fee share", async function () {
+      const pending = await liquidityPool.pendingProtocolFees();
+
+      await expect(
+        liquidityPool.setProtocolFeeShare(1000)
+      ).to.emit(liquidityPool, "ProtocolFeeMinted")
+      .withArgs(feeRecipient.address, pending);
+
+      expect(await liquidityPool.pendingProtocolFees()).to.equal(0);
+    });
+
+    it("Should pay accrued fees to previous recipient on recipient change", async function () {
+      const pending = await liquidityPool.pendingProtocolFees();
+
+      await liquidityPool.setFeeRecipient(addr2.address);
+
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(pending);
+      expect(await liquidityPool.pendingProtocolFees()).to.equal(0);
+    });
+  });
+
+  describe("TWAP Oracle", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 7 * 24 * 3600;
+      await liquidityPool.addLiquidity(
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_ETH_LIQUIDITY,
+        owner.address,
+        deadline,
+        { value: INITIAL_ETH_LIQUIDITY }
+      );
+    });
+
+    it("Should record an observation on the first liquidity event", async function () {
+      const observation = await liquidityPool.observations(0);
+      expect(observation.timestamp).to.equal(await liquidityPool.blockTimestampLast());
+      expect(observation.priceTokenCumulative).to.equal(0);
+    });
+
+    it("Should accumulate prices over time", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await liquidityPool.sync();
+
+      expect(await liquidityPool.priceTokenCumulativeLast()).to.be.gt(0);
+      expect(await liquidityPool.priceETHCumulativeLast()).to.be.gt(0);
+    });
+
+    it("Should revert consult without enough history", async function () {
+      await expect(
+        liquidityPool.consult(3600)
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_HISTORY");
+    });
+
+    it("Should revert consult with zero period", async function () {
+      await expect(
+        liquidityPool.consult(0)
+      ).to.be.revertedWith("LiquidityPool: INVALID_PERIOD");
+    });
+
+    it("Should return the spot price when price is constant", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
+
+      const [priceToken, priceETH] = await liquidityPool.consult(3600);
+      expect(priceToken).to.equal(await liquidityPool.getPrice());
+      expect(priceETH).to.equal((INITIAL_ETH_LIQUIDITY * ethers.parseEther("1")) / INITIAL_TOKEN_LIQUIDITY);
+    });
+
+    it("Should not move TWAP on a single-block manipulation", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
+      const [twapBefore] = await liquidityPool.consult(3600);
+
+      // Push the price and restore it within one block
+      await ethers.provider.send("evm_setAutomine", [false]);
+      await liquidityPool.connect(addr1).swapExactETHForTokens(0, addr1.address, deadline, { value: ethers.parseEther("10") });
+      await liquidityPool.connect(addr1).swapExactTokensForETH(ethers.parseEther("9000"), 0, addr1.address, deadline);
+      await ethers.provider.send("evm_mine");
+      await ethers.provider.send("evm_setAutomine", [true]);
+
+      const [twapAfter] = await liquidityPool.consult(3600);
+      expect(twapAfter).to.be.closeTo(twapBefore, twapBefore / 1000n);
+    });
+
+    it("Should barely move TWAP when spot price is moved", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
+      const spotBefore = await liquidityPool.getPrice();
+      const [twapBefore] = await liquidityPool.consult(3600);
+
+      await liquidityPool.connect(addr1).swapExactETHForTokens(0, addr1.address, deadline, { value: ethers.parseEther("10") });
+
+      const spotAfter = await liquidityPool.getPrice();
+      const [twapAfter] = await liquidityPool.consult(3600);
+
+      // Spot moves by more than 15% while the TWAP stays within 0.1%
+      expect(spotBefore - spotAfter).to.be.gt(spotBefore * 15n / 100n);
+      expect(twapAfter).to.be.closeTo(twapBefore, twapBefore / 1000n);
+    });
+
+    it("Should only allow sync once liquidity exists", async function () {
+      const emptyPool = await LiquidityPool.deploy(await myToken.getAddress(), feeRecipient.address);
+      await emptyPool.waitForDeployment();
+
+      await expect(emptyPool.sync()).to.be.revertedWith("LiquidityPool: NO_LIQUIDITY");
+    });
+  });
+
+  describe("Flash Swaps", function () {
+    let borrower;
+
+    beforeEach(async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.addLiquidity(
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_ETH_LIQUIDITY,
+        owner.address,
+        deadline,
+        { value: INITIAL_ETH_LIQUIDITY }
+      );
+
+      const FlashBorrowerMock = await ethers.getContractFactory("FlashBorrowerMock");
+      borrower = await FlashBorrowerMock.deploy(await liquidityPool.getAddress());
+      await borrower.waitForDeployment();
+
+      // Fund the borrower to cover fees
+      await myToken.transfer(await borrower.getAddress(), ethers.parseEther("1000"));
+      await owner.sendTransaction({ to: await borrower.getAddress(), value: ethers.parseEther("5") });
+    });
+
+    it("Should allow flash swap repaid in the same token with fee", async function () {
+      const amountOut = ethers.parseEther("10000");
+      const repay = (amountOut * 10000n) / 9970n + 1n;
+      await borrower.setRepayAmounts(0, repay);
+
+      await expect(
+        borrower.flashSwap(0, amountOut)
+      ).to.emit(liquidityPool, "Swap");
+
+      const [, reserveToken] = await liquidityPool.getReserves();
+      expect(reserveToken).to.equal(INITIAL_TOKEN_LIQUIDITY - amountOut + repay);
+    });
+
+    it("Should allow flash swap repaid in the other asset", async function () {
+      const amountOut = ethers.parseEther("1000");
+      const ethIn = (INITIAL_ETH_LIQUIDITY * amountOut * 10000n) /
+        ((INITIAL_TOKEN_LIQUIDITY - amountOut) * 9970n) + 1n;
+      await borrower.setRepayAmounts(ethIn, 0);
+
+      await borrower.flashSwap(0, amountOut);
+
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+      expect(reserveETH).to.equal(INITIAL_ETH_LIQUIDITY + ethIn);
+      expect(reserveToken).to.equal(INITIAL_TOKEN_LIQUIDITY - amountOut);
+    });
+
+    it("Should revert flash swap repaid without fee", async function () {
+      const amountOut = ethers.parseEther("10000");
+      await borrower.setRepayAmounts(0, amountOut);
+
+      await expect(
+        borrower.flashSwap(0, amountOut)
+      ).to.be.revertedWith("LiquidityPool: K");
+    });
+
+    it("Should revert flash swap that is not repaid", async function () {
+      await expect(
+        borrower.flashSwap(ethers.parseEther("1"), 0)
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_INPUT_AMOUNT");
+    });
+
+    it("Should revert swap to the pool token", async function () {
+      await expect(
+        liquidityPool.swap(0, ethers.parseEther("1"), await myToken.getAddress(), "0x")
+      ).to.be.revertedWith("LiquidityPool: INVALID_TO");
+    });
+  });
+
+  describe("Flash Loans", function () {
+    let borrower;
+
+    beforeEach(async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.addLiquidity(
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_TOKEN_LIQUIDITY,
+        INITIAL_ETH_LIQUIDITY,
+        owner.address,
+        deadline,
+        { value: INITIAL_ETH_LIQUIDITY }
+      );
+
+      const FlashBorrowerMock = await ethers.getContractFactory("FlashBorrowerMock");
+      borrower = await FlashBorrowerMock.deploy(await liquidityPool.getAddress());
+      await borrower.waitForDeployment();
+      await myToken.transfer(await borrower.getAddress(), ethers.parseEther("1000"));
+    });
+
+    it("Should report max flash loan and fee", async function () {
+      expect(await liquidityPool.maxFlashLoan(await myToken.getAddress())).to.equal(INITIAL_TOKEN_LIQUIDITY);
+      expect(await liquidityPool.maxFlashLoan(addr1.address)).to.equal(0);
+      expect(await liquidityPool.flashFee(await myToken.getAddress(), ethers.parseEther("10000")))
+        .to.equal(ethers.parseEther("9")); // 0.09%
+    });
+
+    it("Should not quote fee for unsupported tokens", async function () {
+      await expect(
+        liquidityPool.flashFee(addr1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("LiquidityPool: unsupported flash loan token");
+    });
+
+    it("Should lend DVT and keep the fee in reserves", async function () {
+      const amount = ethers.parseEther("10000");
+      const fee = await liquidityPool.flashFee(await myToken.getAddress(), amount);
+
+      await expect(
+        borrower.flashBorrow(amount)
+      ).to.emit(liquidityPool, "FlashLoan")
+      .withArgs(await borrower.getAddress(), await borrower.getAddress(), amount, fee);
+
+      const [, reserveToken] = await liquidityPool.getReserves();
+      expect(reserveToken).to.equal(INITIAL_TOKEN_LIQUIDITY + fee);
+      expect(await liquidityPool.pendingProtocolFees()).to.be.gt(0);
+    });
+
+    it("Should revert when callback does not succeed", async function () {
+      await borrower.setRepayFlashLoan(false);
+
+      await expect(
+        borrower.flashBorrow(ethers.parseEther("10000"))
+      ).to.be.revertedWith("LiquidityPool: flash loan callback failed");
+    });
+
+    it("Should revert loans above reserves", async function () {
+      await expect(
+        borrower.flashBorrow(INITIAL_TOKEN_LIQUIDITY + 1n)
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_LIQUIDITY");
+    });
+
+    it("Should allow owner to update flash loan fee", async function () {
+      await expect(liquidityPool.setFlashLoanFee(50))
+        .to.emit(liquidityPool, "FlashLoanFeeUpdated")
+        .withArgs(50);
+
+      await expect(
+        liquidityPool.setFlashLoanFee(101)
+      ).to.be.revertedWith("LiquidityPool: flash loan fee too high");
+    });
+  });
+
+  describe("Exact Output Swaps", function () {
+    const ETH_LIQUIDITY = ethers.parseEther("10");
+    const TOKEN_LIQUIDITY = ethers.parseEther("10000");
+
+    beforeEach(async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.addLiquidity(
+        TOKEN_LIQUIDITY,
+        TOKEN_LIQUIDITY,
+        ETH_LIQUIDITY,
+        owner.address,
+        deadline,
+        { value: ETH_LIQUIDITY }
+      );
+    });
+
+    it("Should quote the minimum input for an exact output", async function () {
+      const amountOut = ethers.parseEther("500");
+      const amountIn = await liquidityPool.getAmountIn(amountOut, ETH_LIQUIDITY, TOKEN_LIQUIDITY);
+
+      expect(await liquidityPool.getAmountOut(amountIn, ETH_LIQUIDITY, TOKEN_LIQUIDITY)).to.be.gte(amountOut);
+      expect(await liquidityPool.getAmountOut(amountIn - 1n, ETH_LIQUIDITY, TOKEN_LIQUIDITY)).to.be.lt(amountOut);
+    });
+
+    it("Should swap ETH for exact tokens and refund the excess", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountOut = ethers.parseEther("500");
+      const amountIn = await liquidityPool.getAmountIn(amountOut, ETH_LIQUIDITY, TOKEN_LIQUIDITY);
+
+      await expect(
+        liquidityPool.connect(addr1).swapETHForExactTokens(amountOut, addr2.address, deadline, {
+          value: ethers.parseEther("1")
+        })
+      ).to.changeEtherBalances([addr1, liquidityPool], [-amountIn, amountIn]);
+
+      expect(await myToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("50000") + amountOut);
+
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+      expect(reserveETH).to.equal(ETH_LIQUIDITY + amountIn);
+      expect(reserveToken).to.equal(TOKEN_LIQUIDITY - amountOut);
+    });
+
+    it("Should revert when sent ETH is below the required input", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountOut = ethers.parseEther("500");
+      const amountIn = await liquidityPool.getAmountIn(amountOut, ETH_LIQUIDITY, TOKEN_LIQUIDITY);
+
+      await expect(
+        liquidityPool.connect(addr1).swapETHForExactTokens(amountOut, addr1.address, deadline, {
+          value: amountIn - 1n
+        })
+      ).to.be.revertedWith("LiquidityPool: EXCESSIVE_INPUT_AMOUNT");
+    });
+
+    it("Should swap tokens for exact ETH", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountOut = ethers.parseEther("0.5");
+      const amountIn = await liquidityPool.getAmountIn(amountOut, TOKEN_LIQUIDITY, ETH_LIQUIDITY);
+
+      await expect(
+        liquidityPool.connect(addr1).swapTokensForExactETH(amountOut, amountIn, addr2.address, deadline)
+      ).to.changeEtherBalance(addr2, amountOut);
+
+      expect(await myToken.balanceOf(addr1.address)).to.equal(ethers.parseEther("50000") - amountIn);
+    });
+
+    it("Should revert when required tokens exceed the maximum input", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountOut = ethers.parseEther("0.5");
+      const amountIn = await liquidityPool.getAmountIn(amountOut, TOKEN_LIQUIDITY, ETH_LIQUIDITY);
+
+      await expect(
+        liquidityPool.connect(addr1).swapTokensForExactETH(amountOut, amountIn - 1n, addr1.address, deadline)
+      ).to.be.revertedWith("LiquidityPool: EXCESSIVE_INPUT_AMOUNT");
+    });
+
+    it("Should revert exact output beyond reserves", async function () {
+      await expect(
+        liquidityPool.getAmountIn(TOKEN_LIQUIDITY, ETH_LIQUIDITY, TOKEN_LIQUIDITY)
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_LIQUIDITY");
+    });
+  });
+
+  describe("Fee-on-Transfer Tokens", function () {
+    let taxToken, taxPool;
+
+    const ETH_LIQUIDITY = ethers.parseEther("10");
+    const TOKEN_LIQUIDITY = ethers.parseEther("10000");
+
+    beforeEach(async function () {
+      const FeeOnTransferTokenMock = await ethers.getContractFactory("FeeOnTransferTokenMock");
+      taxToken = await FeeOnTransferTokenMock.deploy(INITIAL_TOKEN_SUPPLY);
+      await taxToken.waitForDeployment();
+
+      taxPool = await LiquidityPool.deploy(await taxToken.getAddress(), feeRecipient.address);
+      await taxPool.waitForDeployment();
+
+      await taxToken.approve(await taxPool.getAddress(), ethers.MaxUint256);
+      await taxToken.transfer(addr1.address, ethers.parseEther("10000"));
+      await taxToken.connect(addr1).approve(await taxPool.getAddress(), ethers.MaxUint256);
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await taxPool.addLiquidity(TOKEN_LIQUIDITY, 0, ETH_LIQUIDITY, owner.address, deadline, {
+        value: ETH_LIQUIDITY
+      });
+    });
+
+    it("Should price the ETH side of added liquidity on the tokens received", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amount = ethers.parseEther("1000");
+      const received = amount - amount / 100n;
+
+      const [reserveETH, reserveToken] = await taxPool.getReserves();
+      const expectedETH = (received * reserveETH) / reserveToken;
+
+      await expect(
+        taxPool.connect(addr1).addLiquidity(amount, 0, 0, addr1.address, deadline, { value: ethers.parseEther("2") })
+      ).to.changeEtherBalance(addr1, -expectedETH);
+
+      const [reserveETHAfter, reserveTokenAfter] = await taxPool.getReserves();
+      expect(reserveETHAfter).to.equal(reserveETH + expectedETH);
+      expect(reserveTokenAfter).to.equal(reserveToken + received);
+    });
+
+    it("Should revert standard token swaps when the pool receives less", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+      await expect(
+        taxPool.connect(addr1).swapExactTokensForETH(ethers.parseEther("100"), 0, addr1.address, deadline)
+      ).to.be.revertedWith("LiquidityPool: K");
+    });
+
+    it("Should swap taxed tokens for ETH based on the received amount", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountIn = ethers.parseEther("100");
+      const received = amountIn - amountIn / 100n;
+
+      const [reserveETH, reserveToken] = await taxPool.getReserves();
+      const expectedOut = await taxPool.getAmountOut(received, reserveToken, reserveETH);
+
+      await expect(
+        taxPool.connect(addr1).swapExactTokensForETHSupportingFeeOnTransferTokens(
+          amountIn,
+          expectedOut,
+          addr2.address,
+          deadline
+        )
+      ).to.changeEtherBalance(addr2, expectedOut);
+
+      const [, reserveTokenAfter] = await taxPool.getReserves();
+      expect(reserveTokenAfter).to.equal(reserveToken + received);
+    });
+
+    it("Should check the amount of taxed tokens actually received", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountIn = ethers.parseEther("0.1");
+
+      const [reserveETH, reserveToken] = await taxPool.getReserves();
+      const quoted = await taxPool.getAmountOut(amountIn, reserveETH, reserveToken);
+      const received = quoted - quoted / 100n;
+
+      await expect(
+        taxPool.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(quoted, addr2.address, deadline, {
+          value: amountIn
+        })
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+
+      await taxPool.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(received, addr2.address, deadline, {
+        value: amountIn
+      });
+      expect(await taxToken.balanceOf(addr2.address)).to.equal(received);
+    });
+
+    it("Should revert flash loans whose taxed repayment does not cover the loan", async function () {
+      const FlashBorrowerMock = await ethers.getContractFactory("FlashBorrowerMock");
+      const borrower = await FlashBorrowerMock.deploy(await taxPool.getAddress());
+      await borrower.waitForDeployment();
+      await taxToken.transfer(await borrower.getAddress(), ethers.parseEther("1000"));
+
+      const [, reserveToken] = await taxPool.getReserves();
+
+      await expect(
+        borrower.flashBorrow(ethers.parseEther("1000"))
+      ).to.be.revertedWith("LiquidityPool: flash loan not repaid");
+
+      const [, reserveTokenAfter] = await taxPool.getReserves();
+      expect(reserveTokenAfter).to.equal(reserveToken);
+    });
+  });
+
+  describe("Permit", function () {
+    async function signPermit(token, signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId,
+        verifyingContract: await token.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: signer.address,
+        spender,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("Should name the LP token after the paired token", async function () {
+      expect(await liquidityPool.name()).to.equal("DVT-BNB LP");
+      expect(await liquidityPool.symbol()).to.equal("DVT-LP");
+    });
+
+    it("Should add liquidity with a DVT permit and no prior approval", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountToken = ethers.parseEther("10000");
+      const amountETH = ethers.parseEther("10");
+      const poolAddress = await liquidityPool.getAddress();
+
+      await myToken.connect(addr1).approve(poolAddress, 0);
+      const sig = await signPermit(myToken, addr1, poolAddress, amountToken, deadline);
+
+      await expect(
+        liquidityPool.connect(addr1).addLiquidityWithPermit(
+          amountToken,
+          amountToken,
+          amountETH,
+          addr1.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s,
+          { value: amountETH }
+        )
+      ).to.emit(liquidityPool, "Mint");
+
+      expect(await liquidityPool.balanceOf(addr1.address)).to.be.gt(0);
+      expect(await myToken.nonces(addr1.address)).to.equal(1);
+    });
+
+    it("Should remove liquidity with an LP token permit", async function () {
+      let deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountETH = ethers.parseEther("10");
+      await liquidityPool.connect(addr1).addLiquidity(
+        ethers.parseEther("10000"),
+        0,
+        0,
+        addr1.address,
+        deadline,
+        { value: amountETH }
+      );
+
+      const liquidity = await liquidityPool.balanceOf(addr1.address);
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(liquidityPool, addr1, addr2.address, liquidity, deadline);
+      const tokenBefore = await myToken.balanceOf(addr1.address);
+
+      await expect(
+        liquidityPool.connect(addr2).removeLiquidityWithPermit(
+          addr1.address,
+          liquidity,
+          0,
+          0,
+          addr1.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s
+        )
+      ).to.emit(liquidityPool, "Burn");
+
+      expect(await liquidityPool.balanceOf(addr1.address)).to.equal(0);
+      expect(await liquidityPool.allowance(addr1.address, addr2.address)).to.equal(0);
+      expect(await myToken.balanceOf(addr1.address)).to.be.gt(tokenBefore);
+    });
+
+    it("Should not let anyone but the permitted spender remove liquidity", async function () {
+      let deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.connect(addr1).addLiquidity(
+        ethers.parseEther("10000"),
+        0,
+        0,
+        addr1.address,
+        deadline,
+        { value: ethers.parseEther("10") }
+      );
+
+      const liquidity = await liquidityPool.balanceOf(addr1.address);
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(liquidityPool, addr1, addr1.address, liquidity, deadline);
+
+      await expect(
+        liquidityPool.connect(addr2).removeLiquidityWithPermit(
+          addr1.address,
+          liquidity,
+          0,
+          0,
+          addr2.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s
+        )
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC20InsufficientAllowance");
+      expect(await liquidityPool.balanceOf(addr1.address)).to.equal(liquidity);
+    });
+
+    it("Should still remove liquidity after the permit is front-run", async function () {
+      let deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.connect(addr1).addLiquidity(
+        ethers.parseEther("10000"),
+        0,
+        0,
+        addr1.address,
+        deadline,
+        { value: ethers.parseEther("10") }
+      );
+
+      const liquidity = await liquidityPool.balanceOf(addr1.address);
+      deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(liquidityPool, addr1, addr1.address, liquidity, deadline);
+      await liquidityPool.connect(addr2).permit(addr1.address, addr1.address, liquidity, deadline, sig.v, sig.r, sig.s);
+
+      await expect(
+        liquidityPool.connect(addr1).removeLiquidityWithPermit(
+          addr1.address,
+          liquidity,
+          0,
+          0,
+          addr1.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s
+        )
+      ).to.emit(liquidityPool, "Burn");
+      expect(await liquidityPool.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("Should still add liquidity after the permit is front-run", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountToken = ethers.parseEther("10000");
+      const poolAddress = await liquidityPool.getAddress();
+
+      await myToken.connect(addr1).approve(poolAddress, 0);
+      const sig = await signPermit(myToken, addr1, poolAddress, amountToken, deadline);
+      await myToken.connect(addr2).permit(addr1.address, poolAddress, amountToken, deadline, sig.v, sig.r, sig.s);
+
+      await expect(
+        liquidityPool.connect(addr1).addLiquidityWithPermit(
+          amountToken,
+          0,
+          0,
+          addr1.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s,
+          { value: ethers.parseEther("10") }
+        )
+      ).to.emit(liquidityPool, "Mint");
+    });
+
+    it("Should reject a permit signed by another account", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const amountToken = ethers.parseEther("10000");
+      const poolAddress = await liquidityPool.getAddress();
+      await myToken.connect(addr1).approve(poolAddress, 0);
+      const sig = await signPermit(myToken, addr2, await liquidityPool.getAddress(), amountToken, deadline);
+
+      await expect(
+        liquidityPool.connect(addr1).addLiquidityWithPermit(
+          amountToken,
+          0,
+          0,
+          addr1.address,
+          deadline,
+          sig.v,
+          sig.r,
+          sig.s,
+          { value: ethers.parseEther("10") }
+        )
+      ).to.be.revertedWithCustomError(myToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Multicall", function () {
+    beforeEach(async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      await liquidityPool.addLiquidity(
+        INITIAL_TOKEN_LIQUIDITY,
+        0,
+        0,
+        owner.address,
+        deadline,
+        { value: INITIAL_ETH_LIQUIDITY }
+      );
+    });
+
+    it("Should remove liquidity and swap the tokens to BNB in one transaction", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const liquidity = ethers.parseEther("10");
+      const [amountToken, amountETH] = await liquidityPool.removeLiquidity.staticCall(
+        liquidity, 0, 0, owner.address, deadline
+      );
+
+      const tokenBefore = await myToken.balanceOf(owner.address);
+      await expect(
+        liquidityPool.multicall([
+          liquidityPool.interface.encodeFunctionData("removeLiquidity", [liquidity, 0, 0, owner.address, deadline]),
+          liquidityPool.interface.encodeFunctionData("swapExactTokensForETH", [amountToken, 0, owner.address, deadline])
+        ])
+      ).to.emit(liquidityPool, "Burn")
+      .and.to.emit(liquidityPool, "Swap");
+
+      expect(await myToken.balanceOf(owner.address)).to.equal(tokenBefore);
+      expect(amountETH).to.be.gt(0);
+    });
+
+    it("Should revert the whole batch if one call fails", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const lpBefore = await liquidityPool.balanceOf(owner.address);
+
+      await expect(
+        liquidityPool.multicall([
+          liquidityPool.interface.encodeFunctionData("removeLiquidity", [ethers.parseEther("10"), 0, 0, owner.address, deadline]),
+          liquidityPool.interface.encodeFunctionData("swapExactTokensForETH", [0, 0, owner.address, deadline])
+        ])
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_INPUT_AMOUNT");
+
+      expect(await liquidityPool.balanceOf(owner.address)).to.equal(lpBefore);
+    });
+  });
 });
\ No newline at end of file
@@ -7,8 +7,8 @@ describe("MasterChef", function () {
   let owner, devAddr, feeAddr, addr1, addr2;
 
   const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
-  const DVT_PER_BLOCK = ethers.parseEther("10");
-  const START_BLOCK = 100;
+  const DVT_PER_SECOND = ethers.parseEther("10");
+  const START_TIME = 100; // Already passed, mining starts immediately
 
   beforeEach(async function () {
     [owner, devAddr, feeAddr, addr1, addr2] = await ethers.getSigners();
@@ -32,8 +32,8 @@ describe("MasterChef", function () {
       await dvt.getAddress(),
       devAddr.address,
       feeAddr.address,
-      DVT_PER_BLOCK,
-      START_BLOCK
+      DVT_PER_SECOND,
+      START_TIME
     );
     await masterChef.waitForDeployment();
 
@@ -69,8 +69,8 @@ describe("MasterChef", function () {
       expect(await masterChef.dvt()).to.equal(await dvt.getAddress());
       expect(await masterChef.devAddr()).to.equal(devAddr.address);
       expect(await masterChef.feeAddr()).to.equal(feeAddr.address);
-      expect(await masterChef.dvtPerBlock()).to.equal(DVT_PER_BLOCK);
-      expect(await masterChef.startBlock()).to.equal(START_BLOCK);
+      expect(await masterChef.dvtPerSecond()).to.equal(DVT_PER_SECOND);
+      expect(await masterChef.startTime()).to.equal(START_TIME);
     });
 
     it("Should have zero pools initially", async function () {
@@ -205,8 +205,9 @@ describe("MasterChef", function () {
       const depositAmount = ethers.parseEther("10");
       await masterChef.connect(addr1).deposit(0, depositAmount);
 
-      // Mine some blocks
-      await ethers.provider.send("hardhat_mine", ["0x10"]);
+      // Fast forward past the lockup so accrued rewards are released
+      await ethers.provider.send("evm_increaseTime", [3700]);
+      await ethers.provider.send("evm_mine");
 
       const userInfo = await masterChef.getUserInfo(0, addr1.address);
       const withdrawAmount = userInfo[0] / 2n; // Withdraw half
@@ -303,7 +304,7 @@ describe("MasterChef", function () {
       ).to.emit(masterChef, "EmissionRateUpdated")
       .withArgs(newRate);
 
-      expect(await masterChef.dvtPerBlock()).to.equal(newRate);
+      expect(await masterChef.dvtPerSecond()).to.equal(newRate);
     });
   });
 
@@ -322,8 +323,17 @@ describe("MasterChef", function () {
     });
 
     it("Should calculate APY", async function () {
+      const TWAPOracle = await ethers.getContractFactory("TWAPOracle");
+      const oracle = await TWAPOracle.deploy(await liquidityPool.getAddress(), 3600);
+      await oracle.waitForDeployment();
+      await masterChef.setPriceOracle(await oracle.getAddress());
+
       const depositAmount = ethers.parseEther("10");
       await masterChef.connect(addr1).deposit(0, depositAmount);
+      expect(await masterChef.calculatePoolAPY(0)).to.equal(0); // No TWAP history yet
+
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine");
 
       const apy = await masterChef.calculatePoolAPY(0);
       expect(apy).to.be.gt(0);
@@ -441,4 +451,1061 @@ describe("MasterChef", function () {
       expect(pending1).to.be.closeTo(pending2, ethers.parseEther("50"));
     });
   });
+
+  describe("Referral Integration", function () {
+    let referralSystem;
+
+    beforeEach(async function () {
+      const ReferralSystem = await ethers.getContractFactory("ReferralSystem");
+      referralSystem = await ReferralSystem.deploy(
+        await dvt.getAddress(),
+        await masterChef.getAddress()
+      );
+      await referralSystem.waitForDeployment();
+
+      await dvt.addMinter(await referralSystem.getAddress());
+      await masterChef.setReferralSystem(await referralSystem.getAddress());
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+    });
+
+    it("Should set the referral system", async function () {
+      expect(await masterChef.referralSystem()).to.equal(await referralSystem.getAddress());
+    });
+
+    it("Should not allow non-owner to set the referral system", async function () {
+      await expect(
+        masterChef.connect(addr1).setReferralSystem(addr2.address)
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should register referrer on first stake", async function () {
+      const depositAmount = ethers.parseEther("10");
+
+      await expect(
+        masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address)
+      ).to.emit(referralSystem, "UserReferred")
+      .withArgs(addr1.address, addr2.address, 1);
+
+      const referralInfo = await referralSystem.referralInfo(addr1.address);
+      expect(referralInfo.referrer).to.equal(addr2.address);
+    });
+
+    it("Should only register referrer on first stake", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1).deposit(0, depositAmount);
+
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+
+      const referralInfo = await referralSystem.referralInfo(addr1.address);
+      expect(referralInfo.referrer).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should ignore self-referral without reverting deposit", async function () {
+      const depositAmount = ethers.parseEther("10");
+
+      await expect(
+        masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr1.address)
+      ).to.emit(masterChef, "Deposit");
+
+      const referralInfo = await referralSystem.referralInfo(addr1.address);
+      expect(referralInfo.referrer).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should ignore failed registrations without reverting deposit", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, owner.address);
+
+      // owner is still within the referral cooldown
+      await expect(
+        masterChef.connect(addr2)["deposit(uint256,uint256,address)"](0, depositAmount, owner.address)
+      ).to.emit(masterChef, "Deposit");
+
+      const referralInfo = await referralSystem.referralInfo(addr2.address);
+      expect(referralInfo.referrer).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should pay referral commission on harvest", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+
+      // Mine enough blocks for pending rewards to exceed the minimum referral reward
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+
+      const referrerBalanceBefore = await dvt.balanceOf(addr2.address);
+
+      await expect(
+        masterChef.connect(addr1).harvest(0)
+      ).to.emit(referralSystem, "CommissionPaid");
+
+      const referrerBalanceAfter = await dvt.balanceOf(addr2.address);
+      expect(referrerBalanceAfter).to.be.gt(referrerBalanceBefore);
+    });
+
+    it("Should pay referral commission on withdraw and deposit", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+      await expect(
+        masterChef.connect(addr1).withdraw(0, depositAmount / 2n)
+      ).to.emit(referralSystem, "CommissionPaid");
+
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+      await expect(
+        masterChef.connect(addr1).deposit(0, depositAmount)
+      ).to.emit(referralSystem, "CommissionPaid");
+
+      const referrerInfo = await referralSystem.referralInfo(addr2.address);
+      expect(referrerInfo.totalEarned).to.be.gt(0);
+    });
+
+    it("Should not pay commission below the minimum referral reward", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+
+      await ethers.provider.send("hardhat_mine", ["0x10"]);
+
+      await expect(
+        masterChef.connect(addr1).harvest(0)
+      ).to.not.emit(referralSystem, "CommissionPaid");
+    });
+
+    it("Should keep harvests working when commission payment fails", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+      await dvt.removeMinter(await referralSystem.getAddress());
+
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+
+      const dvtBalanceBefore = await dvt.balanceOf(addr1.address);
+
+      await expect(
+        masterChef.connect(addr1).harvest(0)
+      ).to.emit(masterChef, "ReferralCommissionFailed");
+
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(dvtBalanceBefore);
+    });
+
+    it("Should keep deposits and harvests working when the referral lookups revert", async function () {
+      const depositAmount = ethers.parseEther("10");
+      await masterChef.connect(addr1)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address);
+
+      // A contract without the referral interface makes every lookup revert
+      await masterChef.setReferralSystem(await dvt.getAddress());
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+
+      const dvtBalanceBefore = await dvt.balanceOf(addr1.address);
+      await expect(
+        masterChef.connect(addr1).harvest(0)
+      ).to.emit(masterChef, "ReferralCommissionFailed");
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(dvtBalanceBefore);
+
+      await expect(
+        masterChef.connect(owner)["deposit(uint256,uint256,address)"](0, depositAmount, addr2.address)
+      ).to.emit(masterChef, "Deposit");
+    });
+  });
+
+  describe("Permit Deposits", function () {
+    async function signPermit(token, signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId,
+        verifyingContract: await token.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: signer.address,
+        spender,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+    });
+
+    it("Should deposit with an LP token permit and no prior approval", async function () {
+      const amount = ethers.parseEther("100");
+      const chefAddress = await masterChef.getAddress();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+      await liquidityPool.connect(addr1).approve(chefAddress, 0);
+      const sig = await signPermit(liquidityPool, addr1, chefAddress, amount, deadline);
+
+      await expect(
+        masterChef.connect(addr1).depositWithPermit(0, amount, ethers.ZeroAddress, deadline, sig.v, sig.r, sig.s)
+      ).to.emit(masterChef, "Deposit")
+      .withArgs(addr1.address, 0, amount);
+
+      const userInfo = await masterChef.userInfo(0, addr1.address);
+      expect(userInfo.amount).to.equal(amount);
+    });
+
+    it("Should reject an expired permit without an existing allowance", async function () {
+      const amount = ethers.parseEther("100");
+      const chefAddress = await masterChef.getAddress();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+
+      await liquidityPool.connect(addr1).approve(chefAddress, 0);
+      const sig = await signPermit(liquidityPool, addr1, chefAddress, amount, deadline);
+
+      await expect(
+        masterChef.connect(addr1).depositWithPermit(0, amount, ethers.ZeroAddress, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC20InsufficientAllowance");
+    });
+
+    it("Should still deposit after the permit is front-run", async function () {
+      const amount = ethers.parseEther("100");
+      const chefAddress = await masterChef.getAddress();
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+      await liquidityPool.connect(addr1).approve(chefAddress, 0);
+      const sig = await signPermit(liquidityPool, addr1, chefAddress, amount, deadline);
+      await liquidityPool.connect(addr2).permit(addr1.address, chefAddress, amount, deadline, sig.v, sig.r, sig.s);
+
+      await expect(
+        masterChef.connect(addr1).depositWithPermit(0, amount, ethers.ZeroAddress, deadline, sig.v, sig.r, sig.s)
+      ).to.emit(masterChef, "Deposit")
+      .withArgs(addr1.address, 0, amount);
+    });
+  });
+
+  describe("Emission Schedule", function () {
+    const DAY = 24 * 3600;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    it("Should emit a flat rate by default", async function () {
+      const now = await latestTimestamp();
+
+      expect(await masterChef.epochDuration()).to.equal(0);
+      expect(await masterChef.emissionRateAt(now + 365 * DAY)).to.equal(DVT_PER_SECOND);
+      expect(await masterChef.emissionsBetween(now, now + 100)).to.equal(DVT_PER_SECOND * 100n);
+    });
+
+    it("Should halve the rate every epoch", async function () {
+      await expect(
+        masterChef.setEmissionSchedule(DAY, 5000, 0, false)
+      ).to.emit(masterChef, "EmissionScheduleUpdated")
+      .withArgs(DAY, 5000, 0, false);
+
+      const start = Number(await masterChef.emissionScheduleStart());
+
+      expect(await masterChef.emissionRateAt(start + DAY - 1)).to.equal(DVT_PER_SECOND);
+      expect(await masterChef.emissionRateAt(start + DAY)).to.equal(DVT_PER_SECOND / 2n);
+      expect(await masterChef.emissionRateAt(start + 3 * DAY)).to.equal(DVT_PER_SECOND / 8n);
+
+      // Half a day in epoch 0 and half a day in epoch 1
+      const expected = DVT_PER_SECOND * BigInt(DAY / 2) + (DVT_PER_SECOND / 2n) * BigInt(DAY / 2);
+      expect(await masterChef.emissionsBetween(start + DAY / 2, start + DAY + DAY / 2)).to.equal(expected);
+    });
+
+    it("Should decay linearly down to the floor", async function () {
+      const floor = ethers.parseEther("2");
+      await masterChef.setEmissionSchedule(DAY, 2500, floor, true);
+      const start = Number(await masterChef.emissionScheduleStart());
+
+      expect(await masterChef.emissionRateAt(start + DAY)).to.equal(ethers.parseEther("7.5"));
+      expect(await masterChef.emissionRateAt(start + 2 * DAY)).to.equal(ethers.parseEther("5"));
+      expect(await masterChef.emissionRateAt(start + 3 * DAY)).to.equal(ethers.parseEther("2.5"));
+      expect(await masterChef.emissionRateAt(start + 4 * DAY)).to.equal(floor);
+      expect(await masterChef.emissionRateAt(start + 100 * DAY)).to.equal(floor);
+
+      // Once the floor is reached emissions continue at the floor rate
+      const fromFloor = start + 4 * DAY;
+      expect(await masterChef.emissionsBetween(fromFloor, fromFloor + 10 * DAY)).to.equal(floor * BigInt(10 * DAY));
+    });
+
+    it("Should apply epoch transitions inside updatePool", async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+      await masterChef.setEmissionSchedule(DAY, 5000, 0, false);
+
+      await masterChef.connect(addr1).deposit(0, ethers.parseEther("10"));
+      const depositTime = await latestTimestamp();
+
+      await ethers.provider.send("evm_increaseTime", [2 * DAY]);
+      await ethers.provider.send("evm_mine");
+
+      const balanceBefore = await dvt.balanceOf(addr1.address);
+      await masterChef.connect(addr1).withdraw(0, 0);
+      const withdrawTime = await latestTimestamp();
+
+      const expected = await masterChef.emissionsBetween(depositTime, withdrawTime);
+      const received = (await dvt.balanceOf(addr1.address)) - balanceBefore;
+
+      expect(expected).to.be.lt(DVT_PER_SECOND * BigInt(withdrawTime - depositTime));
+      expect(received).to.be.closeTo(expected, ethers.parseEther("0.001"));
+      expect(await masterChef.dvtPerSecond()).to.equal(DVT_PER_SECOND / 4n);
+    });
+
+    it("Should restart the schedule when the rate is updated", async function () {
+      await masterChef.setEmissionSchedule(DAY, 5000, 0, false);
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await masterChef.dvtPerSecond()).to.equal(DVT_PER_SECOND / 2n);
+
+      await masterChef.updateEmissionRate(ethers.parseEther("8"));
+      expect(await masterChef.dvtPerSecond()).to.equal(ethers.parseEther("8"));
+      expect(await masterChef.emissionScheduleStart()).to.equal(await latestTimestamp());
+    });
+
+    it("Should validate schedule parameters", async function () {
+      await expect(
+        masterChef.setEmissionSchedule(3600, 5000, 0, false)
+      ).to.be.revertedWith("MasterChef: epoch too short");
+
+      await expect(
+        masterChef.setEmissionSchedule(DAY, 10001, 0, false)
+      ).to.be.revertedWith("MasterChef: reduction too high");
+
+      await expect(
+        masterChef.setEmissionSchedule(DAY, 0, 0, false)
+      ).to.be.revertedWith("MasterChef: zero reduction");
+
+      await expect(
+        masterChef.setEmissionSchedule(DAY, 5000, DVT_PER_SECOND + 1n, false)
+      ).to.be.revertedWith("MasterChef: floor above emission rate");
+
+      await expect(
+        masterChef.connect(addr1).setEmissionSchedule(DAY, 5000, 0, false)
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should stop walking epochs once exponential decay rounds to zero", async function () {
+      await masterChef.updateEmissionRate(10n); // 10 wei per second
+      await masterChef.setEmissionSchedule(DAY, 1000, 0, false);
+      const start = Number(await masterChef.emissionScheduleStart());
+
+      // 10% of 9 wei rounds to zero, so the rate settles at 9 wei instead of reaching the floor
+      expect(await masterChef.emissionRateAt(start + DAY)).to.equal(9n);
+      const farFuture = start + 100000000 * DAY;
+      expect(await masterChef.emissionRateAt(farFuture)).to.equal(9n);
+      expect(await masterChef.emissionsBetween(start, farFuture)).to.equal(10n * BigInt(DAY) + 9n * BigInt(farFuture - start - DAY));
+
+      // Updating pools after many epochs stays cheap
+      await ethers.provider.send("evm_increaseTime", [1000 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await masterChef.massUpdatePools.estimateGas()).to.be.lt(500000n);
+    });
+
+    it("Should not allow the rate below the floor", async function () {
+      await masterChef.setEmissionSchedule(DAY, 5000, ethers.parseEther("1"), false);
+
+      await expect(
+        masterChef.updateEmissionRate(ethers.parseEther("0.5"))
+      ).to.be.revertedWith("MasterChef: rate below floor");
+    });
+  });
+
+  describe("Boosted Rewards", function () {
+    let votingEscrow;
+    const WEEK = 7 * 24 * 3600;
+    const DEPOSIT = ethers.parseEther("10");
+
+    async function lockFor(account, amount, duration) {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await dvt.transfer(account.address, amount);
+      await dvt.connect(account).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(account).createLock(amount, now + duration);
+    }
+
+    beforeEach(async function () {
+      const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+      votingEscrow = await VotingEscrow.deploy(await dvt.getAddress());
+      await votingEscrow.waitForDeployment();
+
+      await expect(masterChef.setVotingEscrow(await votingEscrow.getAddress()))
+        .to.emit(masterChef, "VotingEscrowUpdated")
+        .withArgs(await votingEscrow.getAddress());
+
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+    });
+
+    it("Should only count 40% of an unboosted stake", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      const userInfo = await masterChef.userInfo(0, addr1.address);
+      expect(userInfo.amount).to.equal(DEPOSIT);
+      expect(userInfo.workingAmount).to.equal(DEPOSIT * 40n / 100n);
+      expect((await masterChef.poolInfo(0)).workingSupply).to.equal(DEPOSIT * 40n / 100n);
+    });
+
+    it("Should give veDVT holders up to 2.5x the rewards", async function () {
+      await lockFor(addr1, ethers.parseEther("1000"), 52 * WEEK);
+
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+
+      expect((await masterChef.userInfo(0, addr1.address)).workingAmount).to.equal(DEPOSIT);
+      expect((await masterChef.userInfo(0, addr2.address)).workingAmount).to.equal(DEPOSIT * 40n / 100n);
+
+      await ethers.provider.send("hardhat_mine", ["0x64"]);
+
+      const pending1 = await masterChef.pendingDVT(0, addr1.address);
+      const pending2 = await masterChef.pendingDVT(0, addr2.address);
+      expect(pending1 * 100n / pending2).to.be.closeTo(250n, 5n);
+    });
+
+    it("Should update working supply on withdraw", async function () {
+      await lockFor(addr1, ethers.parseEther("1000"), 52 * WEEK);
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+
+      await masterChef.connect(addr1).withdraw(0, DEPOSIT);
+
+      expect((await masterChef.userInfo(0, addr1.address)).workingAmount).to.equal(0);
+      expect((await masterChef.poolInfo(0)).workingSupply).to.equal(
+        (await masterChef.userInfo(0, addr2.address)).workingAmount
+      );
+    });
+
+    it("Should apply a new lock on the next harvest", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await lockFor(addr1, ethers.parseEther("1000"), 52 * WEEK);
+      expect((await masterChef.userInfo(0, addr1.address)).workingAmount).to.equal(DEPOSIT * 40n / 100n);
+
+      await masterChef.connect(addr1).harvest(0);
+      expect((await masterChef.userInfo(0, addr1.address)).workingAmount).to.equal(DEPOSIT);
+    });
+
+    it("Should kick expired boosts back to the base share", async function () {
+      // Two weeks of rewards exceed the max transaction limit, exempt MasterChef as in deployment
+      await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+      await lockFor(addr1, ethers.parseEther("1000"), 2 * WEEK);
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+
+      await expect(
+        masterChef.connect(addr2).kick(0, addr1.address)
+      ).to.be.revertedWith("MasterChef: boost still active");
+
+      await ethers.provider.send("evm_increaseTime", [2 * WEEK]);
+      await ethers.provider.send("evm_mine");
+
+      const balanceBefore = await dvt.balanceOf(addr1.address);
+      await expect(
+        masterChef.connect(addr2).kick(0, addr1.address)
+      ).to.emit(masterChef, "BoostKicked")
+      .withArgs(addr1.address, 0, DEPOSIT * 40n / 100n);
+
+      // Rewards earned while boosted are paid out
+      expect(await dvt.balanceOf(addr1.address)).to.be.gt(balanceBefore);
+      expect((await masterChef.poolInfo(0)).workingSupply).to.equal(DEPOSIT * 80n / 100n);
+    });
+
+    it("Should not kick unboosted stakers", async function () {
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+
+      await expect(
+        masterChef.kick(0, addr2.address)
+      ).to.be.revertedWith("MasterChef: not boosted");
+    });
+
+    it("Should only allow owner to set voting escrow", async function () {
+      await expect(
+        masterChef.connect(addr1).setVotingEscrow(await votingEscrow.getAddress())
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Rewarders", function () {
+    let partnerToken, rewarder;
+    const DEPOSIT = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      partnerToken = await MyToken.deploy("Partner Token", "PRT", INITIAL_TOKEN_SUPPLY);
+      await partnerToken.waitForDeployment();
+
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+
+      const SimpleRewarder = await ethers.getContractFactory("SimpleRewarder");
+      rewarder = await SimpleRewarder.deploy(
+        await partnerToken.getAddress(),
+        await masterChef.getAddress(),
+        0,
+        ethers.parseEther("1")
+      );
+      await rewarder.waitForDeployment();
+      await partnerToken.transfer(await rewarder.getAddress(), ethers.parseEther("100000"));
+    });
+
+    it("Should allow owner to set a pool rewarder", async function () {
+      await expect(masterChef.setRewarder(0, await rewarder.getAddress()))
+        .to.emit(masterChef, "RewarderUpdated")
+        .withArgs(0, await rewarder.getAddress());
+
+      expect(await masterChef.rewarder(0)).to.equal(await rewarder.getAddress());
+
+      await expect(
+        masterChef.connect(addr1).setRewarder(0, await rewarder.getAddress())
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+
+      await expect(
+        masterChef.setRewarder(1, await rewarder.getAddress())
+      ).to.be.revertedWith("MasterChef: invalid pool ID");
+    });
+
+    it("Should pay DVT and partner tokens on harvest", async function () {
+      await masterChef.setRewarder(0, await rewarder.getAddress());
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      await ethers.provider.send("hardhat_mine", ["0x10"]);
+
+      const [tokens, amounts] = await masterChef.pendingTokens(0, addr1.address);
+      expect(tokens).to.deep.equal([await dvt.getAddress(), await partnerToken.getAddress()]);
+      expect(amounts[0]).to.equal(await masterChef.pendingDVT(0, addr1.address));
+      expect(amounts[1]).to.be.gt(0);
+
+      await masterChef.connect(addr1).harvest(0);
+
+      expect(await partnerToken.balanceOf(addr1.address)).to.be.gte(amounts[1]);
+    });
+
+    it("Should only report DVT without a rewarder", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      const [tokens, amounts] = await masterChef.pendingTokens(0, addr1.address);
+      expect(tokens).to.deep.equal([await dvt.getAddress()]);
+      expect(amounts.length).to.equal(1);
+    });
+
+    it("Should not let a failing rewarder block emergency withdraw", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      // A rewarder bound to another pool reverts on every hook
+      const SimpleRewarder = await ethers.getContractFactory("SimpleRewarder");
+      const brokenRewarder = await SimpleRewarder.deploy(
+        await partnerToken.getAddress(),
+        await masterChef.getAddress(),
+        5,
+        ethers.parseEther("1")
+      );
+      await brokenRewarder.waitForDeployment();
+      await masterChef.setRewarder(0, await brokenRewarder.getAddress());
+
+      await expect(
+        masterChef.connect(addr1).withdraw(0, DEPOSIT)
+      ).to.be.revertedWith("SimpleRewarder: wrong pool");
+
+      await masterChef.setEmergencyWithdraw(true);
+      await expect(
+        masterChef.connect(addr1).emergencyWithdraw(0)
+      ).to.emit(masterChef, "EmergencyWithdraw")
+      .withArgs(addr1.address, 0, DEPOSIT);
+    });
+  });
+
+  describe("Reward Lockup", function () {
+    const DEPOSIT = ethers.parseEther("10");
+    const LOCKUP = 3600;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, LOCKUP, false); // No fees, 1 hour lockup
+    });
+
+    it("Should lock up rewards paid by deposit and withdraw during the lockup", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(100);
+
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+      await expect(
+        masterChef.connect(addr1).withdraw(0, DEPOSIT / 2n)
+      ).to.emit(masterChef, "RewardLockedUp");
+      await expect(
+        masterChef.connect(addr1).deposit(0, DEPOSIT / 2n)
+      ).to.emit(masterChef, "RewardLockedUp");
+
+      expect(await dvt.balanceOf(addr1.address)).to.equal(dvtBefore);
+
+      const userInfo = await masterChef.userInfo(0, addr1.address);
+      const poolInfo = await masterChef.poolInfo(0);
+      expect(userInfo.rewardLockedUp).to.be.gt(0);
+      expect(poolInfo.totalLockedUp).to.equal(userInfo.rewardLockedUp);
+    });
+
+    it("Should not extend the lockup on further deposits", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT / 2n);
+      const { lockedUntil } = await masterChef.getUserInfo(0, addr1.address);
+
+      await increaseTime(1000);
+      await masterChef.connect(addr1).deposit(0, DEPOSIT / 2n);
+
+      expect((await masterChef.getUserInfo(0, addr1.address)).lockedUntil).to.equal(lockedUntil);
+    });
+
+    it("Should release locked-up rewards through any entry point once the lockup ends", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(100);
+      await masterChef.connect(addr1).deposit(0, 0);
+      const { rewardLockedUp } = await masterChef.userInfo(0, addr1.address);
+
+      await increaseTime(LOCKUP);
+
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+      await masterChef.connect(addr1).withdraw(0, DEPOSIT);
+
+      expect((await dvt.balanceOf(addr1.address)) - dvtBefore).to.be.gt(rewardLockedUp);
+      expect((await masterChef.userInfo(0, addr1.address)).rewardLockedUp).to.equal(0);
+      expect((await masterChef.poolInfo(0)).totalLockedUp).to.equal(0);
+    });
+
+    it("Should restart the lockup after a payout", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(LOCKUP);
+
+      await masterChef.connect(addr1).harvest(0);
+      const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect((await masterChef.getUserInfo(0, addr1.address)).lockedUntil).to.equal(timestamp + LOCKUP);
+      await expect(
+        masterChef.connect(addr1).harvest(0)
+      ).to.be.revertedWith("MasterChef: harvest locked");
+    });
+
+    it("Should report locked and claimable rewards", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(100);
+      await masterChef.connect(addr1).deposit(0, 0);
+      await increaseTime(100);
+
+      const { lockedUntil } = await masterChef.getUserInfo(0, addr1.address);
+      let lockup = await masterChef.getRewardLockup(0, addr1.address);
+      expect(await masterChef.canHarvest(0, addr1.address)).to.equal(false);
+      expect(lockup.locked).to.equal(await masterChef.pendingDVT(0, addr1.address));
+      expect(lockup.locked).to.be.gt((await masterChef.userInfo(0, addr1.address)).rewardLockedUp);
+      expect(lockup.claimable).to.equal(0);
+      expect(lockup.unlockTime).to.equal(lockedUntil);
+
+      await increaseTime(LOCKUP);
+
+      lockup = await masterChef.getRewardLockup(0, addr1.address);
+      expect(await masterChef.canHarvest(0, addr1.address)).to.equal(true);
+      expect(lockup.locked).to.equal(0);
+      expect(lockup.claimable).to.equal(await masterChef.pendingDVT(0, addr1.address));
+    });
+
+    it("Should forfeit locked-up rewards on emergency withdraw", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(100);
+      await masterChef.connect(addr1).deposit(0, 0);
+
+      await masterChef.setEmergencyWithdraw(true);
+      await masterChef.connect(addr1).emergencyWithdraw(0);
+
+      expect((await masterChef.userInfo(0, addr1.address)).rewardLockedUp).to.equal(0);
+      expect((await masterChef.poolInfo(0)).totalLockedUp).to.equal(0);
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(0);
+    });
+  });
+
+  describe("Batch Operations", function () {
+    const DEPOSIT = ethers.parseEther("10");
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+      await masterChef.add(500, await dvt.getAddress(), 0, 3600, false); // Single-asset DVT, 1 hour lockup
+      await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+
+      await dvt.transfer(addr1.address, DEPOSIT);
+      await dvt.connect(addr1).approve(await masterChef.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should deposit into and withdraw from several pools", async function () {
+      await expect(masterChef.connect(addr1).depositMany([0, 1], [DEPOSIT, DEPOSIT]))
+        .to.emit(masterChef, "Deposit").withArgs(addr1.address, 0, DEPOSIT)
+        .and.to.emit(masterChef, "Deposit").withArgs(addr1.address, 1, DEPOSIT);
+
+      expect((await masterChef.getUserInfo(0, addr1.address)).amount).to.equal(DEPOSIT);
+      expect((await masterChef.getUserInfo(1, addr1.address)).amount).to.equal(DEPOSIT);
+
+      await expect(masterChef.connect(addr1).withdrawMany([0, 1], [DEPOSIT, DEPOSIT]))
+        .to.emit(masterChef, "Withdraw").withArgs(addr1.address, 0, DEPOSIT)
+        .and.to.emit(masterChef, "Withdraw").withArgs(addr1.address, 1, DEPOSIT);
+
+      expect((await masterChef.getUserInfo(0, addr1.address)).amount).to.equal(0);
+      expect((await masterChef.getUserInfo(1, addr1.address)).amount).to.equal(0);
+    });
+
+    it("Should reject mismatched batch lengths", async function () {
+      await expect(
+        masterChef.connect(addr1).depositMany([0, 1], [DEPOSIT])
+      ).to.be.revertedWith("MasterChef: length mismatch");
+      await expect(
+        masterChef.connect(addr1).withdrawMany([0], [])
+      ).to.be.revertedWith("MasterChef: length mismatch");
+    });
+
+    it("Should harvest unlocked pools and skip locked ones", async function () {
+      await masterChef.connect(addr1).depositMany([0, 1], [DEPOSIT, DEPOSIT]);
+      await increaseTime(100);
+
+      const tx = masterChef.connect(addr1).harvestMany([0, 1]);
+      await expect(tx).to.emit(masterChef, "Harvest");
+
+      const receipt = await (await tx).wait();
+      const harvestedPools = receipt.logs
+        .map((log) => { try { return masterChef.interface.parseLog(log); } catch { return null; } })
+        .filter((parsed) => parsed && parsed.name === "Harvest")
+        .map((parsed) => parsed.args.pid);
+      expect(harvestedPools).to.deep.equal([0n]);
+      expect(await masterChef.pendingDVT(1, addr1.address)).to.be.gt(0);
+    });
+
+    it("Should bundle harvesting everything and restaking in one multicall", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(100);
+
+      const pending = await masterChef.pendingDVT(0, addr1.address);
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+
+      await masterChef.connect(addr1).multicall([
+        masterChef.interface.encodeFunctionData("harvestMany", [[0]]),
+        masterChef.interface.encodeFunctionData("deposit(uint256,uint256)", [1, pending])
+      ]);
+
+      // Rewards for the extra block mined by the multicall stay behind in the wallet
+      expect(await dvt.balanceOf(addr1.address)).to.be.gte(dvtBefore);
+      expect((await masterChef.getUserInfo(1, addr1.address)).amount).to.equal(pending);
+    });
+  });
+
+  describe("Supply Cap", function () {
+    const DEPOSIT = ethers.parseEther("10");
+    const HEADROOM = ethers.parseEther("1100"); // 1000 DVT for farmers + 100 DVT dev share
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+      await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+
+      // Leave room for about 100 seconds of emissions at 10 DVT per second
+      await dvt.mint(owner.address, (await dvt.remainingSupply()) - HEADROOM);
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+    });
+
+    it("Should clamp emissions to the remaining supply", async function () {
+      await increaseTime(500);
+
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(ethers.parseEther("1000"));
+
+      await masterChef.updatePool(0);
+      expect(await dvt.remainingSupply()).to.equal(0);
+      expect(await dvt.balanceOf(await masterChef.getAddress())).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should keep deposits, harvests and withdrawals working after emissions end", async function () {
+      await increaseTime(500);
+      await masterChef.connect(addr1).harvest(0);
+      expect(await dvt.balanceOf(addr1.address)).to.equal(ethers.parseEther("1000"));
+
+      await increaseTime(100);
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(0);
+
+      await expect(masterChef.connect(addr1).withdraw(0, DEPOSIT))
+        .to.emit(masterChef, "Withdraw")
+        .withArgs(addr1.address, 0, DEPOSIT);
+      await expect(
+        masterChef.connect(addr2).harvest(0)
+      ).to.be.revertedWith("MasterChef: no pending rewards");
+      await masterChef.connect(addr2).withdraw(0, DEPOSIT);
+    });
+
+    it("Should project when emissions run out", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const remaining = (await dvt.remainingSupply()) * 10n / 11n;
+      const expectedEnd = BigInt(now) + (remaining + DVT_PER_SECOND - 1n) / DVT_PER_SECOND;
+
+      expect(await masterChef.emissionsEndTime()).to.equal(expectedEnd);
+    });
+
+    it("Should project across emission epochs", async function () {
+      // Halving every day: 864,000 DVT in the first day is far beyond the 1,000 DVT left,
+      // so reduce the rate until the supply lasts into the second epoch
+      await masterChef.updateEmissionRate(ethers.parseEther("0.01"));
+      await masterChef.setEmissionSchedule(24 * 3600, 5000, 0, false);
+
+      const scheduleStart = await masterChef.emissionScheduleStart();
+      const minted = await masterChef.emissionsBetween(scheduleStart, (await ethers.provider.getBlock("latest")).timestamp);
+      const remaining = (await dvt.remainingSupply()) * 10n / 11n;
+      const firstEpoch = await masterChef.emissionsBetween(scheduleStart, scheduleStart + 86400n);
+      const secondEpoch = await masterChef.emissionsBetween(scheduleStart + 86400n, scheduleStart + 2n * 86400n);
+
+      // 864 DVT in the first epoch and 432 DVT in the second leave the end inside the second epoch
+      expect(firstEpoch - minted).to.be.lt(remaining);
+      expect(firstEpoch - minted + secondEpoch).to.be.gt(remaining);
+
+      const end = await masterChef.emissionsEndTime();
+      expect(end).to.be.gt(scheduleStart + 86400n);
+      expect(end).to.be.lt(scheduleStart + 2n * 86400n);
+    });
+
+    it("Should report no end when emissions decay to zero first", async function () {
+      await masterChef.updateEmissionRate(ethers.parseEther("0.001"));
+      await masterChef.setEmissionSchedule(24 * 3600, 10000, 0, false);
+
+      expect(await masterChef.emissionsEndTime()).to.equal(ethers.MaxUint256);
+    });
+  });
+
+  describe("Price-Aware APR", function () {
+    let oracle, stake;
+    const EMISSION_RATE = ethers.parseEther("0.0008"); // ~25,000 DVT a year
+    const SPOT_PRICE = ethers.parseEther("0.001"); // 100 BNB / 100,000 DVT
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    async function getDeadline() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    // Give the oracle a full period of history at the initial price
+    async function setOracleWithHistory() {
+      await masterChef.setPriceOracle(await oracle.getAddress());
+      await increaseTime(1800);
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+      await masterChef.updateEmissionRate(EMISSION_RATE);
+
+      const TWAPOracle = await ethers.getContractFactory("TWAPOracle");
+      oracle = await TWAPOracle.deploy(await liquidityPool.getAddress(), 1800);
+      await oracle.waitForDeployment();
+
+      stake = await liquidityPool.balanceOf(addr1.address);
+      await masterChef.connect(addr1).deposit(0, stake);
+    });
+
+    it("Should return zero without a price oracle", async function () {
+      expect(await masterChef.dvtPriceInBNB()).to.equal(0);
+      expect(await masterChef.getPoolAPR(0)).to.equal(0);
+      expect(await masterChef.calculatePoolAPY(0)).to.equal(0);
+    });
+
+    it("Should allow only the owner to configure pricing", async function () {
+      await expect(masterChef.setPriceOracle(await oracle.getAddress()))
+        .to.emit(masterChef, "PriceOracleUpdated")
+        .withArgs(await oracle.getAddress());
+      await expect(masterChef.setSecondsPerYear(365.25 * 24 * 3600))
+        .to.emit(masterChef, "SecondsPerYearUpdated")
+        .withArgs(365.25 * 24 * 3600);
+
+      await expect(masterChef.setSecondsPerYear(0)).to.be.revertedWith("MasterChef: invalid seconds per year");
+      await expect(
+        masterChef.connect(addr1).setPriceOracle(await oracle.getAddress())
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should return zero instead of the spot price without TWAP history", async function () {
+      await masterChef.setPriceOracle(await oracle.getAddress());
+      await expect(oracle.getTokenPrice()).to.be.reverted;
+
+      expect(await masterChef.dvtPriceInBNB()).to.equal(0);
+      expect(await masterChef.getPoolAPR(0)).to.equal(0);
+      expect(await masterChef.calculatePoolAPY(0)).to.equal(0);
+    });
+
+    it("Should price DVT at the TWAP once the oracle has history", async function () {
+      await setOracleWithHistory();
+
+      expect(await masterChef.dvtPriceInBNB()).to.equal(await oracle.getTokenPrice());
+      expect(await masterChef.dvtPriceInBNB()).to.be.closeTo(SPOT_PRICE, SPOT_PRICE / 1000000n);
+      expect(await masterChef.getPoolAPR(0)).to.be.gt(0);
+    });
+
+    it("Should value staked LP and DVT in BNB", async function () {
+      await setOracleWithHistory();
+
+      // At the spot price the fair value of the reserves is 2 * 100 BNB
+      const lpSupply = await liquidityPool.totalSupply();
+      expect(await masterChef.poolStakedValueInBNB(0)).to.be.closeTo(
+        (ethers.parseEther("200") * stake) / lpSupply,
+        1000n
+      );
+
+      await masterChef.add(500, await dvt.getAddress(), 0, 0, false);
+      await dvt.approve(await masterChef.getAddress(), ethers.parseEther("1000"));
+      await masterChef.deposit(1, ethers.parseEther("1000"));
+      expect(await masterChef.poolStakedValueInBNB(1)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should compute APR from emissions and staked value", async function () {
+      await setOracleWithHistory();
+
+      const yearlyReward = EMISSION_RATE * BigInt(365 * 24 * 3600);
+      const stakedValue = await masterChef.poolStakedValueInBNB(0);
+      const expectedAPR = (((yearlyReward * SPOT_PRICE) / ethers.parseEther("1")) * 10000n) / stakedValue;
+
+      const apr = await masterChef.getPoolAPR(0);
+      expect(apr).to.equal(expectedAPR);
+      expect(apr).to.be.gt(0);
+
+      // A shorter year gives a proportionally lower APR
+      await masterChef.setSecondsPerYear(182.5 * 24 * 3600);
+      expect(await masterChef.getPoolAPR(0)).to.be.closeTo(expectedAPR / 2n, 1n);
+    });
+
+    it("Should compound APR into APY", async function () {
+      await setOracleWithHistory();
+      const apr = await masterChef.getPoolAPR(0);
+
+      expect(await masterChef.getPoolAPY(0, 1)).to.equal(apr);
+
+      const dailyAPY = await masterChef.calculatePoolAPY(0);
+      const expectedAPY = Math.round(((1 + Number(apr) / 10000 / 365) ** 365 - 1) * 10000);
+      expect(dailyAPY).to.be.gt(apr);
+      expect(dailyAPY).to.be.closeTo(BigInt(expectedAPY), 2n);
+
+      await expect(masterChef.getPoolAPY(0, 0)).to.be.revertedWith("MasterChef: invalid compounding");
+    });
+
+    it("Should cap the APR compounded into APY", async function () {
+      await setOracleWithHistory();
+      await masterChef.updateEmissionRate(ethers.parseEther("10"));
+
+      expect(await masterChef.getPoolAPR(0)).to.be.gt(await masterChef.MAX_COMPOUNDED_APR());
+      const cappedAPY = Math.round(((1 + 50 / 365) ** 365 - 1) * 10000);
+      const apy = await masterChef.getPoolAPY(0, 365);
+      expect(apy).to.be.closeTo(BigInt(cappedAPY), BigInt(cappedAPY) / 1000000n);
+    });
+
+    it("Should project the APR past MasterChef's rate limit but not its lifetime cap", async function () {
+      await setOracleWithHistory();
+      const apr = await masterChef.getPoolAPR(0);
+
+      await dvt.setMinterLimits(await masterChef.getAddress(), ethers.MaxUint256, ethers.parseEther("1"), 3600);
+      expect(await masterChef.getPoolAPR(0)).to.equal(apr);
+
+      // A lifetime cap of half a year's emissions (plus the dev share) halves the APR
+      const halfYear = EMISSION_RATE * BigInt(365 * 24 * 3600) / 2n;
+      await dvt.setMinterLimits(await masterChef.getAddress(), (halfYear * 11n) / 10n, 0, 0);
+      expect(await masterChef.getPoolAPR(0)).to.be.closeTo(apr / 2n, 1n);
+    });
+
+    it("Should use the TWAP so a spot price swing does not move the APR", async function () {
+      await masterChef.setPriceOracle(await oracle.getAddress());
+
+      // Build an hour of history at the initial price
+      await increaseTime(3600);
+      await dvt.approve(await liquidityPool.getAddress(), ethers.MaxUint256);
+      await liquidityPool.swapExactTokensForETH(ethers.parseEther("1"), 0, owner.address, await getDeadline());
+      const aprBefore = await masterChef.getPoolAPR(0);
+
+      // Push the spot price up ~20% with a large buy
+      await liquidityPool.connect(addr2).swapExactETHForTokens(0, addr2.address, await getDeadline(), {
+        value: ethers.parseEther("10")
+      });
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+      const spotPrice = (reserveETH * ethers.parseEther("1")) / reserveToken;
+      expect(spotPrice).to.be.gt((SPOT_PRICE * 115n) / 100n);
+
+      expect(await masterChef.dvtPriceInBNB()).to.be.closeTo(SPOT_PRICE, SPOT_PRICE / 1000n);
+      expect(await masterChef.getPoolAPR(0)).to.be.closeTo(aprBefore, aprBefore / 100n);
+    });
+  });
+
+  describe("Minter Limits", function () {
+    const DEPOSIT = ethers.parseEther("10");
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false); // No fees, no lockup
+      await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+    });
+
+    it("Should clamp emissions to MasterChef's rate limit instead of reverting", async function () {
+      // 110 DVT per hour: 100 DVT for farmers + 10 DVT dev share
+      await dvt.setMinterLimits(await masterChef.getAddress(), ethers.MaxUint256, ethers.parseEther("110"), 3600);
+      await increaseTime(500);
+
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(ethers.parseEther("100"));
+
+      await expect(masterChef.updatePool(0))
+        .to.emit(dvt, "MinterRateLimitReached");
+      expect(await dvt.balanceOf(await masterChef.getAddress())).to.equal(ethers.parseEther("100"));
+
+      await increaseTime(100);
+      await masterChef.updatePool(0);
+      expect(await dvt.balanceOf(await masterChef.getAddress())).to.equal(ethers.parseEther("100"));
+
+      // The rolling hour (in 5 minute buckets) has passed
+      await increaseTime(3600 + 300);
+      await masterChef.updatePool(0);
+      expect(await dvt.balanceOf(await masterChef.getAddress())).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should carry emissions held back by the rate limit over instead of dropping them", async function () {
+      const start = (await masterChef.getPoolInfo(0)).lastRewardTime;
+      await dvt.setMinterLimits(await masterChef.getAddress(), ethers.MaxUint256, ethers.parseEther("110"), 3600);
+      await increaseTime(500);
+
+      await masterChef.updatePool(0);
+      expect(await masterChef.deferredReward(0)).to.be.gt(0);
+
+      // Once the limit allows, everything emitted since the deposit is minted
+      await dvt.setMinterLimits(await masterChef.getAddress(), ethers.MaxUint256, ethers.parseEther("1000000"), 3600);
+      await masterChef.updatePool(0);
+
+      const end = (await masterChef.getPoolInfo(0)).lastRewardTime;
+      expect(await masterChef.deferredReward(0)).to.equal(0);
+      expect(await dvt.balanceOf(await masterChef.getAddress())).to.equal(
+        await masterChef.emissionsBetween(start, end)
+      );
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(await masterChef.emissionsBetween(start, end));
+    });
+
+    it("Should stop emissions at MasterChef's lifetime cap and keep withdrawals working", async function () {
+      await dvt.setMinterLimits(await masterChef.getAddress(), ethers.parseEther("1100"), 0, 0);
+      await increaseTime(500);
+
+      await expect(masterChef.connect(addr1).harvest(0))
+        .to.emit(dvt, "MinterCapReached");
+      expect(await dvt.balanceOf(addr1.address)).to.equal(ethers.parseEther("1000"));
+      expect(await dvt.remainingMinterCap(await masterChef.getAddress())).to.equal(0);
+
+      await increaseTime(100);
+      expect(await masterChef.pendingDVT(0, addr1.address)).to.equal(0);
+      await masterChef.connect(addr1).withdraw(0, DEPOSIT);
+    });
+  });
 });
\ No newline at end of file
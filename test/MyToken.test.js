@@ -135,6 +135,27 @@ describe("MyToken", function () {
         myToken.addMinter(ethers.ZeroAddress)
       ).to.be.revertedWith("MyToken: minter cannot be zero address");
     });
+
+    it("Should manage MINTER_ROLE through the owner", async function () {
+      const minterRole = await myToken.MINTER_ROLE();
+      expect(await myToken.hasRole(minterRole, owner.address)).to.be.true;
+
+      await expect(myToken.grantRole(minterRole, addr1.address))
+        .to.emit(myToken, "MinterAdded")
+        .withArgs(addr1.address);
+      expect(await myToken.isMinter(addr1.address)).to.be.true;
+
+      await expect(
+        myToken.connect(addr1).grantRole(minterRole, addr2.address)
+      ).to.be.revertedWithCustomError(myToken, "OwnableUnauthorizedAccount");
+
+      await expect(myToken.revokeRole(minterRole, addr1.address))
+        .to.emit(myToken, "MinterRemoved")
+        .withArgs(addr1.address);
+      await expect(
+        myToken.connect(addr1).mint(addr2.address, 1)
+      ).to.be.revertedWith("MyToken: caller is not a minter");
+    });
   });
 
   describe("Burning", function () {
@@ -314,4 +335,645 @@ describe("MyToken", function () {
       expect(await myToken.allowance(owner.address, addr1.address)).to.equal(allowanceAmount - transferAmount);
     });
   });
+
+  describe("Permit", function () {
+    async function signPermit(token, signer, spender, value, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId,
+        verifyingContract: await token.getAddress()
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: signer.address,
+        spender,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("Should set allowance from a signed permit", async function () {
+      const value = ethers.parseEther("100");
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const sig = await signPermit(myToken, owner, addr1.address, value, deadline);
+
+      // Anyone can relay the signature
+      await myToken.connect(addr2).permit(owner.address, addr1.address, value, deadline, sig.v, sig.r, sig.s);
+
+      expect(await myToken.allowance(owner.address, addr1.address)).to.equal(value);
+      expect(await myToken.nonces(owner.address)).to.equal(1);
+    });
+
+    it("Should reject replayed and expired permits", async function () {
+      const value = ethers.parseEther("100");
+      let deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      let sig = await signPermit(myToken, owner, addr1.address, value, deadline);
+      await myToken.permit(owner.address, addr1.address, value, deadline, sig.v, sig.r, sig.s);
+
+      await expect(
+        myToken.permit(owner.address, addr1.address, value, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(myToken, "ERC2612InvalidSigner");
+
+      deadline = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      sig = await signPermit(myToken, owner, addr1.address, value, deadline);
+      await expect(
+        myToken.permit(owner.address, addr1.address, value, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(myToken, "ERC2612ExpiredSignature");
+    });
+  });
+
+  describe("Votes", function () {
+    it("Should only count delegated balances as votes", async function () {
+      expect(await myToken.getVotes(owner.address)).to.equal(0);
+
+      await myToken.delegate(owner.address);
+      expect(await myToken.getVotes(owner.address)).to.equal(INITIAL_SUPPLY);
+      expect(await myToken.delegates(owner.address)).to.equal(owner.address);
+    });
+
+    it("Should move votes with transfers and delegation", async function () {
+      const amount = ethers.parseEther("1000");
+      await myToken.delegate(owner.address);
+      await myToken.connect(addr1).delegate(addr2.address);
+
+      await myToken.transfer(addr1.address, amount);
+
+      expect(await myToken.getVotes(owner.address)).to.equal(INITIAL_SUPPLY - amount);
+      expect(await myToken.getVotes(addr1.address)).to.equal(0);
+      expect(await myToken.getVotes(addr2.address)).to.equal(amount);
+    });
+
+    it("Should checkpoint historical votes and supply", async function () {
+      await myToken.delegate(owner.address);
+      const checkpointBlock = await ethers.provider.getBlockNumber();
+
+      await myToken.mint(addr1.address, ethers.parseEther("500"));
+      await ethers.provider.send("evm_mine");
+
+      expect(await myToken.getPastVotes(owner.address, checkpointBlock)).to.equal(INITIAL_SUPPLY);
+      expect(await myToken.getPastTotalSupply(checkpointBlock)).to.equal(INITIAL_SUPPLY);
+      expect(await myToken.totalSupply()).to.equal(INITIAL_SUPPLY + ethers.parseEther("500"));
+    });
+  });
+
+  describe("Snapshots", function () {
+    it("Should manage SNAPSHOT_ROLE through the owner", async function () {
+      const snapshotRole = await myToken.SNAPSHOT_ROLE();
+
+      await expect(myToken.grantRole(snapshotRole, addr1.address))
+        .to.emit(myToken, "RoleGranted")
+        .withArgs(snapshotRole, addr1.address, owner.address);
+      expect(await myToken.hasRole(snapshotRole, addr1.address)).to.be.true;
+      expect(await myToken.isMinter(addr1.address)).to.be.false;
+
+      await expect(
+        myToken.connect(addr1).grantRole(snapshotRole, addr2.address)
+      ).to.be.revertedWithCustomError(myToken, "OwnableUnauthorizedAccount");
+
+      await expect(myToken.revokeRole(snapshotRole, addr1.address))
+        .to.emit(myToken, "RoleRevoked")
+        .withArgs(snapshotRole, addr1.address, owner.address);
+      expect(await myToken.hasRole(snapshotRole, addr1.address)).to.be.false;
+    });
+
+    it("Should only allow snapshotters to take snapshots", async function () {
+      await expect(
+        myToken.connect(addr1).snapshot()
+      ).to.be.revertedWith("MyToken: caller is not a snapshotter");
+
+      await myToken.grantRole(await myToken.SNAPSHOT_ROLE(), addr1.address);
+      await expect(myToken.connect(addr1).snapshot())
+        .to.emit(myToken, "Snapshot")
+        .withArgs(1);
+      expect(await myToken.currentSnapshotId()).to.equal(1);
+    });
+
+    it("Should record balances and total supply at each snapshot", async function () {
+      await myToken.snapshot();
+      await myToken.transfer(addr1.address, ethers.parseEther("1000"));
+      await myToken.mint(addr2.address, ethers.parseEther("500"));
+
+      await myToken.snapshot();
+      await myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("400"));
+
+      expect(await myToken.balanceOfAt(owner.address, 1)).to.equal(INITIAL_SUPPLY);
+      expect(await myToken.balanceOfAt(addr1.address, 1)).to.equal(0);
+      expect(await myToken.balanceOfAt(addr2.address, 1)).to.equal(0);
+      expect(await myToken.totalSupplyAt(1)).to.equal(INITIAL_SUPPLY);
+
+      expect(await myToken.balanceOfAt(addr1.address, 2)).to.equal(ethers.parseEther("1000"));
+      expect(await myToken.balanceOfAt(addr2.address, 2)).to.equal(ethers.parseEther("500"));
+      expect(await myToken.totalSupplyAt(2)).to.equal(INITIAL_SUPPLY + ethers.parseEther("500"));
+
+      expect(await myToken.balanceOfAt(addr1.address, 2)).to.not.equal(await myToken.balanceOf(addr1.address));
+    });
+
+    it("Should return current values for accounts unchanged since a snapshot", async function () {
+      await myToken.transfer(addr1.address, ethers.parseEther("1000"));
+      await myToken.snapshot();
+      await myToken.snapshot();
+
+      expect(await myToken.balanceOfAt(addr1.address, 1)).to.equal(ethers.parseEther("1000"));
+      expect(await myToken.balanceOfAt(addr1.address, 2)).to.equal(ethers.parseEther("1000"));
+      expect(await myToken.totalSupplyAt(2)).to.equal(INITIAL_SUPPLY);
+    });
+
+    it("Should reject invalid snapshot ids", async function () {
+      await expect(
+        myToken.balanceOfAt(owner.address, 0)
+      ).to.be.revertedWith("MyToken: snapshot id is 0");
+      await expect(
+        myToken.totalSupplyAt(1)
+      ).to.be.revertedWith("MyToken: nonexistent snapshot id");
+    });
+
+    it("Should keep pause checks while recording snapshots", async function () {
+      await myToken.snapshot();
+      await myToken.pause();
+
+      await expect(
+        myToken.transfer(addr1.address, ethers.parseEther("1"))
+      ).to.be.revertedWith("MyToken: token transfer while paused");
+      expect(await myToken.balanceOfAt(owner.address, 1)).to.equal(INITIAL_SUPPLY);
+    });
+  });
+
+  describe("Minter Limits", function () {
+    const CAP = ethers.parseEther("1000");
+    const PERIOD_CAP = ethers.parseEther("300");
+    const PERIOD = 24 * 3600;
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      await myToken.addMinter(addr1.address);
+    });
+
+    it("Should leave new minters uncapped until limits are set", async function () {
+      const limit = await myToken.minterLimits(addr1.address);
+      expect(limit.cap).to.equal(ethers.MaxUint256);
+      expect(limit.periodCap).to.equal(0);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(await myToken.remainingSupply());
+    });
+
+    it("Should allow owner to set minter limits", async function () {
+      await expect(myToken.setMinterLimits(addr1.address, CAP, PERIOD_CAP, PERIOD))
+        .to.emit(myToken, "MinterLimitsUpdated")
+        .withArgs(addr1.address, CAP, PERIOD_CAP, PERIOD);
+
+      expect(await myToken.remainingMinterCap(addr1.address)).to.equal(CAP);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(PERIOD_CAP);
+    });
+
+    it("Should reject invalid minter limits", async function () {
+      await expect(
+        myToken.connect(addr1).setMinterLimits(addr1.address, CAP, 0, 0)
+      ).to.be.revertedWithCustomError(myToken, "OwnableUnauthorizedAccount");
+      await expect(
+        myToken.setMinterLimits(addr2.address, CAP, 0, 0)
+      ).to.be.revertedWith("MyToken: account is not a minter");
+      await expect(
+        myToken.setMinterLimits(addr1.address, CAP, PERIOD_CAP, 0)
+      ).to.be.revertedWith("MyToken: invalid rate limit period");
+    });
+
+    it("Should enforce the lifetime cap", async function () {
+      await myToken.setMinterLimits(addr1.address, CAP, 0, 0);
+
+      await expect(myToken.connect(addr1).mint(addr2.address, CAP))
+        .to.emit(myToken, "MinterCapReached")
+        .withArgs(addr1.address, CAP);
+      expect(await myToken.remainingMinterCap(addr1.address)).to.equal(0);
+
+      await expect(
+        myToken.connect(addr1).mint(addr2.address, 1)
+      ).to.be.revertedWith("MyToken: minter cap exceeded");
+    });
+
+    it("Should enforce the rate limit over a rolling period", async function () {
+      const bucketLength = PERIOD / 12;
+      await myToken.setMinterLimits(addr1.address, CAP, PERIOD_CAP, PERIOD);
+
+      await myToken.connect(addr1).mint(addr2.address, ethers.parseEther("200"));
+      await increaseTime(PERIOD / 2);
+      await expect(myToken.connect(addr1).mint(addr2.address, ethers.parseEther("100")))
+        .to.emit(myToken, "MinterRateLimitReached")
+        .withArgs(addr1.address, PERIOD_CAP);
+      await expect(
+        myToken.connect(addr1).mint(addr2.address, 1)
+      ).to.be.revertedWith("MyToken: minter rate limit exceeded");
+      expect(await myToken.mintableBy(addr1.address)).to.equal(0);
+
+      // The first mint leaves the window a period later; the second is still in it
+      await increaseTime(PERIOD / 2 + bucketLength);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(ethers.parseEther("200"));
+      await myToken.connect(addr1).mint(addr2.address, ethers.parseEther("200"));
+
+      // Only 500 DVT of the lifetime cap is left
+      await increaseTime(PERIOD + bucketLength);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(PERIOD_CAP);
+      await myToken.connect(addr1).mint(addr2.address, PERIOD_CAP);
+      expect(await myToken.remainingMinterCap(addr1.address)).to.equal(ethers.parseEther("200"));
+
+      await increaseTime(PERIOD + bucketLength);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should not allow twice the rate limit across a period boundary", async function () {
+      const bucketLength = PERIOD / 12;
+      await myToken.setMinterLimits(addr1.address, CAP, PERIOD_CAP, PERIOD);
+
+      // Start at a bucket boundary so the first mint stays in the window for a full period
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [(Math.floor(now / bucketLength) + 1) * bucketLength]);
+      await myToken.connect(addr1).mint(addr2.address, 1);
+      await increaseTime(PERIOD - 10);
+      await myToken.connect(addr1).mint(addr2.address, PERIOD_CAP - 1n);
+
+      // A fixed period opened by the first mint would reset here
+      await increaseTime(10);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(0);
+      await expect(
+        myToken.connect(addr1).mint(addr2.address, 1)
+      ).to.be.revertedWith("MyToken: minter rate limit exceeded");
+    });
+
+    it("Should not count owner mints against minter limits", async function () {
+      await myToken.removeMinter(owner.address);
+      await myToken.mint(addr2.address, ethers.parseEther("500"));
+
+      expect(await myToken.remainingMinterCap(owner.address)).to.equal(await myToken.remainingSupply());
+      expect(await myToken.mintableBy(addr2.address)).to.equal(0);
+    });
+
+    it("Should keep the minted amount and limits when a minter is removed and re-added", async function () {
+      await myToken.setMinterLimits(addr1.address, CAP, PERIOD_CAP, PERIOD);
+      await myToken.connect(addr1).mint(addr2.address, PERIOD_CAP);
+      await myToken.removeMinter(addr1.address);
+      expect(await myToken.remainingMinterCap(addr1.address)).to.equal(0);
+
+      await myToken.addMinter(addr1.address);
+
+      const limit = await myToken.minterLimits(addr1.address);
+      expect(limit.cap).to.equal(CAP);
+      expect(limit.minted).to.equal(PERIOD_CAP);
+      expect(await myToken.remainingMinterCap(addr1.address)).to.equal(CAP - PERIOD_CAP);
+      expect(await myToken.mintableBy(addr1.address)).to.equal(0);
+    });
+  });
+
+  describe("Transfer Tax", function () {
+    let liquidityPool;
+
+    async function deadline() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    beforeEach(async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      liquidityPool = await LiquidityPool.deploy(await myToken.getAddress(), owner.address);
+      await liquidityPool.waitForDeployment();
+
+      await myToken.approve(await liquidityPool.getAddress(), ethers.MaxUint256);
+      await liquidityPool.addLiquidity(
+        ethers.parseEther("100000"),
+        0,
+        0,
+        owner.address,
+        await deadline(),
+        { value: ethers.parseEther("100") }
+      );
+
+      await myToken.setExemptFromLimits(await liquidityPool.getAddress(), true);
+      await myToken.setAmmPair(await liquidityPool.getAddress(), true);
+      await myToken.setTaxRates(200, 300, 100); // 2% buy, 3% sell, 1% transfer
+      await myToken.transfer(addr1.address, ethers.parseEther("50000"));
+      await myToken.connect(addr1).approve(await liquidityPool.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should start untaxed with a default split", async function () {
+      const fresh = await MyToken.deploy(TOKEN_NAME, TOKEN_SYMBOL, INITIAL_SUPPLY);
+
+      expect(await fresh.buyTax()).to.equal(0);
+      expect(await fresh.sellTax()).to.equal(0);
+      expect(await fresh.transferTax()).to.equal(0);
+      expect(await fresh.treasuryShare()).to.equal(4000);
+      expect(await fresh.burnShare()).to.equal(2000);
+      expect(await fresh.liquidityShare()).to.equal(4000);
+      expect(await fresh.treasury()).to.equal(owner.address);
+    });
+
+    it("Should cap tax rates and validate the split", async function () {
+      await expect(myToken.setTaxRates(1001, 0, 0)).to.be.revertedWith("MyToken: tax too high");
+      await expect(myToken.setTaxRates(0, 0, 1001)).to.be.revertedWith("MyToken: tax too high");
+      await expect(myToken.setTaxSplit(5000, 5000, 1)).to.be.revertedWith("MyToken: tax split must total 10000");
+      await expect(
+        myToken.connect(addr1).setTaxRates(0, 0, 0)
+      ).to.be.revertedWithCustomError(myToken, "OwnableUnauthorizedAccount");
+
+      await expect(myToken.setTaxSplit(5000, 0, 5000))
+        .to.emit(myToken, "TaxSplitUpdated")
+        .withArgs(5000, 0, 5000);
+    });
+
+    it("Should tax wallet transfers and split the tax", async function () {
+      const amount = ethers.parseEther("1000");
+      const treasuryBefore = await myToken.balanceOf(owner.address);
+      const supplyBefore = await myToken.totalSupply();
+
+      await expect(myToken.connect(addr1).transfer(addr2.address, amount))
+        .to.emit(myToken, "TaxCollected")
+        .withArgs(addr1.address, ethers.parseEther("4"), ethers.parseEther("2"), ethers.parseEther("4"));
+
+      expect(await myToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("990"));
+      expect(await myToken.balanceOf(owner.address)).to.equal(treasuryBefore + ethers.parseEther("4"));
+      expect(await myToken.totalSupply()).to.equal(supplyBefore - ethers.parseEther("2"));
+      expect(await myToken.balanceOf(await myToken.getAddress())).to.equal(ethers.parseEther("4"));
+      expect(await myToken.tokensForLiquidity()).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should tax sells to the pool", async function () {
+      const amount = ethers.parseEther("1000");
+      const [, reserveBefore] = await liquidityPool.getReserves();
+
+      await liquidityPool.connect(addr1).swapExactTokensForETHSupportingFeeOnTransferTokens(amount, 0, addr1.address, await deadline());
+
+      const [, reserveAfter] = await liquidityPool.getReserves();
+      expect(reserveAfter - reserveBefore).to.equal(ethers.parseEther("970"));
+    });
+
+    it("Should tax buys from the pool", async function () {
+      const ethIn = ethers.parseEther("1");
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+      const amountOut = await liquidityPool.getAmountOut(ethIn, reserveETH, reserveToken);
+
+      await liquidityPool.connect(addr2).swapExactETHForTokensSupportingFeeOnTransferTokens(0, addr2.address, await deadline(), { value: ethIn });
+
+      expect(await myToken.balanceOf(addr2.address)).to.equal(amountOut - (amountOut * 200n) / 10000n);
+    });
+
+    it("Should not tax exempt accounts", async function () {
+      await expect(myToken.setExemptFromTax(addr1.address, true))
+        .to.emit(myToken, "TaxExemptionUpdated")
+        .withArgs(addr1.address, true);
+
+      await myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1000"));
+      expect(await myToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should tax liquidity added through the pool as a sell", async function () {
+      const amount = ethers.parseEther("1000");
+      const [, reserveBefore] = await liquidityPool.getReserves();
+
+      await liquidityPool.connect(addr1).addLiquidity(amount, 0, 0, addr1.address, await deadline(), {
+        value: ethers.parseEther("1")
+      });
+
+      const [, reserveAfter] = await liquidityPool.getReserves();
+      expect(reserveAfter - reserveBefore).to.equal(amount - (amount * 300n) / 10000n);
+    });
+
+    it("Should swap back the liquidity share into LP for the treasury", async function () {
+      await myToken.setTreasury(addr2.address);
+      await myToken.setSwapBackSettings(await liquidityPool.getAddress(), true, ethers.parseEther("50"));
+      await increaseTime(1800); // TWAP history for the swap-back bound
+
+      // 1% of 20,000 DVT is 200 DVT of tax, 80 DVT of it for liquidity
+      await expect(myToken.connect(addr1).transfer(addrs[0].address, ethers.parseEther("20000")))
+        .to.emit(myToken, "SwapBack");
+
+      expect(await liquidityPool.balanceOf(addr2.address)).to.be.gt(0);
+      expect(await myToken.tokensForLiquidity()).to.be.lt(ethers.parseEther("1"));
+    });
+
+    it("Should not swap back before the pool has TWAP history", async function () {
+      await myToken.setSwapBackSettings(await liquidityPool.getAddress(), true, 0);
+
+      await expect(myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1000")))
+        .to.not.emit(myToken, "SwapBack");
+      expect(await myToken.tokensForLiquidity()).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should not swap back into a sandwiched price", async function () {
+      await myToken.setSwapBackSettings(await liquidityPool.getAddress(), true, ethers.parseEther("50"));
+      await increaseTime(1800);
+
+      // Dump DVT to push the spot price well below the TWAP before triggering the swap-back
+      await myToken.setExemptFromTax(addr1.address, true);
+      await liquidityPool.connect(addr1).swapExactTokensForETHSupportingFeeOnTransferTokens(
+        ethers.parseEther("9000"), 0, addr1.address, await deadline()
+      );
+      await myToken.setExemptFromTax(addr1.address, false);
+
+      await expect(myToken.connect(addr1).transfer(addrs[0].address, ethers.parseEther("20000")))
+        .to.not.emit(myToken, "SwapBack");
+      expect(await myToken.tokensForLiquidity()).to.equal(ethers.parseEther("80"));
+    });
+
+    it("Should not block transfers when a swap-back fails", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const emptyPool = await LiquidityPool.deploy(await myToken.getAddress(), owner.address);
+      await myToken.setSwapBackSettings(await emptyPool.getAddress(), true, 0);
+
+      await myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1000"));
+
+      expect(await myToken.balanceOf(addr2.address)).to.equal(ethers.parseEther("990"));
+      expect(await myToken.tokensForLiquidity()).to.equal(ethers.parseEther("4"));
+    });
+
+    it("Should validate swap-back settings", async function () {
+      const otherToken = await MyToken.deploy("Other", "OTH", INITIAL_SUPPLY);
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const otherPool = await LiquidityPool.deploy(await otherToken.getAddress(), owner.address);
+
+      await expect(
+        myToken.setSwapBackSettings(await otherPool.getAddress(), true, 0)
+      ).to.be.revertedWith("MyToken: pool does not trade DVT");
+      await expect(
+        myToken.setSwapBackSettings(ethers.ZeroAddress, true, 0)
+      ).to.be.revertedWith("MyToken: no pool for swap-back");
+      await expect(myToken.swapBack()).to.be.revertedWith("MyToken: no pool for swap-back");
+
+      await myToken.setSwapBackSettings(await liquidityPool.getAddress(), false, 0);
+      await expect(myToken.swapBack()).to.be.revertedWith("MyToken: nothing to swap back");
+    });
+  });
+
+  describe("Window Limits and Launch Schedule", function () {
+    const DAY = 24 * 3600;
+    const MAX_TX = ethers.parseEther("5000000");
+    const MAX_WALLET = ethers.parseEther("10000000");
+    const CHUNK = ethers.parseEther("3000000");
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    // Start the next block at the beginning of a limit window so the test stays inside it
+    async function alignToWindow(window) {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [(Math.floor(now / window) + 1) * window]);
+    }
+
+    beforeEach(async function () {
+      await myToken.mint(addr1.address, ethers.parseEther("9000000"));
+    });
+
+    it("Should limit cumulative sends within one block by default", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const first = await myToken.connect(addr1).transfer(addr2.address, CHUNK, { gasLimit: 500000 });
+      const second = await myToken.connect(addr1).transfer(addrs[0].address, CHUNK, { gasLimit: 500000 });
+      await ethers.provider.send("evm_mine");
+      await ethers.provider.send("evm_setAutomine", [true]);
+
+      expect((await ethers.provider.getTransactionReceipt(first.hash)).status).to.equal(1);
+      expect((await ethers.provider.getTransactionReceipt(second.hash)).status).to.equal(0);
+
+      // A new block starts a new window
+      await myToken.connect(addr1).transfer(addrs[0].address, CHUNK);
+      expect(await myToken.balanceOf(addrs[0].address)).to.equal(CHUNK);
+    });
+
+    it("Should limit cumulative sends and receives within a time window", async function () {
+      await expect(myToken.setLimitWindow(3600))
+        .to.emit(myToken, "LimitWindowUpdated")
+        .withArgs(3600);
+      await alignToWindow(3600);
+
+      await myToken.connect(addr1).transfer(addr2.address, CHUNK);
+      await expect(
+        myToken.connect(addr1).transfer(addrs[0].address, CHUNK)
+      ).to.be.revertedWith("MyToken: window transfer limit exceeded");
+
+      await myToken.mint(addrs[1].address, CHUNK);
+      await expect(
+        myToken.connect(addrs[1]).transfer(addr2.address, CHUNK)
+      ).to.be.revertedWith("MyToken: window transfer limit exceeded");
+
+      await increaseTime(3600);
+      await myToken.connect(addr1).transfer(addrs[0].address, CHUNK);
+    });
+
+    it("Should count split buys from an AMM pair against the buyer", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const liquidityPool = await LiquidityPool.deploy(await myToken.getAddress(), owner.address);
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+
+      await myToken.approve(await liquidityPool.getAddress(), ethers.MaxUint256);
+      await liquidityPool.addLiquidity(ethers.parseEther("100000"), 0, 0, owner.address, deadline, {
+        value: ethers.parseEther("100")
+      });
+      await myToken.setExemptFromLimits(await liquidityPool.getAddress(), true);
+      await myToken.setAmmPair(await liquidityPool.getAddress(), true);
+      await myToken.setLimitWindow(3600);
+      await alignToWindow(3600);
+      await myToken.setLaunchSchedule(0, 30 * DAY, ethers.parseEther("1000"), ethers.parseEther("10000"));
+
+      await liquidityPool.connect(addr2).swapExactETHForTokens(0, addr2.address, deadline, {
+        value: ethers.parseEther("0.6")
+      });
+      await expect(
+        liquidityPool.connect(addr2).swapExactETHForTokens(0, addr2.address, deadline, {
+          value: ethers.parseEther("0.6")
+        })
+      ).to.be.revertedWith("MyToken: window transfer limit exceeded");
+    });
+
+    it("Should relax launch limits linearly to the final limits", async function () {
+      await expect(myToken.setLaunchSchedule(0, 10 * DAY, ethers.parseEther("1000000"), ethers.parseEther("2000000")))
+        .to.emit(myToken, "LaunchScheduleSet");
+      const launchTime = await myToken.launchTime();
+
+      expect(await myToken.currentMaxTxAmount()).to.equal(ethers.parseEther("1000000"));
+      expect(await myToken.currentMaxWalletAmount()).to.equal(ethers.parseEther("2000000"));
+      await expect(
+        myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("1500000"))
+      ).to.be.revertedWith("MyToken: transfer amount exceeds max transaction limit");
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(launchTime) + 5 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await myToken.currentMaxTxAmount()).to.equal(ethers.parseEther("3000000"));
+      expect(await myToken.currentMaxWalletAmount()).to.equal(ethers.parseEther("6000000"));
+
+      await increaseTime(5 * DAY);
+      expect(await myToken.currentMaxTxAmount()).to.equal(MAX_TX);
+      expect(await myToken.currentMaxWalletAmount()).to.equal(MAX_WALLET);
+    });
+
+    it("Should validate the launch schedule and limit window", async function () {
+      await expect(
+        myToken.setLaunchSchedule(0, 0, 1, 1)
+      ).to.be.revertedWith("MyToken: zero launch duration");
+      await expect(
+        myToken.setLaunchSchedule(0, DAY, 0, 1)
+      ).to.be.revertedWith("MyToken: zero launch limit");
+      await expect(
+        myToken.setLaunchSchedule(0, DAY, MAX_TX + 1n, 1)
+      ).to.be.revertedWith("MyToken: launch limits exceed final limits");
+      await expect(
+        myToken.setLimitWindow(DAY + 1)
+      ).to.be.revertedWith("MyToken: limit window too long");
+      await expect(
+        myToken.connect(addr1).removeLimits()
+      ).to.be.revertedWithCustomError(myToken, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should report how much an address can still receive", async function () {
+      await myToken.setLimitWindow(3600);
+      await alignToWindow(3600);
+
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(MAX_TX);
+
+      await myToken.connect(addr1).transfer(addr2.address, CHUNK);
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(MAX_TX - CHUNK);
+
+      await increaseTime(3600);
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(MAX_TX);
+
+      await myToken.connect(addr1).transfer(addr2.address, CHUNK);
+      await increaseTime(3600);
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(MAX_WALLET - 2n * CHUNK);
+      expect(await myToken.availableToReceive(owner.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should count only the post-tax amount as received", async function () {
+      await myToken.setTaxRates(0, 0, 100); // 1% wallet-to-wallet tax
+      await myToken.setLimitWindow(3600);
+      await alignToWindow(3600);
+
+      await myToken.connect(addr1).transfer(addr2.address, CHUNK);
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(MAX_TX - (CHUNK - CHUNK / 100n));
+    });
+
+    it("Should allow owner to remove limits for good", async function () {
+      await expect(myToken.removeLimits()).to.emit(myToken, "LimitsRemoved");
+
+      expect(await myToken.currentMaxTxAmount()).to.equal(ethers.MaxUint256);
+      await myToken.connect(addr1).transfer(addr2.address, ethers.parseEther("9000000"));
+      expect(await myToken.availableToReceive(addr2.address)).to.equal(ethers.MaxUint256);
+
+      await expect(myToken.removeLimits()).to.be.revertedWith("MyToken: limits already removed");
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PairFactory", function () {
+  let MyToken, PairFactory;
+  let dvt, usdt, factory;
+  let owner, addr1, feeRecipient;
+
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+
+  beforeEach(async function () {
+    [owner, addr1, feeRecipient] = await ethers.getSigners();
+
+    MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", INITIAL_TOKEN_SUPPLY);
+    await dvt.waitForDeployment();
+    usdt = await MyToken.deploy("Tether USD", "USDT", INITIAL_TOKEN_SUPPLY);
+    await usdt.waitForDeployment();
+
+    // Deploy pool deployer libraries and link them into the factory
+    const liquidityPoolDeployer = await (await ethers.getContractFactory("LiquidityPoolDeployer")).deploy();
+    const tokenPairDeployer = await (await ethers.getContractFactory("TokenPairDeployer")).deploy();
+
+    PairFactory = await ethers.getContractFactory("PairFactory", {
+      libraries: {
+        LiquidityPoolDeployer: await liquidityPoolDeployer.getAddress(),
+        TokenPairDeployer: await tokenPairDeployer.getAddress()
+      }
+    });
+    factory = await PairFactory.deploy(feeRecipient.address);
+    await factory.waitForDeployment();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the fee recipient", async function () {
+      expect(await factory.feeRecipient()).to.equal(feeRecipient.address);
+      expect(await factory.allPairsLength()).to.equal(0);
+    });
+  });
+
+  describe("Pair Creation", function () {
+    it("Should create an ERC20/BNB pool", async function () {
+      await expect(
+        factory.createPair(await dvt.getAddress(), ethers.ZeroAddress)
+      ).to.emit(factory, "PairCreated");
+
+      const poolAddress = await factory.getPair(await dvt.getAddress(), ethers.ZeroAddress);
+      expect(await factory.getPair(ethers.ZeroAddress, await dvt.getAddress())).to.equal(poolAddress);
+      expect(await factory.isPair(poolAddress)).to.be.true;
+      expect(await factory.allPairs(0)).to.equal(poolAddress);
+
+      const pool = await ethers.getContractAt("LiquidityPool", poolAddress);
+      expect(await pool.token()).to.equal(await dvt.getAddress());
+      expect(await pool.feeRecipient()).to.equal(feeRecipient.address);
+      expect(await pool.owner()).to.equal(owner.address);
+      expect(await pool.name()).to.equal("DVT-BNB LP");
+      expect(await pool.symbol()).to.equal("DVT-LP");
+    });
+
+    it("Should create an ERC20/ERC20 pair with sorted tokens", async function () {
+      await factory.createPair(await usdt.getAddress(), await dvt.getAddress());
+
+      const pairAddress = await factory.getPair(await dvt.getAddress(), await usdt.getAddress());
+      const pair = await ethers.getContractAt("TokenPair", pairAddress);
+      const [token0, token1] = await factory.sortTokens(await dvt.getAddress(), await usdt.getAddress());
+
+      expect(await pair.token0()).to.equal(token0);
+      expect(await pair.token1()).to.equal(token1);
+      expect(await pair.owner()).to.equal(owner.address);
+    });
+
+    it("Should not allow duplicate pairs", async function () {
+      await factory.createPair(await dvt.getAddress(), ethers.ZeroAddress);
+
+      await expect(
+        factory.createPair(ethers.ZeroAddress, await dvt.getAddress())
+      ).to.be.revertedWith("PairFactory: pair exists");
+    });
+
+    it("Should not allow identical tokens", async function () {
+      await expect(
+        factory.createPair(await dvt.getAddress(), await dvt.getAddress())
+      ).to.be.revertedWith("PairFactory: identical addresses");
+    });
+
+    it("Should not allow non-owner to create pairs", async function () {
+      await expect(
+        factory.connect(addr1).createPair(await dvt.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Pool Registration", function () {
+    it("Should register an existing pool", async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const pool = await LiquidityPool.deploy(await dvt.getAddress(), feeRecipient.address);
+      await pool.waitForDeployment();
+
+      await expect(
+        factory.registerPool(await pool.getAddress())
+      ).to.emit(factory, "PairRegistered")
+      .withArgs(ethers.ZeroAddress, await dvt.getAddress(), await pool.getAddress(), 1);
+
+      expect(await factory.getPair(await dvt.getAddress(), ethers.ZeroAddress)).to.equal(await pool.getAddress());
+    });
+
+    it("Should not register a pool for an existing pair", async function () {
+      await factory.createPair(await dvt.getAddress(), ethers.ZeroAddress);
+
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      const pool = await LiquidityPool.deploy(await dvt.getAddress(), feeRecipient.address);
+      await pool.waitForDeployment();
+
+      await expect(
+        factory.registerPool(await pool.getAddress())
+      ).to.be.revertedWith("PairFactory: pair exists");
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should allow owner to update fee recipient", async function () {
+      await expect(factory.setFeeRecipient(addr1.address))
+        .to.emit(factory, "FeeRecipientUpdated")
+        .withArgs(addr1.address);
+
+      await factory.createPair(await dvt.getAddress(), ethers.ZeroAddress);
+      const pool = await ethers.getContractAt(
+        "LiquidityPool",
+        await factory.getPair(await dvt.getAddress(), ethers.ZeroAddress)
+      );
+      expect(await pool.feeRecipient()).to.equal(addr1.address);
+    });
+  });
+});
\ No newline at end of file
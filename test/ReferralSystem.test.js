@@ -569,4 +569,336 @@ describe("ReferralSystem", function () {
       }
     });
   });
-});
+
+  describe("MasterChef Integration", function () {
+    let liquidityPool, chef, chefReferralSystem;
+
+    beforeEach(async function () {
+      const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+      liquidityPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+      await liquidityPool.waitForDeployment();
+
+      MasterChef = await ethers.getContractFactory("MasterChef");
+      chef = await MasterChef.deploy(
+        await dvt.getAddress(),
+        owner.address,
+        owner.address,
+        ethers.parseEther("10"),
+        0
+      );
+      await chef.waitForDeployment();
+
+      chefReferralSystem = await ReferralSystem.deploy(
+        await dvt.getAddress(),
+        await chef.getAddress()
+      );
+      await chefReferralSystem.waitForDeployment();
+
+      await dvt.addMinter(await chef.getAddress());
+      await dvt.addMinter(await chefReferralSystem.getAddress());
+      await chef.setReferralSystem(await chefReferralSystem.getAddress());
+      await chef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+
+      // Provide liquidity and hand LP tokens to the staker
+      await dvt.approve(await liquidityPool.getAddress(), ethers.parseEther("100000"));
+      const currentBlock = await ethers.provider.getBlock("latest");
+      await liquidityPool.addLiquidity(
+        ethers.parseEther("100000"),
+        ethers.parseEther("100000"),
+        ethers.parseEther("100"),
+        owner.address,
+        currentBlock.timestamp + 3600,
+        { value: ethers.parseEther("100") }
+      );
+      await liquidityPool.transfer(addr3.address, ethers.parseEther("10"));
+      await liquidityPool.connect(addr3).approve(await chef.getAddress(), ethers.parseEther("10"));
+
+      // Existing chain: addr1 -> addr2
+      await chefReferralSystem.registerReferral(addr2.address, addr1.address);
+    });
+
+    it("Should have MasterChef as operator", async function () {
+      expect(await chefReferralSystem.operators(await chef.getAddress())).to.be.true;
+    });
+
+    it("Should register referral and pay multi-level commissions through MasterChef", async function () {
+      await expect(
+        chef.connect(addr3)["deposit(uint256,uint256,address)"](0, ethers.parseEther("10"), addr2.address)
+      ).to.emit(chefReferralSystem, "UserReferred")
+      .withArgs(addr3.address, addr2.address, 2);
+
+      await ethers.provider.send("hardhat_mine", ["0x100"]);
+
+      const addr1BalanceBefore = await dvt.balanceOf(addr1.address);
+      const addr2BalanceBefore = await dvt.balanceOf(addr2.address);
+
+      await chef.connect(addr3).harvest(0);
+
+      const addr1Commission = (await dvt.balanceOf(addr1.address)) - addr1BalanceBefore;
+      const addr2Commission = (await dvt.balanceOf(addr2.address)) - addr2BalanceBefore;
+
+      expect(addr2Commission).to.be.gt(0);
+      expect(addr1Commission).to.be.gt(0);
+      expect(addr2Commission).to.be.gt(addr1Commission);
+      expect(await chefReferralSystem.totalCommissionsPaid()).to.equal(addr1Commission + addr2Commission);
+    });
+  });
+
+  describe("Signed Invites", function () {
+    // `referrer` defaults to the signer; pass a contract wallet address for ERC-1271 invites
+    async function signInvite(signer, referee, deadline, referrer = signer.address) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "DVT Referral",
+        version: "1",
+        chainId,
+        verifyingContract: await referralSystem.getAddress()
+      };
+      const types = {
+        Invite: [
+          { name: "referrer", type: "address" },
+          { name: "referee", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        referrer,
+        referee,
+        nonce: await referralSystem.nonces(referrer),
+        deadline
+      };
+      return signer.signTypedData(domain, types, message);
+    }
+
+    async function inviteDeadline() {
+      return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    }
+
+    it("Should let a user register with an invite signed for them", async function () {
+      const deadline = await inviteDeadline();
+      const signature = await signInvite(addr1, addr2.address, deadline);
+
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(addr1.address, addr2.address, deadline, signature)
+      ).to.emit(referralSystem, "UserReferred")
+      .withArgs(addr2.address, addr1.address, 1);
+
+      expect((await referralSystem.referralInfo(addr2.address)).referrer).to.equal(addr1.address);
+    });
+
+    it("Should let anyone use an open invite link", async function () {
+      await referralSystem.setReferralCooldown(0);
+      const deadline = await inviteDeadline();
+      const signature = await signInvite(addr1, ethers.ZeroAddress, deadline);
+
+      await referralSystem.connect(addr2).registerWithInvite(addr1.address, ethers.ZeroAddress, deadline, signature);
+      await referralSystem.connect(addr3).registerWithInvite(addr1.address, ethers.ZeroAddress, deadline, signature);
+
+      expect(await referralSystem.getReferredUsers(addr1.address)).to.deep.equal([addr2.address, addr3.address]);
+    });
+
+    it("Should reject invites for another user, forged or expired", async function () {
+      const deadline = await inviteDeadline();
+      const invite = await signInvite(addr1, addr2.address, deadline);
+
+      await expect(
+        referralSystem.connect(addr3).registerWithInvite(addr1.address, addr2.address, deadline, invite)
+      ).to.be.revertedWith("ReferralSystem: invite is for another user");
+
+      const forged = await signInvite(addr3, addr2.address, deadline);
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(addr1.address, addr2.address, deadline, forged)
+      ).to.be.revertedWith("ReferralSystem: invalid invite signature");
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine");
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(addr1.address, addr2.address, deadline, invite)
+      ).to.be.revertedWith("ReferralSystem: invite expired");
+    });
+
+    it("Should accept invites signed by a contract wallet", async function () {
+      const ERC1271WalletMock = await ethers.getContractFactory("ERC1271WalletMock");
+      const wallet = await ERC1271WalletMock.deploy(addr1.address);
+      const walletAddress = await wallet.getAddress();
+      const deadline = await inviteDeadline();
+
+      const forged = await signInvite(addr3, addr2.address, deadline, walletAddress);
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(walletAddress, addr2.address, deadline, forged)
+      ).to.be.revertedWith("ReferralSystem: invalid invite signature");
+
+      const signature = await signInvite(addr1, addr2.address, deadline, walletAddress);
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(walletAddress, addr2.address, deadline, signature)
+      ).to.emit(referralSystem, "UserReferred")
+      .withArgs(addr2.address, walletAddress, 1);
+    });
+
+    it("Should invalidate outstanding invites when the referrer revokes them", async function () {
+      const deadline = await inviteDeadline();
+      const signature = await signInvite(addr1, ethers.ZeroAddress, deadline);
+
+      await expect(referralSystem.connect(addr1).revokeInvites())
+        .to.emit(referralSystem, "InvitesRevoked")
+        .withArgs(addr1.address, 1);
+
+      await expect(
+        referralSystem.connect(addr2).registerWithInvite(addr1.address, ethers.ZeroAddress, deadline, signature)
+      ).to.be.revertedWith("ReferralSystem: invalid invite signature");
+    });
+
+    it("Should still enforce cooldown and circular-reference checks", async function () {
+      const deadline = await inviteDeadline();
+
+      // addr1 -> addr2, then addr2 tries to invite addr1 back
+      const first = await signInvite(addr1, ethers.ZeroAddress, deadline);
+      await referralSystem.connect(addr2).registerWithInvite(addr1.address, ethers.ZeroAddress, deadline, first);
+
+      await expect(
+        referralSystem.connect(addr3).registerWithInvite(addr1.address, ethers.ZeroAddress, deadline, first)
+      ).to.be.revertedWith("ReferralSystem: referral cooldown");
+
+      const back = await signInvite(addr2, addr1.address, deadline);
+      await expect(
+        referralSystem.connect(addr1).registerWithInvite(addr2.address, addr1.address, deadline, back)
+      ).to.be.revertedWith("ReferralSystem: circular reference");
+    });
+  });
+
+  describe("Referral Codes", function () {
+    const ALICE = ethers.encodeBytes32String("alice");
+    const BOB = ethers.encodeBytes32String("bob-42");
+
+    it("Should let a referrer claim a code and resolve it", async function () {
+      await expect(referralSystem.connect(addr1).claimCode(ALICE))
+        .to.emit(referralSystem, "CodeClaimed")
+        .withArgs(ALICE, addr1.address);
+
+      expect(await referralSystem.resolveCode(ALICE)).to.equal(addr1.address);
+      expect(await referralSystem.referralCode(addr1.address)).to.equal(ALICE);
+    });
+
+    it("Should register users by code", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+
+      await expect(referralSystem.connect(addr2).registerWithCode(ALICE, addr1.address))
+        .to.emit(referralSystem, "UserReferred")
+        .withArgs(addr2.address, addr1.address, 1);
+
+      await expect(
+        referralSystem.connect(addr3).registerWithCode(BOB, addr1.address)
+      ).to.be.revertedWith("ReferralSystem: unknown code");
+    });
+
+    it("Should reject a code whose holder changed after it was resolved", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+      const resolved = await referralSystem.resolveCode(ALICE);
+
+      // The holder moves the code before the registration lands
+      await referralSystem.connect(addr1).transferCode(addr3.address);
+
+      await expect(
+        referralSystem.connect(addr2).registerWithCode(ALICE, resolved)
+      ).to.be.revertedWith("ReferralSystem: code holder changed");
+      expect((await referralSystem.referralInfo(addr2.address)).referrer).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should keep codes unique and one per referrer", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+
+      await expect(
+        referralSystem.connect(addr2).claimCode(ALICE)
+      ).to.be.revertedWith("ReferralSystem: code taken");
+      await expect(
+        referralSystem.connect(addr1).claimCode(BOB)
+      ).to.be.revertedWith("ReferralSystem: already has a code");
+    });
+
+    it("Should only accept short lowercase codes", async function () {
+      expect(await referralSystem.isValidCode(ALICE)).to.be.true;
+      expect(await referralSystem.isValidCode(BOB)).to.be.true;
+      expect(await referralSystem.isValidCode(ethers.encodeBytes32String("Alice"))).to.be.false;
+      expect(await referralSystem.isValidCode(ethers.encodeBytes32String("al"))).to.be.false;
+      expect(await referralSystem.isValidCode(ethers.encodeBytes32String("a b c"))).to.be.false;
+      expect(await referralSystem.isValidCode(ethers.ZeroHash)).to.be.false;
+      expect(await referralSystem.isValidCode(ethers.zeroPadValue("0x616263", 32))).to.be.false; // right-aligned
+
+      await expect(
+        referralSystem.connect(addr1).claimCode(ethers.encodeBytes32String("Alice"))
+      ).to.be.revertedWith("ReferralSystem: invalid code");
+    });
+
+    it("Should let a holder transfer or release their code", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+
+      await expect(referralSystem.connect(addr1).transferCode(addr2.address))
+        .to.emit(referralSystem, "CodeTransferred")
+        .withArgs(ALICE, addr1.address, addr2.address);
+      expect(await referralSystem.resolveCode(ALICE)).to.equal(addr2.address);
+      expect(await referralSystem.referralCode(addr1.address)).to.equal(ethers.ZeroHash);
+
+      await expect(referralSystem.connect(addr2).releaseCode())
+        .to.emit(referralSystem, "CodeReleased")
+        .withArgs(ALICE, addr2.address);
+      expect(await referralSystem.resolveCode(ALICE)).to.equal(ethers.ZeroAddress);
+
+      await referralSystem.connect(addr3).claimCode(ALICE);
+      expect(await referralSystem.resolveCode(ALICE)).to.equal(addr3.address);
+
+      await expect(
+        referralSystem.connect(addr1).releaseCode()
+      ).to.be.revertedWith("ReferralSystem: no code");
+    });
+
+    it("Should not transfer a code to someone who already has one", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+      await referralSystem.connect(addr2).claimCode(BOB);
+
+      await expect(
+        referralSystem.connect(addr1).transferCode(addr2.address)
+      ).to.be.revertedWith("ReferralSystem: already has a code");
+      await expect(
+        referralSystem.connect(addr1).transferCode(ethers.ZeroAddress)
+      ).to.be.revertedWith("ReferralSystem: invalid recipient");
+    });
+
+    it("Should let owner reserve codes for an address", async function () {
+      await expect(referralSystem.reserveCode(ALICE, addr1.address))
+        .to.emit(referralSystem, "CodeReserved")
+        .withArgs(ALICE, addr1.address);
+
+      await expect(
+        referralSystem.connect(addr2).claimCode(ALICE)
+      ).to.be.revertedWith("ReferralSystem: code reserved");
+
+      await referralSystem.connect(addr1).claimCode(ALICE);
+      expect(await referralSystem.reservedCodes(ALICE)).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        referralSystem.reserveCode(ALICE, addr2.address)
+      ).to.be.revertedWith("ReferralSystem: code taken");
+      await expect(
+        referralSystem.connect(addr1).reserveCode(BOB, addr1.address)
+      ).to.be.revertedWithCustomError(referralSystem, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should let owner block codes, taking claimed ones back", async function () {
+      await referralSystem.connect(addr1).claimCode(ALICE);
+
+      await expect(referralSystem.setCodeBlocked(ALICE, true))
+        .to.emit(referralSystem, "CodeReleased")
+        .withArgs(ALICE, addr1.address);
+      expect(await referralSystem.resolveCode(ALICE)).to.equal(ethers.ZeroAddress);
+      expect(await referralSystem.referralCode(addr1.address)).to.equal(ethers.ZeroHash);
+
+      await expect(
+        referralSystem.connect(addr2).claimCode(ALICE)
+      ).to.be.revertedWith("ReferralSystem: code blocked");
+
+      await referralSystem.setCodeBlocked(ALICE, false);
+      await referralSystem.connect(addr2).claimCode(ALICE);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SimpleRewarder", function () {
+  let dvt, partnerToken, liquidityPool, masterChef, rewarder;
+  let owner, addr1, addr2;
+
+  const REWARD_PER_SECOND = ethers.parseEther("1");
+  const DEPOSIT = ethers.parseEther("10");
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+    partnerToken = await MyToken.deploy("Partner Token", "PRT", ethers.parseEther("1000000"));
+    await partnerToken.waitForDeployment();
+
+    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    liquidityPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+    await liquidityPool.waitForDeployment();
+
+    await dvt.approve(await liquidityPool.getAddress(), ethers.parseEther("10000"));
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await liquidityPool.addLiquidity(
+      ethers.parseEther("10000"),
+      0,
+      0,
+      owner.address,
+      deadline,
+      { value: ethers.parseEther("10") }
+    );
+
+    const MasterChef = await ethers.getContractFactory("MasterChef");
+    masterChef = await MasterChef.deploy(
+      await dvt.getAddress(),
+      owner.address,
+      owner.address,
+      ethers.parseEther("1"),
+      0
+    );
+    await masterChef.waitForDeployment();
+    await dvt.addMinter(await masterChef.getAddress());
+    await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+
+    const SimpleRewarder = await ethers.getContractFactory("SimpleRewarder");
+    rewarder = await SimpleRewarder.deploy(
+      await partnerToken.getAddress(),
+      await masterChef.getAddress(),
+      0,
+      REWARD_PER_SECOND
+    );
+    await rewarder.waitForDeployment();
+    await masterChef.setRewarder(0, await rewarder.getAddress());
+    await partnerToken.transfer(await rewarder.getAddress(), ethers.parseEther("100000"));
+
+    for (const account of [addr1, addr2]) {
+      await liquidityPool.transfer(account.address, DEPOSIT);
+      await liquidityPool.connect(account).approve(await masterChef.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct initial values", async function () {
+      expect(await rewarder.rewardToken()).to.equal(await partnerToken.getAddress());
+      expect(await rewarder.masterChef()).to.equal(await masterChef.getAddress());
+      expect(await rewarder.poolId()).to.equal(0);
+      expect(await rewarder.rewardPerSecond()).to.equal(REWARD_PER_SECOND);
+    });
+
+    it("Should not allow zero addresses", async function () {
+      const SimpleRewarder = await ethers.getContractFactory("SimpleRewarder");
+
+      await expect(
+        SimpleRewarder.deploy(ethers.ZeroAddress, await masterChef.getAddress(), 0, REWARD_PER_SECOND)
+      ).to.be.revertedWith("SimpleRewarder: invalid reward token");
+
+      await expect(
+        SimpleRewarder.deploy(await partnerToken.getAddress(), ethers.ZeroAddress, 0, REWARD_PER_SECOND)
+      ).to.be.revertedWith("SimpleRewarder: invalid MasterChef address");
+    });
+  });
+
+  describe("Reward Streaming", function () {
+    it("Should only accept hooks from MasterChef", async function () {
+      await expect(
+        rewarder.onDVTReward(0, addr1.address, addr1.address, 0, DEPOSIT)
+      ).to.be.revertedWith("SimpleRewarder: caller is not MasterChef");
+    });
+
+    it("Should track stakes reported by MasterChef", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      expect((await rewarder.userInfo(addr1.address)).amount).to.equal(DEPOSIT);
+      expect(await rewarder.totalShares()).to.equal(DEPOSIT);
+
+      await masterChef.connect(addr1).withdraw(0, DEPOSIT / 2n);
+      expect(await rewarder.totalShares()).to.equal(DEPOSIT / 2n);
+    });
+
+    it("Should stream rewards at the configured rate", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      const start = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await increaseTime(100);
+      await masterChef.connect(addr1).harvest(0);
+      const end = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect(await partnerToken.balanceOf(addr1.address)).to.equal(REWARD_PER_SECOND * BigInt(end - start));
+    });
+
+    it("Should split rewards by stake", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await masterChef.connect(addr2).deposit(0, DEPOSIT);
+
+      await increaseTime(1000);
+
+      const pending1 = await rewarder.pendingReward(addr1.address);
+      const pending2 = await rewarder.pendingReward(addr2.address);
+      expect(pending1).to.be.closeTo(pending2, REWARD_PER_SECOND * 2n);
+    });
+
+    it("Should keep owing rewards when underfunded", async function () {
+      await rewarder.emergencyWithdraw(await partnerToken.getAddress(), ethers.parseEther("100000"));
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+
+      await increaseTime(100);
+      await masterChef.connect(addr1).harvest(0);
+
+      const owed = (await rewarder.userInfo(addr1.address)).unpaidRewards;
+      expect(owed).to.be.gt(0);
+      expect(await partnerToken.balanceOf(addr1.address)).to.equal(0);
+
+      // Top up and collect on the next interaction
+      await partnerToken.transfer(await rewarder.getAddress(), ethers.parseEther("100000"));
+      await masterChef.connect(addr1).deposit(0, 0);
+
+      expect(await partnerToken.balanceOf(addr1.address)).to.be.gt(owed);
+      expect((await rewarder.userInfo(addr1.address)).unpaidRewards).to.equal(0);
+    });
+
+    it("Should report pending tokens only for its pool", async function () {
+      await masterChef.connect(addr1).deposit(0, DEPOSIT);
+      await increaseTime(10);
+
+      const [tokens, amounts] = await rewarder.pendingTokens(0, addr1.address, 0);
+      expect(tokens).to.deep.equal([await partnerToken.getAddress()]);
+      expect(amounts[0]).to.equal(await rewarder.pendingReward(addr1.address));
+
+      const [, otherAmounts] = await rewarder.pendingTokens(1, addr1.address, 0);
+      expect(otherAmounts[0]).to.equal(0);
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should allow owner to update the reward rate", async function () {
+      await expect(rewarder.setRewardPerSecond(ethers.parseEther("2")))
+        .to.emit(rewarder, "RewardRateUpdated")
+        .withArgs(ethers.parseEther("2"));
+
+      await expect(
+        rewarder.connect(addr1).setRewardPerSecond(0)
+      ).to.be.revertedWithCustomError(rewarder, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should allow owner to recover tokens", async function () {
+      const balanceBefore = await partnerToken.balanceOf(owner.address);
+      await rewarder.emergencyWithdraw(await partnerToken.getAddress(), ethers.parseEther("1000"));
+
+      expect(await partnerToken.balanceOf(owner.address)).to.equal(balanceBefore + ethers.parseEther("1000"));
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,234 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SwapRouter", function () {
+  let MyToken, PairFactory, SwapRouter;
+  let dvt, usdt, factory, router, dvtPool, usdtPool, tokenPair;
+  let owner, addr1, feeRecipient;
+
+  const BNB = ethers.ZeroAddress;
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+
+  async function getDeadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, feeRecipient] = await ethers.getSigners();
+
+    MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", INITIAL_TOKEN_SUPPLY);
+    await dvt.waitForDeployment();
+    usdt = await MyToken.deploy("Tether USD", "USDT", INITIAL_TOKEN_SUPPLY);
+    await usdt.waitForDeployment();
+
+    const liquidityPoolDeployer = await (await ethers.getContractFactory("LiquidityPoolDeployer")).deploy();
+    const tokenPairDeployer = await (await ethers.getContractFactory("TokenPairDeployer")).deploy();
+    PairFactory = await ethers.getContractFactory("PairFactory", {
+      libraries: {
+        LiquidityPoolDeployer: await liquidityPoolDeployer.getAddress(),
+        TokenPairDeployer: await tokenPairDeployer.getAddress()
+      }
+    });
+    factory = await PairFactory.deploy(feeRecipient.address);
+    await factory.waitForDeployment();
+
+    SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress());
+    await router.waitForDeployment();
+
+    // Create DVT/BNB, USDT/BNB and DVT/USDT pairs
+    await factory.createPair(await dvt.getAddress(), BNB);
+    await factory.createPair(await usdt.getAddress(), BNB);
+    await factory.createPair(await dvt.getAddress(), await usdt.getAddress());
+    dvtPool = await ethers.getContractAt("LiquidityPool", await factory.getPair(await dvt.getAddress(), BNB));
+    usdtPool = await ethers.getContractAt("LiquidityPool", await factory.getPair(await usdt.getAddress(), BNB));
+    tokenPair = await ethers.getContractAt("TokenPair", await factory.getPair(await dvt.getAddress(), await usdt.getAddress()));
+
+    // 1 BNB = 1000 DVT = 600 USDT (small pools keep test BNB usage low)
+    await dvt.approve(await dvtPool.getAddress(), ethers.parseEther("10000"));
+    await dvtPool.addLiquidity(
+      ethers.parseEther("10000"), 0, 0, owner.address, await getDeadline(),
+      { value: ethers.parseEther("10") }
+    );
+    await usdt.approve(await usdtPool.getAddress(), ethers.parseEther("6000"));
+    await usdtPool.addLiquidity(
+      ethers.parseEther("6000"), 0, 0, owner.address, await getDeadline(),
+      { value: ethers.parseEther("10") }
+    );
+    await dvt.approve(await tokenPair.getAddress(), ethers.parseEther("100000"));
+    await usdt.approve(await tokenPair.getAddress(), ethers.parseEther("60000"));
+    const dvtIsToken0 = (await tokenPair.token0()) === (await dvt.getAddress());
+    await tokenPair.addLiquidity(
+      dvtIsToken0 ? ethers.parseEther("100000") : ethers.parseEther("60000"),
+      dvtIsToken0 ? ethers.parseEther("60000") : ethers.parseEther("100000"),
+      0, 0, owner.address, await getDeadline()
+    );
+
+    // Fund trader
+    await dvt.transfer(addr1.address, ethers.parseEther("10000"));
+    await usdt.transfer(addr1.address, ethers.parseEther("10000"));
+    await dvt.connect(addr1).approve(await router.getAddress(), ethers.parseEther("10000"));
+    await usdt.connect(addr1).approve(await router.getAddress(), ethers.parseEther("10000"));
+  });
+
+  describe("Quoting", function () {
+    it("Should quote a multi-hop path from each pool's quote", async function () {
+      const amountIn = ethers.parseEther("600");
+      const amounts = await router.getAmountsOut(amountIn, [await usdt.getAddress(), BNB, await dvt.getAddress()]);
+
+      const [usdtPoolETH, usdtPoolToken] = await usdtPool.getReserves();
+      const [dvtPoolETH, dvtPoolToken] = await dvtPool.getReserves();
+      const bnbOut = await usdtPool.getAmountOut(amountIn, usdtPoolToken, usdtPoolETH);
+      const dvtOut = await dvtPool.getAmountOut(bnbOut, dvtPoolETH, dvtPoolToken);
+
+      expect(amounts[0]).to.equal(amountIn);
+      expect(amounts[1]).to.equal(bnbOut);
+      expect(amounts[2]).to.equal(dvtOut);
+    });
+
+    it("Should revert for unknown pairs", async function () {
+      await expect(
+        router.getAmountsOut(ethers.parseEther("1"), [await usdt.getAddress(), addr1.address])
+      ).to.be.revertedWith("SwapRouter: PAIR_NOT_FOUND");
+    });
+
+    it("Should revert for paths that are too short", async function () {
+      await expect(
+        router.getAmountsOut(ethers.parseEther("1"), [await usdt.getAddress()])
+      ).to.be.revertedWith("SwapRouter: INVALID_PATH");
+    });
+  });
+
+  describe("Multi-hop Swaps", function () {
+    it("Should swap USDT for DVT through BNB", async function () {
+      const amountIn = ethers.parseEther("600");
+      const path = [await usdt.getAddress(), BNB, await dvt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      const dvtBalanceBefore = await dvt.balanceOf(addr1.address);
+      await router.connect(addr1).swapExactTokensForTokens(amountIn, amounts[2], path, addr1.address, await getDeadline());
+
+      expect(await dvt.balanceOf(addr1.address) - dvtBalanceBefore).to.equal(amounts[2]);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+    });
+
+    it("Should swap DVT for USDT through the token pair", async function () {
+      const amountIn = ethers.parseEther("1000");
+      const path = [await dvt.getAddress(), await usdt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      const usdtBalanceBefore = await usdt.balanceOf(addr1.address);
+      await router.connect(addr1).swapExactTokensForTokens(amountIn, amounts[1], path, addr1.address, await getDeadline());
+
+      expect(await usdt.balanceOf(addr1.address) - usdtBalanceBefore).to.equal(amounts[1]);
+    });
+
+    it("Should swap BNB for USDT through DVT", async function () {
+      const amountIn = ethers.parseEther("1");
+      const path = [BNB, await dvt.getAddress(), await usdt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      const usdtBalanceBefore = await usdt.balanceOf(addr1.address);
+      await router.connect(addr1).swapExactETHForTokens(amounts[2], path, addr1.address, await getDeadline(), { value: amountIn });
+
+      expect(await usdt.balanceOf(addr1.address) - usdtBalanceBefore).to.equal(amounts[2]);
+    });
+
+    it("Should swap DVT for BNB through USDT", async function () {
+      const amountIn = ethers.parseEther("1000");
+      const path = [await dvt.getAddress(), await usdt.getAddress(), BNB];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      const ethBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
+      await router.connect(addr1).swapExactTokensForETH(amountIn, amounts[2], path, feeRecipient.address, await getDeadline());
+
+      expect(await ethers.provider.getBalance(feeRecipient.address) - ethBalanceBefore).to.equal(amounts[2]);
+    });
+
+    it("Should revert if output is below minimum", async function () {
+      const amountIn = ethers.parseEther("600");
+      const path = [await usdt.getAddress(), BNB, await dvt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      await expect(
+        router.connect(addr1).swapExactTokensForTokens(amountIn, amounts[2] + 1n, path, addr1.address, await getDeadline())
+      ).to.be.revertedWith("SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+
+    it("Should revert with expired deadline", async function () {
+      const path = [await usdt.getAddress(), BNB, await dvt.getAddress()];
+
+      await expect(
+        router.connect(addr1).swapExactTokensForTokens(ethers.parseEther("600"), 0, path, addr1.address, 1)
+      ).to.be.revertedWith("SwapRouter: EXPIRED");
+    });
+
+    it("Should revert when path does not match the entry point", async function () {
+      const path = [BNB, await dvt.getAddress()];
+
+      await expect(
+        router.connect(addr1).swapExactTokensForTokens(ethers.parseEther("1"), 0, path, addr1.address, await getDeadline())
+      ).to.be.revertedWith("SwapRouter: INVALID_PATH");
+    });
+  });
+
+  describe("Fee-on-Transfer Tokens", function () {
+    beforeEach(async function () {
+      await dvt.setExemptFromLimits(await dvtPool.getAddress(), true);
+      await dvt.setAmmPair(await dvtPool.getAddress(), true);
+      await dvt.setTaxRates(200, 300, 0); // 2% buy, 3% sell
+    });
+
+    it("Should sell taxed DVT for BNB on the amount the pool receives", async function () {
+      const amountIn = ethers.parseEther("100");
+      const path = [await dvt.getAddress(), BNB];
+
+      await expect(
+        router.connect(addr1).swapExactTokensForETH(amountIn, 0, path, addr1.address, await getDeadline())
+      ).to.be.revertedWith("LiquidityPool: K");
+
+      const amounts = await router.getAmountsOut(amountIn - (amountIn * 300n) / 10000n, path);
+      const ethBalanceBefore = await ethers.provider.getBalance(feeRecipient.address);
+      await router.connect(addr1).swapExactTokensForETHSupportingFeeOnTransferTokens(
+        amountIn, amounts[1], path, feeRecipient.address, await getDeadline()
+      );
+
+      expect(await ethers.provider.getBalance(feeRecipient.address) - ethBalanceBefore).to.equal(amounts[1]);
+    });
+
+    it("Should check taxed DVT buys against what the recipient receives", async function () {
+      const amountIn = ethers.parseEther("1");
+      const path = [BNB, await dvt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+      const received = amounts[1] - (amounts[1] * 200n) / 10000n;
+
+      await expect(
+        router.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+          received + 1n, path, addr1.address, await getDeadline(), { value: amountIn }
+        )
+      ).to.be.revertedWith("SwapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+
+      const dvtBalanceBefore = await dvt.balanceOf(addr1.address);
+      await router.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+        received, path, addr1.address, await getDeadline(), { value: amountIn }
+      );
+      expect(await dvt.balanceOf(addr1.address) - dvtBalanceBefore).to.equal(received);
+    });
+
+    it("Should route taxed DVT through several hops", async function () {
+      const amountIn = ethers.parseEther("600");
+      const path = [await usdt.getAddress(), BNB, await dvt.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+      const received = amounts[2] - (amounts[2] * 200n) / 10000n;
+
+      const dvtBalanceBefore = await dvt.balanceOf(addr1.address);
+      await router.connect(addr1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn, received, path, addr1.address, await getDeadline()
+      );
+
+      expect(await dvt.balanceOf(addr1.address) - dvtBalanceBefore).to.equal(received);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+    });
+  });
+});
\ No newline at end of file
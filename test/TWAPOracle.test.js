@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TWAPOracle", function () {
+  let MyToken, LiquidityPool, TWAPOracle;
+  let myToken, liquidityPool, oracle;
+  let owner, addr1, feeRecipient;
+
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_ETH_LIQUIDITY = ethers.parseEther("10");
+  const INITIAL_TOKEN_LIQUIDITY = ethers.parseEther("10000");
+  const PERIOD = 3600; // 1 hour
+
+  beforeEach(async function () {
+    [owner, addr1, feeRecipient] = await ethers.getSigners();
+
+    MyToken = await ethers.getContractFactory("MyToken");
+    myToken = await MyToken.deploy("DeFiVault Token", "DVT", INITIAL_TOKEN_SUPPLY);
+    await myToken.waitForDeployment();
+
+    LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    liquidityPool = await LiquidityPool.deploy(await myToken.getAddress(), feeRecipient.address);
+    await liquidityPool.waitForDeployment();
+
+    TWAPOracle = await ethers.getContractFactory("TWAPOracle");
+    oracle = await TWAPOracle.deploy(await liquidityPool.getAddress(), PERIOD);
+    await oracle.waitForDeployment();
+
+    await myToken.approve(await liquidityPool.getAddress(), INITIAL_TOKEN_LIQUIDITY);
+    const currentBlock = await ethers.provider.getBlock("latest");
+    await liquidityPool.addLiquidity(
+      INITIAL_TOKEN_LIQUIDITY,
+      INITIAL_TOKEN_LIQUIDITY,
+      INITIAL_ETH_LIQUIDITY,
+      owner.address,
+      currentBlock.timestamp + 3600,
+      { value: INITIAL_ETH_LIQUIDITY }
+    );
+  });
+
+  describe("Deployment", function () {
+    it("Should set the pool and period", async function () {
+      expect(await oracle.pool()).to.equal(await liquidityPool.getAddress());
+      expect(await oracle.period()).to.equal(PERIOD);
+    });
+
+    it("Should not allow a period outside bounds", async function () {
+      await expect(
+        TWAPOracle.deploy(await liquidityPool.getAddress(), 60)
+      ).to.be.revertedWith("TWAPOracle: invalid period");
+    });
+  });
+
+  describe("Price Reads", function () {
+    beforeEach(async function () {
+      await ethers.provider.send("evm_increaseTime", [PERIOD]);
+      await ethers.provider.send("evm_mine");
+    });
+
+    it("Should return time-weighted prices", async function () {
+      expect(await oracle.getETHPrice()).to.equal(ethers.parseEther("1000")); // 1000 DVT per BNB
+      expect(await oracle.getTokenPrice()).to.equal(ethers.parseEther("0.001")); // 0.001 BNB per DVT
+    });
+
+    it("Should convert amounts at the time-weighted price", async function () {
+      expect(await oracle.tokenToETH(ethers.parseEther("5000"))).to.equal(ethers.parseEther("5"));
+      expect(await oracle.ethToToken(ethers.parseEther("2"))).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should revert when the pool lacks history for the period", async function () {
+      await oracle.setPeriod(6 * 3600);
+
+      await expect(oracle.getTokenPrice()).to.be.revertedWith("LiquidityPool: INSUFFICIENT_HISTORY");
+    });
+  });
+
+  describe("Admin Functions", function () {
+    it("Should allow owner to update period", async function () {
+      await expect(oracle.setPeriod(7200))
+        .to.emit(oracle, "PeriodUpdated")
+        .withArgs(7200);
+
+      expect(await oracle.period()).to.equal(7200);
+    });
+
+    it("Should not allow non-owner to update period", async function () {
+      await expect(
+        oracle.connect(addr1).setPeriod(7200)
+      ).to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TokenPair", function () {
+  let MyToken, TokenPair;
+  let tokenA, tokenB, token0, token1, pair;
+  let owner, addr1, feeRecipient;
+
+  const INITIAL_TOKEN_SUPPLY = ethers.parseEther("1000000");
+  const INITIAL_LIQUIDITY_0 = ethers.parseEther("100000");
+  const INITIAL_LIQUIDITY_1 = ethers.parseEther("50000");
+
+  async function getDeadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, feeRecipient] = await ethers.getSigners();
+
+    MyToken = await ethers.getContractFactory("MyToken");
+    tokenA = await MyToken.deploy("DeFiVault Token", "DVT", INITIAL_TOKEN_SUPPLY);
+    await tokenA.waitForDeployment();
+    tokenB = await MyToken.deploy("Tether USD", "USDT", INITIAL_TOKEN_SUPPLY);
+    await tokenB.waitForDeployment();
+
+    // TokenPair expects sorted tokens
+    [token0, token1] = (await tokenA.getAddress()).toLowerCase() < (await tokenB.getAddress()).toLowerCase()
+      ? [tokenA, tokenB]
+      : [tokenB, tokenA];
+
+    TokenPair = await ethers.getContractFactory("TokenPair");
+    pair = await TokenPair.deploy(await token0.getAddress(), await token1.getAddress(), feeRecipient.address);
+    await pair.waitForDeployment();
+
+    await token0.approve(await pair.getAddress(), INITIAL_TOKEN_SUPPLY);
+    await token1.approve(await pair.getAddress(), INITIAL_TOKEN_SUPPLY);
+  });
+
+  describe("Deployment", function () {
+    it("Should set tokens and fee recipient", async function () {
+      expect(await pair.token0()).to.equal(await token0.getAddress());
+      expect(await pair.token1()).to.equal(await token1.getAddress());
+      expect(await pair.feeRecipient()).to.equal(feeRecipient.address);
+    });
+
+    it("Should name the LP token after both tokens", async function () {
+      const symbol0 = await token0.symbol();
+      const symbol1 = await token1.symbol();
+      expect(await pair.name()).to.equal(`${symbol0}-${symbol1} LP`);
+      expect(await pair.symbol()).to.equal(`${symbol0}-${symbol1}-LP`);
+    });
+
+    it("Should require sorted tokens", async function () {
+      await expect(
+        TokenPair.deploy(await token1.getAddress(), await token0.getAddress(), feeRecipient.address)
+      ).to.be.revertedWith("TokenPair: tokens not sorted");
+    });
+  });
+
+  describe("Liquidity", function () {
+    it("Should add initial liquidity", async function () {
+      await expect(
+        pair.addLiquidity(INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1, 0, 0, owner.address, await getDeadline())
+      ).to.emit(pair, "Mint");
+
+      const [reserve0, reserve1] = await pair.getReserves();
+      expect(reserve0).to.equal(INITIAL_LIQUIDITY_0);
+      expect(reserve1).to.equal(INITIAL_LIQUIDITY_1);
+      expect(await pair.balanceOf(owner.address)).to.be.gt(0);
+    });
+
+    it("Should add proportional liquidity after initial", async function () {
+      await pair.addLiquidity(INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1, 0, 0, owner.address, await getDeadline());
+
+      await pair.addLiquidity(
+        ethers.parseEther("1000"),
+        ethers.parseEther("1000"), // More than needed
+        0,
+        0,
+        addr1.address,
+        await getDeadline()
+      );
+
+      const [reserve0, reserve1] = await pair.getReserves();
+      expect(reserve0).to.equal(INITIAL_LIQUIDITY_0 + ethers.parseEther("1000"));
+      expect(reserve1).to.equal(INITIAL_LIQUIDITY_1 + ethers.parseEther("500"));
+    });
+
+    it("Should remove liquidity", async function () {
+      await pair.addLiquidity(INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1, 0, 0, owner.address, await getDeadline());
+      const lpBalance = await pair.balanceOf(owner.address);
+
+      await expect(
+        pair.removeLiquidity(lpBalance / 2n, 0, 0, addr1.address, await getDeadline())
+      ).to.emit(pair, "Burn");
+
+      expect(await token0.balanceOf(addr1.address)).to.be.closeTo(INITIAL_LIQUIDITY_0 / 2n, ethers.parseEther("1"));
+      expect(await token1.balanceOf(addr1.address)).to.be.closeTo(INITIAL_LIQUIDITY_1 / 2n, ethers.parseEther("1"));
+    });
+
+    it("Should revert with expired deadline", async function () {
+      await expect(
+        pair.addLiquidity(INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1, 0, 0, owner.address, 1)
+      ).to.be.revertedWith("TokenPair: EXPIRED");
+    });
+  });
+
+  describe("Swapping", function () {
+    beforeEach(async function () {
+      await pair.addLiquidity(INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1, 0, 0, owner.address, await getDeadline());
+    });
+
+    it("Should swap token0 for token1", async function () {
+      const amountIn = ethers.parseEther("1000");
+      const amountOut = await pair.getAmountOut(amountIn, INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1);
+
+      await token0.transfer(await pair.getAddress(), amountIn);
+      await expect(
+        pair.swap(0, amountOut, addr1.address)
+      ).to.emit(pair, "Swap")
+      .withArgs(owner.address, amountIn, 0, 0, amountOut, addr1.address);
+
+      expect(await token1.balanceOf(addr1.address)).to.equal(amountOut);
+    });
+
+    it("Should revert when output breaks the constant product", async function () {
+      const amountIn = ethers.parseEther("1000");
+      const amountOut = await pair.getAmountOut(amountIn, INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1);
+
+      await token0.transfer(await pair.getAddress(), amountIn);
+      await expect(
+        pair.swap(0, amountOut + 1n, addr1.address)
+      ).to.be.revertedWith("TokenPair: K");
+    });
+
+    it("Should revert without input", async function () {
+      await expect(
+        pair.swap(0, ethers.parseEther("1"), addr1.address)
+      ).to.be.revertedWith("TokenPair: INSUFFICIENT_INPUT_AMOUNT");
+    });
+
+    it("Should accrue protocol fees from swaps", async function () {
+      const amountIn = ethers.parseEther("1000");
+      const amountOut = await pair.getAmountOut(amountIn, INITIAL_LIQUIDITY_0, INITIAL_LIQUIDITY_1);
+      await token0.transfer(await pair.getAddress(), amountIn);
+      await pair.swap(0, amountOut, addr1.address);
+
+      const pending = await pair.pendingProtocolFees();
+      expect(pending).to.be.gt(0);
+
+      await pair.removeLiquidity(ethers.parseEther("1"), 0, 0, owner.address, await getDeadline());
+      expect(await pair.balanceOf(feeRecipient.address)).to.equal(pending);
+    });
+  });
+
+  describe("Fee Management", function () {
+    it("Should allow owner to update swap fee", async function () {
+      await expect(pair.setSwapFee(50))
+        .to.emit(pair, "SwapFeeUpdated")
+        .withArgs(50);
+    });
+
+    it("Should not allow non-owner to update swap fee", async function () {
+      await expect(
+        pair.connect(addr1).setSwapFee(50)
+      ).to.be.revertedWithCustomError(pair, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TokenVesting", function () {
+  let dvt, vesting;
+  let owner, team, investor, addr3;
+  let snapshotId;
+
+  const DAY = 24 * 3600;
+  const YEAR = 365 * DAY;
+  const GRANT_AMOUNT = ethers.parseEther("120000");
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  // Multi-year schedules move the chain clock; restore it for other suites
+  before(async function () {
+    snapshotId = await ethers.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshotId]);
+  });
+
+  beforeEach(async function () {
+    [owner, team, investor, addr3] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+
+    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    vesting = await TokenVesting.deploy(await dvt.getAddress());
+    await vesting.waitForDeployment();
+
+    await dvt.setExemptFromLimits(await vesting.getAddress(), true);
+    await dvt.approve(await vesting.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Deployment", function () {
+    it("Should set token and owner", async function () {
+      expect(await vesting.token()).to.equal(await dvt.getAddress());
+      expect(await vesting.owner()).to.equal(owner.address);
+      expect(await vesting.grantCount()).to.equal(0);
+    });
+
+    it("Should reject zero token address", async function () {
+      const TokenVesting = await ethers.getContractFactory("TokenVesting");
+      await expect(
+        TokenVesting.deploy(ethers.ZeroAddress)
+      ).to.be.revertedWith("TokenVesting: invalid token address");
+    });
+  });
+
+  describe("Grants", function () {
+    it("Should create a grant funded by the owner", async function () {
+      const start = (await latestTimestamp()) + 100;
+
+      await expect(vesting.createGrant(team.address, GRANT_AMOUNT, start, YEAR, 3 * YEAR, true))
+        .to.emit(vesting, "GrantCreated")
+        .withArgs(0, team.address, GRANT_AMOUNT, start, YEAR, 3 * YEAR, true);
+
+      const grant = await vesting.grants(0);
+      expect(grant.beneficiary).to.equal(team.address);
+      expect(grant.amount).to.equal(GRANT_AMOUNT);
+      expect(await dvt.balanceOf(await vesting.getAddress())).to.equal(GRANT_AMOUNT);
+      expect(await vesting.totalLocked()).to.equal(GRANT_AMOUNT);
+      expect(await vesting.getGrantIds(team.address)).to.deep.equal([0n]);
+    });
+
+    it("Should start a grant at creation when start is 0", async function () {
+      await vesting.createGrant(team.address, GRANT_AMOUNT, 0, 0, YEAR, false);
+
+      expect((await vesting.grants(0)).start).to.equal(await latestTimestamp());
+    });
+
+    it("Should create several grants in one transaction", async function () {
+      await vesting.createGrants(
+        [team.address, investor.address],
+        [GRANT_AMOUNT, ethers.parseEther("50000")],
+        0,
+        [YEAR, 180 * DAY],
+        [3 * YEAR, 2 * YEAR],
+        [true, false]
+      );
+
+      expect(await vesting.grantCount()).to.equal(2);
+      expect((await vesting.grants(1)).beneficiary).to.equal(investor.address);
+      expect((await vesting.grants(1)).revocable).to.be.false;
+      expect(await vesting.totalLocked()).to.equal(GRANT_AMOUNT + ethers.parseEther("50000"));
+    });
+
+    it("Should reject invalid grants", async function () {
+      await expect(
+        vesting.createGrant(ethers.ZeroAddress, GRANT_AMOUNT, 0, 0, YEAR, false)
+      ).to.be.revertedWith("TokenVesting: invalid beneficiary");
+      await expect(
+        vesting.createGrant(team.address, 0, 0, 0, YEAR, false)
+      ).to.be.revertedWith("TokenVesting: zero amount");
+      await expect(
+        vesting.createGrant(team.address, GRANT_AMOUNT, 0, 0, 0, false)
+      ).to.be.revertedWith("TokenVesting: zero duration");
+      await expect(
+        vesting.createGrant(team.address, GRANT_AMOUNT, 0, 2 * YEAR, YEAR, false)
+      ).to.be.revertedWith("TokenVesting: cliff exceeds duration");
+      await expect(
+        vesting.createGrants([team.address], [GRANT_AMOUNT, GRANT_AMOUNT], 0, [0], [YEAR], [false])
+      ).to.be.revertedWith("TokenVesting: length mismatch");
+    });
+
+    it("Should only allow owner to create grants", async function () {
+      await expect(
+        vesting.connect(team).createGrant(team.address, GRANT_AMOUNT, 0, 0, YEAR, false)
+      ).to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Release", function () {
+    let start;
+
+    beforeEach(async function () {
+      start = (await latestTimestamp()) + 10;
+      await vesting.createGrant(team.address, GRANT_AMOUNT, start, YEAR, 4 * YEAR, true);
+    });
+
+    it("Should vest nothing before the cliff", async function () {
+      await increaseTo(start + YEAR - 10);
+
+      expect(await vesting.releasable(0)).to.equal(0);
+      await expect(vesting.release(0)).to.be.revertedWith("TokenVesting: nothing to release");
+    });
+
+    it("Should vest linearly after the cliff", async function () {
+      expect(await vesting.vestedAmount(0, start + YEAR)).to.equal(GRANT_AMOUNT / 4n);
+      expect(await vesting.vestedAmount(0, start + 2 * YEAR)).to.equal(GRANT_AMOUNT / 2n);
+      expect(await vesting.vestedAmount(0, start + 4 * YEAR)).to.equal(GRANT_AMOUNT);
+      expect(await vesting.vestedAmount(0, start + 10 * YEAR)).to.equal(GRANT_AMOUNT);
+    });
+
+    it("Should release vested tokens to the beneficiary", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + 2 * YEAR]);
+
+      await expect(vesting.connect(addr3).release(0))
+        .to.emit(vesting, "TokensReleased")
+        .withArgs(0, team.address, GRANT_AMOUNT / 2n);
+
+      expect(await dvt.balanceOf(team.address)).to.equal(GRANT_AMOUNT / 2n);
+      expect((await vesting.grants(0)).released).to.equal(GRANT_AMOUNT / 2n);
+      expect(await vesting.totalLocked()).to.equal(GRANT_AMOUNT / 2n);
+      expect(await vesting.releasable(0)).to.equal(0);
+    });
+
+    it("Should release the full grant after the duration", async function () {
+      await increaseTo(start + 5 * YEAR);
+      await vesting.release(0);
+
+      expect(await dvt.balanceOf(team.address)).to.equal(GRANT_AMOUNT);
+      expect(await vesting.totalLocked()).to.equal(0);
+    });
+
+    it("Should reject unknown grant IDs", async function () {
+      await expect(vesting.releasable(1)).to.be.revertedWith("TokenVesting: invalid grant ID");
+    });
+  });
+
+  describe("Revoke", function () {
+    let start;
+
+    beforeEach(async function () {
+      start = (await latestTimestamp()) + 10;
+      await vesting.createGrant(team.address, GRANT_AMOUNT, start, 0, 4 * YEAR, true);
+      await vesting.createGrant(investor.address, GRANT_AMOUNT, start, 0, 4 * YEAR, false);
+    });
+
+    it("Should pay vested tokens and refund the rest on revoke", async function () {
+      const ownerBalance = await dvt.balanceOf(owner.address);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + YEAR]);
+
+      await expect(vesting.revoke(0))
+        .to.emit(vesting, "GrantRevoked")
+        .withArgs(0, GRANT_AMOUNT / 4n, (GRANT_AMOUNT * 3n) / 4n);
+
+      expect(await dvt.balanceOf(team.address)).to.equal(GRANT_AMOUNT / 4n);
+      expect(await dvt.balanceOf(owner.address)).to.equal(ownerBalance + (GRANT_AMOUNT * 3n) / 4n);
+      expect(await vesting.totalLocked()).to.equal(GRANT_AMOUNT);
+    });
+
+    it("Should stop vesting after revoke", async function () {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [start + YEAR]);
+      await vesting.revoke(0);
+      await increaseTo(start + 4 * YEAR);
+
+      expect(await vesting.releasable(0)).to.equal(0);
+      expect(await vesting.vestedAmount(0, start + 4 * YEAR)).to.equal(GRANT_AMOUNT / 4n);
+    });
+
+    it("Should not revoke non-revocable or revoked grants", async function () {
+      await expect(vesting.revoke(1)).to.be.revertedWith("TokenVesting: grant is not revocable");
+
+      await vesting.revoke(0);
+      await expect(vesting.revoke(0)).to.be.revertedWith("TokenVesting: grant already revoked");
+    });
+
+    it("Should only allow owner to revoke", async function () {
+      await expect(
+        vesting.connect(team).revoke(0)
+      ).to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("VotingEscrow", function () {
+  let dvt, votingEscrow;
+  let owner, addr1, addr2;
+  let snapshotId;
+
+  const WEEK = 7 * 24 * 3600;
+  const MAX_LOCK_TIME = 4 * 365 * 24 * 3600;
+  const LOCK_AMOUNT = ethers.parseEther("1000");
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  function roundToWeek(timestamp) {
+    return Math.floor(timestamp / WEEK) * WEEK;
+  }
+
+  // Multi-year locks move the chain clock; restore it for other suites
+  before(async function () {
+    snapshotId = await ethers.provider.send("evm_snapshot");
+  });
+
+  after(async function () {
+    await ethers.provider.send("evm_revert", [snapshotId]);
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    votingEscrow = await VotingEscrow.deploy(await dvt.getAddress());
+    await votingEscrow.waitForDeployment();
+
+    for (const account of [addr1, addr2]) {
+      await dvt.transfer(account.address, ethers.parseEther("10000"));
+      await dvt.connect(account).approve(await votingEscrow.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set token and metadata", async function () {
+      expect(await votingEscrow.token()).to.equal(await dvt.getAddress());
+      expect(await votingEscrow.name()).to.equal("Vote-escrowed DVT");
+      expect(await votingEscrow.symbol()).to.equal("veDVT");
+      expect(await votingEscrow.decimals()).to.equal(18);
+      expect(await votingEscrow.totalSupply()).to.equal(0);
+    });
+
+    it("Should not allow zero token address", async function () {
+      const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+      await expect(
+        VotingEscrow.deploy(ethers.ZeroAddress)
+      ).to.be.revertedWith("VotingEscrow: invalid token address");
+    });
+  });
+
+  describe("Locking", function () {
+    it("Should lock DVT and round the unlock time down to weeks", async function () {
+      const unlockTime = (await latestTimestamp()) + 52 * WEEK;
+
+      await expect(
+        votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, unlockTime)
+      ).to.emit(votingEscrow, "Deposit")
+      .withArgs(addr1.address, LOCK_AMOUNT, roundToWeek(unlockTime));
+
+      const lock = await votingEscrow.locked(addr1.address);
+      expect(lock.amount).to.equal(LOCK_AMOUNT);
+      expect(lock.end).to.equal(roundToWeek(unlockTime));
+      expect(await votingEscrow.totalLocked()).to.equal(LOCK_AMOUNT);
+      expect(await dvt.balanceOf(await votingEscrow.getAddress())).to.equal(LOCK_AMOUNT);
+    });
+
+    it("Should weight balance by remaining lock time", async function () {
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, (await latestTimestamp()) + MAX_LOCK_TIME);
+
+      const end = Number((await votingEscrow.locked(addr1.address)).end);
+      const expected = (LOCK_AMOUNT * BigInt(end - (await latestTimestamp()))) / BigInt(MAX_LOCK_TIME);
+
+      expect(await votingEscrow.balanceOf(addr1.address)).to.equal(expected);
+      expect(await votingEscrow.totalSupply()).to.equal(expected);
+    });
+
+    it("Should decay linearly to zero at unlock", async function () {
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, (await latestTimestamp()) + 10 * WEEK);
+      const initial = await votingEscrow.balanceOf(addr1.address);
+
+      await increaseTime(5 * WEEK);
+      const halfway = await votingEscrow.balanceOf(addr1.address);
+      expect(halfway).to.be.lt(initial);
+      expect(halfway).to.be.closeTo(initial / 2n, initial / 5n);
+
+      await increaseTime(6 * WEEK);
+      expect(await votingEscrow.balanceOf(addr1.address)).to.equal(0);
+      expect(await votingEscrow.totalSupply()).to.equal(0);
+    });
+
+    it("Should track total supply across locks with different ends", async function () {
+      const now = await latestTimestamp();
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, now + 4 * WEEK);
+      await votingEscrow.connect(addr2).createLock(LOCK_AMOUNT * 2n, now + 20 * WEEK);
+
+      // Check before, around and after the first unlock
+      for (const weeks of [0, 3, 2, 7]) {
+        await increaseTime(weeks * WEEK);
+
+        const sum = (await votingEscrow.balanceOf(addr1.address)) + (await votingEscrow.balanceOf(addr2.address));
+        expect(await votingEscrow.totalSupply()).to.be.closeTo(sum, 2n);
+      }
+
+      // addr1's lock has expired, only addr2 still counts
+      expect(await votingEscrow.balanceOf(addr1.address)).to.equal(0);
+      expect(await votingEscrow.totalSupply()).to.be.closeTo(await votingEscrow.balanceOf(addr2.address), 1n);
+    });
+
+    it("Should validate lock parameters", async function () {
+      const now = await latestTimestamp();
+
+      await expect(
+        votingEscrow.connect(addr1).createLock(0, now + 10 * WEEK)
+      ).to.be.revertedWith("VotingEscrow: zero amount");
+
+      await expect(
+        votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, now)
+      ).to.be.revertedWith("VotingEscrow: unlock time must be in the future");
+
+      await expect(
+        votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, now + MAX_LOCK_TIME + 2 * WEEK)
+      ).to.be.revertedWith("VotingEscrow: lock exceeds max time");
+
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, now + 10 * WEEK);
+      await expect(
+        votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, now + 10 * WEEK)
+      ).to.be.revertedWith("VotingEscrow: withdraw old tokens first");
+    });
+  });
+
+  describe("Extending Locks", function () {
+    beforeEach(async function () {
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, (await latestTimestamp()) + 10 * WEEK);
+    });
+
+    it("Should increase the locked amount", async function () {
+      const before = await votingEscrow.balanceOf(addr1.address);
+      await votingEscrow.connect(addr1).increaseAmount(LOCK_AMOUNT);
+
+      expect((await votingEscrow.locked(addr1.address)).amount).to.equal(LOCK_AMOUNT * 2n);
+      expect(await votingEscrow.balanceOf(addr1.address)).to.be.closeTo(before * 2n, before / 100n);
+      expect(await votingEscrow.totalSupply()).to.be.closeTo(await votingEscrow.balanceOf(addr1.address), 1n);
+    });
+
+    it("Should extend the unlock time", async function () {
+      const before = await votingEscrow.balanceOf(addr1.address);
+      await votingEscrow.connect(addr1).increaseUnlockTime((await latestTimestamp()) + 20 * WEEK);
+
+      expect(await votingEscrow.balanceOf(addr1.address)).to.be.gt(before);
+      expect(await votingEscrow.totalSupply()).to.be.closeTo(await votingEscrow.balanceOf(addr1.address), 1n);
+
+      await expect(
+        votingEscrow.connect(addr1).increaseUnlockTime((await latestTimestamp()) + 5 * WEEK)
+      ).to.be.revertedWith("VotingEscrow: can only increase lock duration");
+    });
+
+    it("Should not extend an expired lock", async function () {
+      await increaseTime(11 * WEEK);
+
+      await expect(
+        votingEscrow.connect(addr1).increaseAmount(LOCK_AMOUNT)
+      ).to.be.revertedWith("VotingEscrow: lock expired");
+
+      await expect(
+        votingEscrow.connect(addr1).increaseUnlockTime((await latestTimestamp()) + 10 * WEEK)
+      ).to.be.revertedWith("VotingEscrow: lock expired");
+    });
+
+    it("Should require an existing lock", async function () {
+      await expect(
+        votingEscrow.connect(addr2).increaseAmount(LOCK_AMOUNT)
+      ).to.be.revertedWith("VotingEscrow: no existing lock");
+    });
+  });
+
+  describe("Withdrawing", function () {
+    beforeEach(async function () {
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, (await latestTimestamp()) + 10 * WEEK);
+    });
+
+    it("Should not withdraw before the lock expires", async function () {
+      await expect(
+        votingEscrow.connect(addr1).withdraw()
+      ).to.be.revertedWith("VotingEscrow: lock not expired");
+    });
+
+    it("Should return DVT after expiry and allow relocking", async function () {
+      await increaseTime(11 * WEEK);
+      const balanceBefore = await dvt.balanceOf(addr1.address);
+
+      await expect(
+        votingEscrow.connect(addr1).withdraw()
+      ).to.emit(votingEscrow, "Withdraw")
+      .withArgs(addr1.address, LOCK_AMOUNT);
+
+      expect(await dvt.balanceOf(addr1.address)).to.equal(balanceBefore + LOCK_AMOUNT);
+      expect(await votingEscrow.totalLocked()).to.equal(0);
+
+      await votingEscrow.connect(addr1).createLock(LOCK_AMOUNT, (await latestTimestamp()) + 10 * WEEK);
+      expect(await votingEscrow.totalSupply()).to.be.closeTo(await votingEscrow.balanceOf(addr1.address), 1n);
+    });
+
+    it("Should revert without a lock", async function () {
+      await expect(
+        votingEscrow.connect(addr2).withdraw()
+      ).to.be.revertedWith("VotingEscrow: nothing to withdraw");
+    });
+  });
+});
\ No newline at end of file
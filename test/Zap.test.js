@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Zap", function () {
+  let dvt, liquidityPool, masterChef, zap;
+  let owner, addr1, addr2;
+
+  async function getDeadline() {
+    return (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  }
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const MyToken = await ethers.getContractFactory("MyToken");
+    dvt = await MyToken.deploy("DeFiVault Token", "DVT", ethers.parseEther("1000000"));
+    await dvt.waitForDeployment();
+
+    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
+    liquidityPool = await LiquidityPool.deploy(await dvt.getAddress(), owner.address);
+    await liquidityPool.waitForDeployment();
+
+    await dvt.approve(await liquidityPool.getAddress(), ethers.parseEther("100000"));
+    await liquidityPool.addLiquidity(
+      ethers.parseEther("100000"),
+      0,
+      0,
+      owner.address,
+      await getDeadline(),
+      { value: ethers.parseEther("100") }
+    );
+
+    const MasterChef = await ethers.getContractFactory("MasterChef");
+    masterChef = await MasterChef.deploy(
+      await dvt.getAddress(),
+      owner.address,
+      owner.address,
+      ethers.parseEther("1"),
+      0
+    );
+    await masterChef.waitForDeployment();
+    await dvt.addMinter(await masterChef.getAddress());
+    await dvt.setExemptFromLimits(await masterChef.getAddress(), true);
+    await masterChef.add(1000, await liquidityPool.getAddress(), 0, 0, false);
+
+    const Zap = await ethers.getContractFactory("Zap");
+    zap = await Zap.deploy(await liquidityPool.getAddress(), await masterChef.getAddress(), 0);
+    await zap.waitForDeployment();
+    await masterChef.setZap(await zap.getAddress());
+
+    await dvt.transfer(addr1.address, ethers.parseEther("10000"));
+    await dvt.connect(addr1).approve(await zap.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct initial values", async function () {
+      expect(await zap.liquidityPool()).to.equal(await liquidityPool.getAddress());
+      expect(await zap.masterChef()).to.equal(await masterChef.getAddress());
+      expect(await zap.token()).to.equal(await dvt.getAddress());
+      expect(await zap.pid()).to.equal(0);
+    });
+
+    it("Should reject a MasterChef pool that does not stake the LP token", async function () {
+      await masterChef.add(1000, await dvt.getAddress(), 0, 0, false);
+      const Zap = await ethers.getContractFactory("Zap");
+      await expect(
+        Zap.deploy(await liquidityPool.getAddress(), await masterChef.getAddress(), 1)
+      ).to.be.revertedWith("Zap: pool does not stake LP token");
+    });
+  });
+
+  describe("Zap In", function () {
+    it("Should zap BNB into a staked LP position", async function () {
+      const amount = ethers.parseEther("1");
+      const tx = await zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: amount });
+      await expect(tx).to.emit(zap, "ZapIn");
+
+      const userInfo = await masterChef.getUserInfo(0, addr1.address);
+      expect(userInfo.amount).to.be.gt(0);
+      expect(await liquidityPool.balanceOf(await zap.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(await zap.getAddress())).to.equal(0);
+      expect(await dvt.balanceOf(await zap.getAddress())).to.equal(0);
+    });
+
+    it("Should leave only dust after an optimal BNB split", async function () {
+      const amount = ethers.parseEther("1");
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+      await zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: amount });
+
+      // Refunded DVT dust is negligible against the ~500 DVT value of the zapped half
+      const dust = (await dvt.balanceOf(addr1.address)) - dvtBefore;
+      expect(dust).to.be.lt(ethers.parseEther("0.001"));
+    });
+
+    it("Should zap DVT into a staked LP position", async function () {
+      const amount = ethers.parseEther("1000");
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+      await expect(zap.connect(addr1).zapInToken(amount, 0, 0, await getDeadline()))
+        .to.emit(zap, "ZapIn");
+
+      const userInfo = await masterChef.getUserInfo(0, addr1.address);
+      expect(userInfo.amount).to.be.gt(0);
+      expect(dvtBefore - (await dvt.balanceOf(addr1.address))).to.be.closeTo(amount, ethers.parseEther("0.001"));
+    });
+
+    it("Should revert when the minted liquidity is below the minimum", async function () {
+      await expect(
+        zap.connect(addr1).zapInBNB(0, ethers.parseEther("1000"), await getDeadline(), { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Zap: insufficient liquidity");
+    });
+
+    it("Should revert the swap leg when the price moves past the caller's minimum", async function () {
+      const amount = ethers.parseEther("1");
+      const [reserveETH, reserveToken] = await liquidityPool.getReserves();
+      const swapAmount = await zap.getSwapAmount(amount, reserveETH);
+      const quoted = await liquidityPool.getAmountOut(swapAmount, reserveETH, reserveToken);
+
+      // Front-run: push the DVT price up before the zap lands
+      await liquidityPool.swapExactETHForTokens(0, addr2.address, await getDeadline(), {
+        value: ethers.parseEther("5"),
+      });
+
+      await expect(
+        zap.connect(addr1).zapInBNB((quoted * 99n) / 100n, 0, await getDeadline(), { value: amount })
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+      await expect(
+        zap.connect(addr1).zapInBNB((quoted * 90n) / 100n, 0, await getDeadline(), { value: amount })
+      ).to.emit(zap, "ZapIn");
+    });
+
+    it("Should reject zero amounts", async function () {
+      await expect(
+        zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: 0 })
+      ).to.be.revertedWith("Zap: zero amount");
+      await expect(
+        zap.connect(addr1).zapInToken(0, 0, 0, await getDeadline())
+      ).to.be.revertedWith("Zap: zero amount");
+    });
+
+    it("Should reject direct BNB transfers", async function () {
+      await expect(
+        addr1.sendTransaction({ to: await zap.getAddress(), value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Zap: unexpected BNB");
+    });
+  });
+
+  describe("Zap Out", function () {
+    beforeEach(async function () {
+      await zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: ethers.parseEther("1") });
+    });
+
+    it("Should zap a staked position out to BNB", async function () {
+      const { amount } = await masterChef.getUserInfo(0, addr1.address);
+      const balanceBefore = await ethers.provider.getBalance(addr1.address);
+
+      const tx = await zap.connect(addr1).zapOutBNB(amount, 0, 0, await getDeadline());
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
+      const received = (await ethers.provider.getBalance(addr1.address)) + gasCost - balanceBefore;
+      // Two 0.3% swaps round trip
+      expect(received).to.be.closeTo(ethers.parseEther("1"), ethers.parseEther("0.01"));
+      expect((await masterChef.getUserInfo(0, addr1.address)).amount).to.equal(0);
+    });
+
+    it("Should zap a staked position out to DVT", async function () {
+      const { amount } = await masterChef.getUserInfo(0, addr1.address);
+      const dvtBefore = await dvt.balanceOf(addr1.address);
+
+      await expect(zap.connect(addr1).zapOutToken(amount, 0, 0, await getDeadline()))
+        .to.emit(zap, "ZapOut");
+
+      // ~1000 DVT for 1 BNB less two swap fees and price impact, plus harvested rewards
+      expect((await dvt.balanceOf(addr1.address)) - dvtBefore).to.be.gt(ethers.parseEther("980"));
+      expect((await masterChef.getUserInfo(0, addr1.address)).amount).to.equal(0);
+    });
+
+    it("Should revert when the output is below the minimum", async function () {
+      const { amount } = await masterChef.getUserInfo(0, addr1.address);
+      await expect(
+        zap.connect(addr1).zapOutBNB(amount, 0, ethers.parseEther("2"), await getDeadline())
+      ).to.be.revertedWith("Zap: insufficient output amount");
+    });
+
+    it("Should revert when the swap leg is below its minimum", async function () {
+      const { amount } = await masterChef.getUserInfo(0, addr1.address);
+      await expect(
+        zap.connect(addr1).zapOutToken(amount, ethers.parseEther("1000"), 0, await getDeadline())
+      ).to.be.revertedWith("LiquidityPool: INSUFFICIENT_OUTPUT_AMOUNT");
+    });
+
+    it("Should not withdraw more than the caller has staked", async function () {
+      await expect(
+        zap.connect(addr2).zapOutBNB(1, 0, 0, await getDeadline())
+      ).to.be.revertedWith("MasterChef: insufficient amount");
+    });
+  });
+
+  describe("Transfer Tax", function () {
+    beforeEach(async function () {
+      await dvt.setExemptFromLimits(await liquidityPool.getAddress(), true);
+      await dvt.setAmmPair(await liquidityPool.getAddress(), true);
+      await dvt.setTaxRates(200, 300, 0); // 2% buy, 3% sell
+      await dvt.setTreasury(addr2.address);
+    });
+
+    it("Should zap in and out paying the DVT tax", async function () {
+      await zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: ethers.parseEther("1") });
+      expect(await dvt.balanceOf(addr2.address)).to.be.gt(0);
+      expect(await dvt.balanceOf(await zap.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(await zap.getAddress())).to.equal(0);
+
+      const { amount } = await masterChef.getUserInfo(0, addr1.address);
+      const treasuryBefore = await dvt.balanceOf(addr2.address);
+      await expect(zap.connect(addr1).zapOutBNB(amount, 0, 0, await getDeadline())).to.emit(zap, "ZapOut");
+
+      expect(await dvt.balanceOf(addr2.address)).to.be.gt(treasuryBefore);
+      expect(await dvt.balanceOf(await zap.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(await zap.getAddress())).to.equal(0);
+    });
+
+    it("Should not beat a direct taxed buy with a zap round trip", async function () {
+      const amount = ethers.parseEther("1");
+      const snapshotId = await ethers.provider.send("evm_snapshot");
+      const balanceBefore = await dvt.balanceOf(addr1.address);
+      await liquidityPool.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+        0, addr1.address, await getDeadline(), { value: amount }
+      );
+      const bought = (await dvt.balanceOf(addr1.address)) - balanceBefore;
+      await ethers.provider.send("evm_revert", [snapshotId]);
+
+      await zap.connect(addr1).zapInBNB(0, 0, await getDeadline(), { value: amount });
+      const { amount: staked } = await masterChef.getUserInfo(0, addr1.address);
+      const zappedOut = await zap.connect(addr1).zapOutToken.staticCall(staked, 0, 0, await getDeadline());
+
+      expect(zappedOut).to.be.lt(bought);
+    });
+  });
+
+  describe("MasterChef Access", function () {
+    it("Should restrict depositFor and withdrawFor to the zap", async function () {
+      await expect(
+        masterChef.connect(addr1).depositFor(0, 1, addr2.address)
+      ).to.be.revertedWith("MasterChef: caller is not the zap");
+      await expect(
+        masterChef.connect(addr1).withdrawFor(0, 1, addr2.address)
+      ).to.be.revertedWith("MasterChef: caller is not the zap");
+    });
+
+    it("Should let only the owner set the zap", async function () {
+      await expect(masterChef.setZap(addr1.address))
+        .to.emit(masterChef, "ZapUpdated")
+        .withArgs(addr1.address);
+      await expect(
+        masterChef.connect(addr1).setZap(addr1.address)
+      ).to.be.revertedWithCustomError(masterChef, "OwnableUnauthorizedAccount");
+    });
+  });
+});
\ No newline at end of file